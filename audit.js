@@ -0,0 +1,458 @@
+/**
+ * MCP 代理服务器审计日志模块
+ * 把每次工具调用（调用方、服务器、工具、参数摘要、结果、耗时）追加写入本地 JSONL 文件，
+ * 文件按天和大小轮转，过期文件按保留天数删除，并支持按条件检索和导出
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { logger } = require('./logger');
+const { ErrorCodes } = require('./errors');
+
+const log = logger.child({ component: 'audit' });
+
+// 审计文件名：audit-YYYY-MM-DD.jsonl，同一天超过大小上限后为 audit-YYYY-MM-DD.1.jsonl、.2.jsonl……
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+// 递归隐去参数字段时的最大深度
+const MAX_DEPTH = 8;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 导出 CSV 时的列，arguments 序列化为 JSON
+const CSV_COLUMNS = [
+  'time', 'requestId', 'traceId', 'clientId', 'clientIp', 'serverId', 'bundle', 'tool',
+  'argumentsHash', 'arguments', 'outcome', 'errorCode', 'errorMessage', 'jobId', 'latency'
+];
+
+class AuditLog {
+  /**
+   * @param {Object} options - 审计日志选项
+   * @param {boolean} options.enabled - 是否记录
+   * @param {string} options.dir - 审计文件目录
+   * @param {number} options.maxFileSize - 单个文件的大小上限（字节）
+   * @param {number} options.retentionDays - 保留天数，0 表示不删除
+   * @param {string} options.arguments - 参数记录方式：hash 只记录摘要，redacted 记录隐去敏感字段后的参数，full 记录完整参数
+   * @param {Array<string>} options.redactFields - redacted 模式下隐去的参数字段名
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled || false;
+    this.dir = path.resolve(options.dir || './audit');
+    this.maxFileSize = options.maxFileSize || 50 * 1024 * 1024;
+    this.retentionDays = options.retentionDays ?? 90;
+    this.arguments = options.arguments || 'hash';
+    this.redactFields = new Set(options.redactFields || []);
+
+    // 当前写入的文件
+    this.stream = null;
+    this.file = null;
+    this.fileDate = null;
+    this.fileIndex = 0;
+    this.fileSize = 0;
+
+    this.stats = {
+      records: 0,
+      writeErrors: 0,
+      rotations: 0,
+      removedFiles: 0
+    };
+  }
+
+  /**
+   * 更新审计配置（热加载），关闭时结束当前文件
+   * @param {Object} options - 审计日志选项（dir 除外）
+   */
+  configure(options = {}) {
+    for (const key of ['enabled', 'maxFileSize', 'retentionDays', 'arguments']) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+    if (options.redactFields !== undefined) {
+      this.redactFields = new Set(options.redactFields);
+    }
+
+    if (!this.enabled) {
+      this.close();
+    }
+  }
+
+  /**
+   * 记录一次工具调用
+   * @param {Object} entry - 调用信息
+   * @param {string} entry.requestId - HTTP 请求 ID
+   * @param {string} entry.traceId - 链路 ID（未采样时为空）
+   * @param {string} entry.clientId - 认证后的客户端 ID
+   * @param {string} entry.clientIp - 客户端地址
+   * @param {string} entry.serverId - 注册表条目名（未注册时为请求路径中的名称）
+   * @param {string} entry.bundle - 经由的虚拟服务器
+   * @param {string} entry.tool - 客户端调用的工具名
+   * @param {Object} entry.arguments - 工具参数
+   * @param {Object|null} entry.response - 响应结果
+   * @param {Error} entry.error - 处理过程中抛出的错误
+   * @param {string} entry.outcome - 结果类别（与 mcp_proxy_requests_total 的 outcome 一致）
+   * @param {number} entry.latency - 耗时（毫秒）
+   */
+  record(entry) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const response = entry.response;
+    const error = response?.error || (entry.error ? { code: ErrorCodes.INTERNAL_ERROR, message: entry.error.message } : null);
+
+    const record = {
+      time: new Date().toISOString(),
+      requestId: entry.requestId || null,
+      traceId: entry.traceId || null,
+      clientId: entry.clientId || null,
+      clientIp: entry.clientIp || null,
+      serverId: entry.serverId,
+      bundle: entry.bundle || null,
+      tool: entry.tool ?? null,
+      argumentsHash: entry.arguments === undefined ? null : hashArguments(entry.arguments),
+      outcome: entry.outcome,
+      errorCode: error ? error.code : null,
+      errorMessage: error ? error.message : null,
+      jobId: entry.jobId || response?.result?._meta?.jobId || null,
+      latency: entry.latency
+    };
+
+    if (this.arguments !== 'hash' && entry.arguments !== undefined) {
+      record.arguments = this.arguments === 'full' ? entry.arguments : this.redact(entry.arguments, 0);
+    }
+
+    this.write(`${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * 隐去参数中 redactFields 列出的字段
+   * @param {*} value - 参数值
+   * @param {number} depth - 当前深度
+   * @returns {*} 隐去后的值
+   */
+  redact(value, depth) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.redactFields.has(key) ? '[REDACTED]' : this.redact(item, depth + 1);
+    }
+    return result;
+  }
+
+  /**
+   * 追加一行，必要时先轮转文件
+   * @param {string} line - 一条 JSON 记录（带换行）
+   */
+  write(line) {
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+      if (!this.stream || date !== this.fileDate || this.fileSize >= this.maxFileSize) {
+        this.open(date);
+      }
+    } catch (error) {
+      this.stats.writeErrors++;
+      log.error('无法打开审计文件', { dir: this.dir, error });
+      return;
+    }
+
+    this.stream.write(line);
+    this.fileSize += Buffer.byteLength(line);
+    this.stats.records++;
+  }
+
+  /**
+   * 打开当天的审计文件
+   * 当天的文件写满（或写入出错）后新建下一个；启动或跨天时接着写当天最后一个未满的文件
+   * @param {string} date - 日期（UTC，YYYY-MM-DD）
+   */
+  open(date) {
+    const rotating = this.stream !== null;
+    this.close();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    let index = 0;
+    let size = 0;
+    if (this.fileDate === date) {
+      // 刚写入的内容可能还没有落盘，文件大小以内存中的计数为准
+      index = this.fileIndex + 1;
+    } else {
+      for (const file of this.listFiles()) {
+        if (file.date === date && file.index >= index) {
+          index = file.index;
+          size = file.size;
+        }
+      }
+      if (size >= this.maxFileSize) {
+        index++;
+        size = 0;
+      }
+    }
+
+    this.file = path.join(this.dir, index === 0 ? `audit-${date}.jsonl` : `audit-${date}.${index}.jsonl`);
+    this.fileDate = date;
+    this.fileIndex = index;
+    this.fileSize = size;
+
+    const stream = fs.createWriteStream(this.file, { flags: 'a' });
+    stream.on('error', (error) => {
+      this.stats.writeErrors++;
+      log.error('写入审计文件失败', { file: this.file, error });
+      if (this.stream === stream) {
+        this.stream = null;
+      }
+    });
+    this.stream = stream;
+
+    if (rotating) {
+      this.stats.rotations++;
+      log.info('审计文件已轮转', { file: this.file });
+    }
+
+    this.removeExpired(date);
+  }
+
+  /**
+   * 删除超过保留天数的审计文件
+   * @param {string} today - 当天日期（UTC，YYYY-MM-DD）
+   */
+  removeExpired(today) {
+    if (this.retentionDays <= 0) {
+      return;
+    }
+
+    const cutoff = new Date(Date.parse(today) - this.retentionDays * DAY).toISOString().slice(0, 10);
+
+    for (const file of this.listFiles()) {
+      if (file.date >= cutoff) {
+        continue;
+      }
+
+      try {
+        fs.unlinkSync(file.path);
+        this.stats.removedFiles++;
+        log.info('已删除过期的审计文件', { file: file.path });
+      } catch (error) {
+        log.warn('删除过期的审计文件失败', { file: file.path, reason: error.message });
+      }
+    }
+  }
+
+  /**
+   * 列出审计文件，按写入顺序排列
+   * @returns {Array<Object>} [{ path, date, index, size }]
+   */
+  listFiles() {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return names
+      .map(name => {
+        const match = FILE_PATTERN.exec(name);
+        if (!match) {
+          return null;
+        }
+
+        const file = path.join(this.dir, name);
+        return { path: file, date: match[1], index: Number(match[2] || 0), size: fs.statSync(file).size };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+  }
+
+  /**
+   * 等待已写入的记录落盘，使检索能看到刚刚的调用
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const stream = this.stream;
+    if (!stream) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => stream.write('', () => resolve()));
+  }
+
+  /**
+   * 按时间顺序逐条读取符合条件的记录
+   * @param {Object} filters - 检索条件
+   * @param {string} filters.from - 起始时间（ISO 8601，含）
+   * @param {string} filters.to - 结束时间（ISO 8601，不含）
+   * @param {string} filters.clientId - 客户端 ID
+   * @param {string} filters.serverId - 服务器条目名
+   * @param {string} filters.tool - 工具名
+   * @param {string} filters.outcome - 结果类别
+   * @param {string} filters.requestId - HTTP 请求 ID
+   * @returns {AsyncGenerator<Object>} 审计记录
+   */
+  async *scan(filters = {}) {
+    await this.flush();
+
+    const fromDate = filters.from ? filters.from.slice(0, 10) : null;
+    const toDate = filters.to ? filters.to.slice(0, 10) : null;
+    const fields = ['clientId', 'serverId', 'tool', 'outcome', 'requestId'].filter(field => filters[field]);
+
+    for (const file of this.listFiles()) {
+      if ((fromDate && file.date < fromDate) || (toDate && file.date > toDate)) {
+        continue;
+      }
+
+      const input = fs.createReadStream(file.path, { encoding: 'utf8' });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+      try {
+        for await (const line of lines) {
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (error) {
+            // 进程异常退出时可能留下不完整的最后一行
+            continue;
+          }
+
+          if ((filters.from && record.time < filters.from) || (filters.to && record.time >= filters.to)) {
+            continue;
+          }
+          if (fields.every(field => record[field] === filters[field])) {
+            yield record;
+          }
+        }
+      } finally {
+        // 导出中途客户端断开时提前结束读取
+        input.destroy();
+      }
+    }
+  }
+
+  /**
+   * 检索记录，返回最近的 limit 条（按时间倒序）
+   * @param {Object} filters - 检索条件，见 scan()
+   * @param {number} limit - 最多返回的条数
+   * @returns {Promise<Object>} { records, total, truncated }
+   */
+  async search(filters = {}, limit = 100) {
+    const records = [];
+    let total = 0;
+
+    for await (const record of this.scan(filters)) {
+      total++;
+      records.push(record);
+      if (records.length > limit) {
+        records.shift();
+      }
+    }
+
+    return { records: records.reverse(), total, truncated: total > records.length };
+  }
+
+  /**
+   * 导出文件的表头
+   * @param {string} format - jsonl 或 csv
+   * @returns {string} 表头行，jsonl 没有表头
+   */
+  formatHeader(format) {
+    return format === 'csv' ? `${CSV_COLUMNS.join(',')}\r\n` : '';
+  }
+
+  /**
+   * 把一条记录格式化为导出文件中的一行
+   * @param {Object} record - 审计记录
+   * @param {string} format - jsonl 或 csv
+   * @returns {string} 一行（带换行）
+   */
+  formatRecord(record, format) {
+    if (format !== 'csv') {
+      return `${JSON.stringify(record)}\n`;
+    }
+
+    const cells = CSV_COLUMNS.map(column => {
+      const value = record[column];
+      if (value === undefined || value === null) {
+        return '';
+      }
+
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    });
+
+    return `${cells.join(',')}\r\n`;
+  }
+
+  /**
+   * 关闭当前文件
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * 获取审计日志统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      file: this.stream ? this.file : null,
+      arguments: this.arguments,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * 计算参数摘要：键排序后的 JSON 的 SHA-256，相同参数的调用摘要相同
+ * @param {*} args - 工具参数
+ * @returns {string} sha256:十六进制摘要
+ */
+function hashArguments(args) {
+  return `sha256:${crypto.createHash('sha256').update(stableStringify(args)).digest('hex')}`;
+}
+
+/**
+ * 按键排序序列化，使摘要不受字段顺序影响
+ * @param {*} value - 任意 JSON 值
+ * @returns {string} JSON 文本
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+module.exports = {
+  AuditLog,
+  hashArguments
+};
@@ -0,0 +1,375 @@
+/**
+ * MCP 代理服务器入站认证模块
+ * 支持按 serverId 授权的 API Key / Bearer Token，以及带时间戳和 nonce 防重放的 HMAC 签名
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+class AuthManager {
+  /**
+   * @param {Object} options - 认证选项
+   * @param {boolean} options.enabled - 是否启用认证
+   * @param {string} options.clientsFile - 客户端凭据文件路径
+   * @param {number} options.hmacWindow - 签名时间戳允许的偏差（秒）
+   * @param {string} options.monitoringToken - 监控端点的访问令牌
+   * @param {string} options.adminToken - 管理接口的访问令牌
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled || false;
+    this.file = options.clientsFile ? path.resolve(options.clientsFile) : null;
+    this.hmacWindow = options.hmacWindow || 300;
+    this.monitoringToken = options.monitoringToken || '';
+    this.adminToken = options.adminToken || '';
+
+    // API Key 的 SHA-256 摘要到客户端的映射，避免逐个比较明文
+    this.keyIndex = new Map();
+    // 客户端 ID 到客户端的映射（HMAC 签名使用）
+    this.clients = new Map();
+
+    // 已使用的 nonce，保留到时间窗口结束
+    this.nonces = new NodeCache({
+      stdTTL: this.hmacWindow * 2,
+      checkperiod: 60,
+      useClones: false
+    });
+
+    // 认证统计
+    this.stats = {
+      authenticated: 0,
+      unauthorized: 0,
+      forbidden: 0,
+      replays: 0
+    };
+
+    if (this.enabled) {
+      if (!this.file) {
+        throw this.createFileError(['启用认证时必须设置 AUTH_CLIENTS_FILE']);
+      }
+      this.apply(this.load());
+    }
+  }
+
+  /**
+   * 读取并校验客户端凭据文件
+   * @returns {Array<Object>} 客户端列表
+   * @throws {Error} 文件无效时抛出 code 为 AUTH_INVALID 的错误
+   */
+  load() {
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw this.createFileError([`无法读取 ${this.file}: ${error.message}`]);
+    }
+
+    if (!document || !Array.isArray(document.clients)) {
+      throw this.createFileError(['缺少 clients 数组']);
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    const clients = document.clients.map((client, index) => {
+      const prefix = `clients[${index}]`;
+
+      if (!client || typeof client !== 'object') {
+        errors.push(`${prefix} 必须是对象`);
+        return null;
+      }
+      if (typeof client.id !== 'string' || client.id === '') {
+        errors.push(`${prefix}.id 必须是非空字符串`);
+      } else if (ids.has(client.id)) {
+        errors.push(`${prefix}.id "${client.id}" 重复`);
+      }
+      ids.add(client.id);
+
+      if (!client.apiKey && !client.hmacSecret) {
+        errors.push(`${prefix} 至少需要 apiKey 或 hmacSecret`);
+      }
+      for (const field of ['apiKey', 'hmacSecret']) {
+        if (client[field] !== undefined && (typeof client[field] !== 'string' || client[field].length < 16)) {
+          errors.push(`${prefix}.${field} 必须是至少 16 个字符的字符串`);
+        }
+      }
+
+      if (!Array.isArray(client.servers) || client.servers.some(server => typeof server !== 'string')) {
+        errors.push(`${prefix}.servers 必须是字符串数组（"*" 表示所有服务器）`);
+      }
+
+      if (client.rateLimit !== undefined && (!Number.isInteger(client.rateLimit) || client.rateLimit < 0)) {
+        errors.push(`${prefix}.rateLimit 必须是不小于 0 的整数（每分钟请求数）`);
+      }
+
+      return {
+        id: client.id,
+        apiKey: client.apiKey,
+        hmacSecret: client.hmacSecret,
+        servers: new Set(client.servers || []),
+        rateLimit: client.rateLimit
+      };
+    });
+
+    if (errors.length > 0) {
+      throw this.createFileError(errors);
+    }
+
+    return clients;
+  }
+
+  /**
+   * 创建凭据文件错误
+   * @param {Array<string>} errors - 错误列表
+   * @returns {Error} 错误对象
+   */
+  createFileError(errors) {
+    const error = new Error(`认证配置无效:\n  - ${errors.join('\n  - ')}`);
+    error.code = 'AUTH_INVALID';
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * 应用客户端列表并重建索引
+   * @param {Array<Object>} clients - 客户端列表
+   */
+  apply(clients) {
+    this.keyIndex = new Map();
+    this.clients = new Map();
+
+    for (const client of clients) {
+      this.clients.set(client.id, client);
+      if (client.apiKey) {
+        this.keyIndex.set(this.digest(client.apiKey), client);
+      }
+    }
+
+    log.info('认证配置已加载', { file: this.file, clients: clients.length });
+  }
+
+  /**
+   * 重新加载凭据文件，文件无效时保留当前配置
+   * @throws {Error} 文件无效时抛出
+   */
+  reload() {
+    if (this.enabled) {
+      this.apply(this.load());
+    }
+  }
+
+  /**
+   * 计算 SHA-256 摘要
+   * @param {string|Buffer} value - 输入
+   * @returns {string} 十六进制摘要
+   */
+  digest(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * 认证 MCP 请求
+   * @param {Object} req - Express 请求（需包含 rawBody）
+   * @param {Array<string>} serverNames - 本次请求对应的服务器名称（路径名和注册表条目名）
+   * @returns {Object|null} 客户端信息（id、rateLimit），未启用认证时返回 null
+   * @throws {Error} code 为 UNAUTHORIZED 或 FORBIDDEN
+   */
+  authenticate(req, serverNames) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const client = this.identify(req);
+
+    if (!this.canAccessServer(client, serverNames)) {
+      this.stats.forbidden++;
+      throw this.createAuthError('FORBIDDEN', `客户端 ${client.id} 无权访问服务器 ${serverNames[0]}`);
+    }
+
+    this.stats.authenticated++;
+    return { id: client.id, rateLimit: client.rateLimit };
+  }
+
+  /**
+   * 校验请求的凭据（API Key 或 HMAC 签名），不检查可访问的服务器
+   * @param {Object} req - Express 请求
+   * @returns {Object} 客户端
+   * @throws {Error} code 为 UNAUTHORIZED
+   */
+  identify(req) {
+    return req.get('X-Signature') ? this.verifySignature(req) : this.verifyApiKey(req);
+  }
+
+  /**
+   * 检查客户端是否可以访问服务器
+   * @param {Object} client - identify() 返回的客户端
+   * @param {Array<string>} serverNames - 服务器的所有名称（任意一个在客户端的 servers 中即可）
+   * @returns {boolean} 是否可以访问
+   */
+  canAccessServer(client, serverNames) {
+    return client.servers.has('*') || serverNames.some(name => client.servers.has(name));
+  }
+
+  /**
+   * 校验 API Key（Authorization: Bearer 或 X-API-Key）
+   * @param {Object} req - Express 请求
+   * @returns {Object} 客户端
+   */
+  verifyApiKey(req) {
+    const key = this.getBearerToken(req) || req.get('X-API-Key');
+    if (!key) {
+      this.stats.unauthorized++;
+      throw this.createAuthError('UNAUTHORIZED', '缺少认证凭据');
+    }
+
+    const client = this.keyIndex.get(this.digest(key));
+    if (!client) {
+      this.stats.unauthorized++;
+      throw this.createAuthError('UNAUTHORIZED', '无效的 API Key');
+    }
+
+    return client;
+  }
+
+  /**
+   * 校验 HMAC 签名
+   * 签名内容: 时间戳\nnonce\nHTTP 方法\n路径\n请求体 SHA-256
+   * @param {Object} req - Express 请求
+   * @returns {Object} 客户端
+   */
+  verifySignature(req) {
+    const clientId = req.get('X-Client-Id');
+    const timestamp = req.get('X-Timestamp');
+    const nonce = req.get('X-Nonce');
+    const signature = req.get('X-Signature');
+
+    if (!clientId || !timestamp || !nonce) {
+      this.stats.unauthorized++;
+      throw this.createAuthError('UNAUTHORIZED', '签名请求缺少 X-Client-Id、X-Timestamp 或 X-Nonce');
+    }
+
+    const client = this.clients.get(clientId);
+    if (!client || !client.hmacSecret) {
+      this.stats.unauthorized++;
+      throw this.createAuthError('UNAUTHORIZED', `未知的签名客户端: ${clientId}`);
+    }
+
+    const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!/^\d+$/.test(timestamp) || skew > this.hmacWindow) {
+      this.stats.unauthorized++;
+      throw this.createAuthError('UNAUTHORIZED', `签名时间戳超出允许范围（±${this.hmacWindow} 秒）`);
+    }
+
+    const payload = [
+      timestamp,
+      nonce,
+      req.method.toUpperCase(),
+      req.originalUrl,
+      this.digest(req.rawBody || '')
+    ].join('\n');
+    const expected = crypto.createHmac('sha256', client.hmacSecret).update(payload).digest('hex');
+
+    // Buffer.from 遇到非十六进制字符时静默截断，先检查格式，否则签名后追加任意字符也能通过
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = /^[0-9a-f]+$/i.test(signature) ? Buffer.from(signature, 'hex') : Buffer.alloc(0);
+    if (actualBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(actualBuffer, expectedBuffer)) {
+      this.stats.unauthorized++;
+      throw this.createAuthError('UNAUTHORIZED', '签名无效');
+    }
+
+    // 签名通过后再记录 nonce，避免无效请求占用 nonce
+    const nonceKey = `${clientId}:${nonce}`;
+    if (this.nonces.has(nonceKey)) {
+      this.stats.replays++;
+      throw this.createAuthError('UNAUTHORIZED', '重复的请求（nonce 已使用）');
+    }
+    this.nonces.set(nonceKey, true);
+
+    return client;
+  }
+
+  /**
+   * 检查监控端点的访问令牌
+   * @param {Object} req - Express 请求
+   * @returns {boolean} 是否允许访问详细监控信息（未设置令牌时：启用认证则总是拒绝，否则总是允许）
+   */
+  canAccessMonitoring(req) {
+    // 启用认证的部署不应因为漏配监控令牌而公开熔断器、上游、队列和配置等内部信息
+    if (!this.monitoringToken) {
+      return !this.enabled;
+    }
+
+    return this.matchesToken(this.getBearerToken(req) || req.get('X-Monitoring-Token'), this.monitoringToken);
+  }
+
+  /**
+   * 检查管理接口的访问令牌
+   * @param {Object} req - Express 请求
+   * @returns {boolean} 是否允许执行管理操作（未设置令牌时总是拒绝）
+   */
+  canAccessAdmin(req) {
+    if (!this.adminToken) {
+      return false;
+    }
+
+    return this.matchesToken(this.getBearerToken(req) || req.get('X-Admin-Token'), this.adminToken);
+  }
+
+  /**
+   * 以固定时间比较令牌
+   * @param {string|null} token - 请求中的令牌
+   * @param {string} expected - 配置的令牌
+   * @returns {boolean} 是否一致
+   */
+  matchesToken(token, expected) {
+    if (!token) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(
+      Buffer.from(this.digest(expected), 'hex'),
+      Buffer.from(this.digest(token), 'hex')
+    );
+  }
+
+  /**
+   * 读取 Authorization: Bearer 令牌
+   * @param {Object} req - Express 请求
+   * @returns {string|null} 令牌
+   */
+  getBearerToken(req) {
+    const header = req.get('Authorization');
+    const match = header && header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * 创建认证错误
+   * @param {string} code - UNAUTHORIZED 或 FORBIDDEN
+   * @param {string} message - 错误消息
+   * @returns {Error} 错误对象
+   */
+  createAuthError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * 获取认证统计信息
+   * @returns {Object} 认证统计
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      clients: this.clients.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = AuthManager;
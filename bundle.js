@@ -0,0 +1,307 @@
+/**
+ * MCP 代理服务器虚拟服务器模块
+ * 把多个 Dify 服务器聚合为一个 MCP 服务器：initialize 由代理直接应答，
+ * tools/list 合并各成员的工具并加上前缀，tools/call 按前缀转给对应成员
+ */
+
+const { createErrorResponse, ErrorCodes } = require('./errors');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'bundle' });
+
+// 工具名前缀与原始名称之间的分隔符（前缀中不允许出现）
+const SEPARATOR = '__';
+
+// 代理能应答的 MCP 协议版本，客户端请求其他版本时使用 DEFAULT_PROTOCOL_VERSION
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const DEFAULT_PROTOCOL_VERSION = '2025-03-26';
+
+// 每个成员的 tools/list 最多跟随的分页数
+const MAX_PAGES = 20;
+
+class BundleManager {
+  /**
+   * @param {Object} options - 虚拟服务器选项
+   * @param {Function} options.process - 转发给成员服务器 (server, mcpRequest, context) => Promise<Object|null>
+   * @param {Function} options.expectsResponse - 消息是否需要应答 (mcpRequest) => boolean，与单个服务器的判断一致
+   * @param {Array<string>} options.excludeTools - 不从成员合并的工具名（由代理在虚拟服务器上统一提供）
+   */
+  constructor(options = {}) {
+    this.process = options.process;
+    this.expectsResponse = options.expectsResponse || (mcpRequest => typeof mcpRequest.method === 'string' && mcpRequest.id !== undefined);
+    this.excludeTools = new Set(options.excludeTools || []);
+
+    // 虚拟服务器名 → { name, description, members: [{ server, prefix }] }
+    this.bundles = new Map();
+
+    this.stats = {
+      requests: 0,
+      toolCalls: 0,
+      unknownTools: 0,
+      partialLists: 0,
+      failedLists: 0
+    };
+  }
+
+  /**
+   * 替换虚拟服务器配置（注册表加载后调用）
+   * @param {Map<string, Object>} bundles - 虚拟服务器名到配置的映射
+   */
+  setBundles(bundles) {
+    this.bundles = bundles || new Map();
+  }
+
+  /**
+   * 检查虚拟服务器是否存在
+   * @param {string} name - 虚拟服务器名
+   * @returns {boolean} 是否存在
+   */
+  has(name) {
+    return this.bundles.has(name);
+  }
+
+  /**
+   * 获取虚拟服务器配置
+   * @param {string} name - 虚拟服务器名
+   * @returns {Object|null} 配置，不存在时返回 null
+   */
+  get(name) {
+    return this.bundles.get(name) || null;
+  }
+
+  /**
+   * 处理发往虚拟服务器的单个 MCP 消息
+   * @param {string} name - 虚拟服务器名
+   * @param {Object} mcpRequest - MCP 请求对象（已校验格式）
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object|null>} 响应结果，通知返回 null
+   */
+  async handle(name, mcpRequest, context = {}) {
+    const bundle = this.bundles.get(name);
+    this.stats.requests++;
+
+    // 通知（如 notifications/initialized）和客户端的应答无需转发；id 为 null 的请求与单个服务器一样需要应答
+    if (!this.expectsResponse(mcpRequest)) {
+      return null;
+    }
+
+    switch (mcpRequest.method) {
+      case 'initialize':
+        return this.initialize(bundle, mcpRequest);
+      case 'ping':
+        return { jsonrpc: '2.0', id: mcpRequest.id, result: {} };
+      case 'tools/list':
+        return this.listTools(bundle, mcpRequest, context);
+      case 'tools/call':
+        return this.callTool(bundle, mcpRequest, context);
+      default:
+        return createErrorResponse(
+          ErrorCodes.METHOD_NOT_FOUND,
+          `虚拟服务器不支持的方法: ${mcpRequest.method}`,
+          { bundle: bundle.name },
+          mcpRequest.id
+        );
+    }
+  }
+
+  /**
+   * 应答 initialize：虚拟服务器只提供工具，不保存会话
+   * @param {Object} bundle - 虚拟服务器配置
+   * @param {Object} mcpRequest - initialize 请求
+   * @returns {Object} JSON-RPC 响应
+   */
+  initialize(bundle, mcpRequest) {
+    const requested = mcpRequest.params?.protocolVersion;
+
+    const result = {
+      protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : DEFAULT_PROTOCOL_VERSION,
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: `mcp-proxy/${bundle.name}`, version: '2.0.0' }
+    };
+
+    if (bundle.description) {
+      result.instructions = bundle.description;
+    }
+
+    return { jsonrpc: '2.0', id: mcpRequest.id, result };
+  }
+
+  /**
+   * 并行获取所有成员的工具列表，加上前缀后合并
+   * 部分成员不可用时返回其余成员的工具，并在 _meta.unavailableServers 中列出不可用的成员
+   * @param {Object} bundle - 虚拟服务器配置
+   * @param {Object} mcpRequest - tools/list 请求
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object>} JSON-RPC 响应
+   */
+  async listTools(bundle, mcpRequest, context) {
+    const results = await Promise.all(bundle.members.map(member =>
+      this.listMemberTools(bundle, member, mcpRequest, context)
+    ));
+
+    const tools = [];
+    const unavailable = [];
+    results.forEach((result, index) => {
+      const member = bundle.members[index];
+
+      if (result.error) {
+        unavailable.push({ server: member.server, code: result.error.code, message: result.error.message });
+        return;
+      }
+
+      for (const tool of result.tools) {
+        if (!this.excludeTools.has(tool.name)) {
+          tools.push({ ...tool, name: `${member.prefix}${SEPARATOR}${tool.name}` });
+        }
+      }
+    });
+
+    if (unavailable.length === bundle.members.length) {
+      this.stats.failedLists++;
+      log.warn('虚拟服务器的所有成员都不可用', { bundle: bundle.name, servers: unavailable });
+
+      return createErrorResponse(
+        ErrorCodes.SERVER_UNAVAILABLE,
+        `虚拟服务器 ${bundle.name} 的所有成员都不可用`,
+        { bundle: bundle.name, unavailable_servers: unavailable },
+        mcpRequest.id
+      );
+    }
+
+    const result = { tools };
+    if (unavailable.length > 0) {
+      this.stats.partialLists++;
+      log.warn('虚拟服务器的部分成员不可用', { bundle: bundle.name, servers: unavailable });
+      result._meta = { unavailableServers: unavailable };
+    }
+
+    return { jsonrpc: '2.0', id: mcpRequest.id, result };
+  }
+
+  /**
+   * 获取单个成员的全部工具（跟随 nextCursor 分页）
+   * @param {Object} bundle - 虚拟服务器配置
+   * @param {Object} member - 成员 { server, prefix }
+   * @param {Object} mcpRequest - 客户端的 tools/list 请求
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object>} { tools } 或 { error }
+   */
+  async listMemberTools(bundle, member, mcpRequest, context) {
+    const tools = [];
+    let cursor;
+
+    try {
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const request = {
+          jsonrpc: '2.0',
+          id: mcpRequest.id,
+          method: 'tools/list',
+          ...(cursor !== undefined && { params: { cursor } })
+        };
+
+        // 成员的 SSE 帧和最终响应都不直接转发给客户端
+        const response = await this.process(member.server, request, this.createMemberContext(bundle, context, false));
+
+        if (!response || response.error || !Array.isArray(response.result?.tools)) {
+          return { error: response?.error || { code: ErrorCodes.PROXY_ERROR, message: '无效的工具列表响应' } };
+        }
+
+        tools.push(...response.result.tools);
+        cursor = response.result.nextCursor;
+
+        if (!cursor) {
+          break;
+        }
+      }
+    } catch (error) {
+      return { error: { code: ErrorCodes.INTERNAL_ERROR, message: error.message } };
+    }
+
+    return { tools };
+  }
+
+  /**
+   * 按前缀把 tools/call 转给对应成员，转发前换回成员的工具名
+   * @param {Object} bundle - 虚拟服务器配置
+   * @param {Object} mcpRequest - tools/call 请求
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object|null>} JSON-RPC 响应
+   */
+  async callTool(bundle, mcpRequest, context) {
+    const name = mcpRequest.params?.name;
+    const index = typeof name === 'string' ? name.indexOf(SEPARATOR) : -1;
+    const member = index > 0 ?
+      bundle.members.find(candidate => candidate.prefix === name.slice(0, index)) :
+      undefined;
+    const tool = member ? name.slice(index + SEPARATOR.length) : '';
+
+    if (!member || tool === '' || this.excludeTools.has(tool)) {
+      this.stats.unknownTools++;
+      log.warn('虚拟服务器收到未知工具调用', { bundle: bundle.name, tool: name });
+
+      return createErrorResponse(
+        ErrorCodes.INVALID_PARAMS,
+        `未知工具: ${name}`,
+        { tool: name ?? null, bundle: bundle.name },
+        mcpRequest.id
+      );
+    }
+
+    this.stats.toolCalls++;
+    return this.forward(bundle, member.server, {
+      ...mcpRequest,
+      params: { ...mcpRequest.params, name: tool }
+    }, context);
+  }
+
+  /**
+   * 把请求转给成员服务器，SSE 帧照常转发给客户端
+   * @param {Object} bundle - 虚拟服务器配置
+   * @param {string} server - 成员服务器名
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object|null>} 成员的响应
+   */
+  async forward(bundle, server, mcpRequest, context) {
+    const memberContext = this.createMemberContext(bundle, context, true);
+    const response = await this.process(server, mcpRequest, memberContext);
+
+    // 配额响应头取成员请求中最紧的一项
+    const rateLimit = memberContext.rateLimit;
+    if (rateLimit && (!context.rateLimit || rateLimit.remaining < context.rateLimit.remaining)) {
+      context.rateLimit = rateLimit;
+    }
+
+    return response;
+  }
+
+  /**
+   * 创建转发给成员时使用的上下文
+   * 虚拟服务器不保存会话，客户端的会话 ID 对成员无效，成员创建的会话也不返回给客户端
+   * @param {Object} bundle - 虚拟服务器配置
+   * @param {Object} context - 请求上下文
+   * @param {boolean} relay - 是否把成员的 SSE 帧转发给客户端
+   * @returns {Object} 成员上下文
+   */
+  createMemberContext(bundle, context, relay) {
+    const { sessionId, upstreamSessionId, onEvent, rateLimit, ...rest } = context;
+    const memberContext = { ...rest, bundle: bundle.name };
+    return relay && onEvent ? { ...memberContext, onEvent } : memberContext;
+  }
+
+  /**
+   * 获取虚拟服务器统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      bundles: Object.fromEntries([...this.bundles.values()].map(bundle => [
+        bundle.name,
+        bundle.members.map(member => member.server)
+      ])),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = BundleManager;
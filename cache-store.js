@@ -0,0 +1,324 @@
+/**
+ * MCP 代理服务器缓存存储模块
+ * 缓存管理器通过存储接口读写数据，可替换为不同后端：
+ * - memory: 进程内缓存，每个副本独立
+ * - redis: 多副本共享的 Redis（或兼容 RESP 的服务），本地保留一份近端缓存，失效通知通过发布订阅广播到所有副本
+ *
+ * 存储接口：get(key)、set(key, value, ttl)、deletePrefix(prefix)、flushLocal()、getStats()、close()
+ */
+
+const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const RedisClient = require('./redis-client');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cache' });
+
+/**
+ * 转义 Redis SCAN MATCH 模式中的通配符
+ * @param {string} value - 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapePattern(value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * 删除 NodeCache 中指定前缀的键
+ * @param {NodeCache} cache - 缓存实例
+ * @param {string} prefix - 键前缀
+ * @returns {number} 删除的键数量
+ */
+function deleteLocalPrefix(cache, prefix) {
+  const keys = cache.keys().filter(key => key.startsWith(prefix));
+  cache.del(keys);
+  return keys.length;
+}
+
+class MemoryCacheStore {
+  /**
+   * @param {Object} options - 存储选项
+   * @param {number} options.maxKeys - 最大缓存键数量
+   */
+  constructor(options = {}) {
+    this.backend = 'memory';
+    this.cache = new NodeCache({
+      stdTTL: 300,              // 默认 TTL 5分钟
+      checkperiod: 60,          // 每分钟检查过期键
+      useClones: false,         // 性能优化：不克隆对象
+      maxKeys: options.maxKeys || 1000
+    });
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} key - 缓存键
+   * @returns {Promise<*>} 缓存值，不存在时为 undefined
+   */
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  /**
+   * 写入缓存（超过最大键数量时放弃写入）
+   * @param {string} key - 缓存键
+   * @param {*} value - 缓存值
+   * @param {number} ttl - 过期时间（秒）
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    try {
+      this.cache.set(key, value, ttl);
+    } catch (error) {
+      log.debug('缓存已满，跳过写入', { key, reason: error.message });
+    }
+  }
+
+  /**
+   * 删除指定前缀的缓存
+   * @param {string} prefix - 键前缀
+   * @returns {Promise<number>} 删除的键数量
+   */
+  async deletePrefix(prefix) {
+    return deleteLocalPrefix(this.cache, prefix);
+  }
+
+  /**
+   * 清空本副本的缓存
+   */
+  flushLocal() {
+    this.cache.flushAll();
+  }
+
+  /**
+   * 获取存储统计信息
+   * @returns {Object} 存储统计
+   */
+  getStats() {
+    return {
+      backend: this.backend,
+      keys: this.cache.keys().length
+    };
+  }
+
+  /**
+   * 关闭存储
+   */
+  close() {
+    this.cache.close();
+  }
+}
+
+class RedisCacheStore {
+  /**
+   * @param {Object} options - 存储选项
+   * @param {string} options.url - Redis 地址
+   * @param {string} options.namespace - 键和频道的命名空间，多个部署共用一个 Redis 时用于隔离
+   * @param {number} options.maxKeys - 本地近端缓存的最大键数量
+   * @param {number} options.commandTimeout - Redis 命令超时（毫秒）
+   */
+  constructor(options = {}) {
+    this.backend = 'redis';
+    this.namespace = options.namespace || 'mcp-proxy';
+    this.keyPrefix = `${this.namespace}:cache:`;
+    this.channel = `${this.namespace}:cache:invalidate`;
+
+    // 区分自己发出的失效通知
+    this.instanceId = crypto.randomUUID();
+
+    // 本地近端缓存：命中时不访问 Redis，其他副本清除缓存时通过失效通知同步删除
+    this.local = new NodeCache({
+      stdTTL: 300,
+      checkperiod: 60,
+      useClones: false,
+      maxKeys: options.maxKeys || 1000
+    });
+
+    this.stats = {
+      remoteHits: 0,
+      errors: 0,
+      invalidations: 0
+    };
+
+    const clientOptions = { url: options.url, commandTimeout: options.commandTimeout };
+    this.client = new RedisClient({ ...clientOptions, name: `${this.namespace}:cache` });
+    this.subscriber = new RedisClient({ ...clientOptions, name: `${this.namespace}:cache-invalidate` });
+
+    // 订阅连接断开期间可能错过失效通知，重新连上后清空近端缓存
+    this.subscriber.on('ready', () => this.local.flushAll());
+
+    this.client.connect();
+    this.subscriber.subscribe(this.channel, message => this.handleInvalidation(message)).catch(error => {
+      log.warn('订阅缓存失效通知失败', { channel: this.channel, reason: error.message });
+    });
+  }
+
+  /**
+   * 处理其他副本发出的失效通知
+   * @param {string} message - 通知内容（JSON）
+   */
+  handleInvalidation(message) {
+    const { origin, prefix } = JSON.parse(message);
+    if (origin === this.instanceId || typeof prefix !== 'string') {
+      return;
+    }
+
+    const deleted = deleteLocalPrefix(this.local, prefix);
+    this.stats.invalidations++;
+    log.debug('收到缓存失效通知', { prefix, deleted });
+  }
+
+  /**
+   * 记录 Redis 错误（缓存不可用时按未命中处理，不影响请求）
+   * @param {string} operation - 操作名
+   * @param {Error} error - 错误
+   */
+  recordError(operation, error) {
+    this.stats.errors++;
+    log.debug('Redis 缓存操作失败', { operation, reason: error.message });
+  }
+
+  /**
+   * 读取缓存：先查近端缓存，未命中时读取 Redis 并按剩余 TTL 放入近端缓存
+   * @param {string} key - 缓存键
+   * @returns {Promise<*>} 缓存值，不存在或 Redis 不可用时为 undefined
+   */
+  async get(key) {
+    const local = this.local.get(key);
+    if (local !== undefined) {
+      return local;
+    }
+
+    try {
+      const redisKey = this.keyPrefix + key;
+      const [raw, pttl] = await Promise.all([
+        this.client.command('GET', redisKey),
+        this.client.command('PTTL', redisKey)
+      ]);
+      if (raw === null) {
+        return undefined;
+      }
+
+      const value = JSON.parse(raw);
+      if (pttl > 0) {
+        this.setLocal(key, value, Math.ceil(pttl / 1000));
+      }
+
+      this.stats.remoteHits++;
+      return value;
+    } catch (error) {
+      this.recordError('get', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * 写入近端缓存（超过最大键数量时放弃写入）
+   * @param {string} key - 缓存键
+   * @param {*} value - 缓存值
+   * @param {number} ttl - 过期时间（秒）
+   */
+  setLocal(key, value, ttl) {
+    try {
+      this.local.set(key, value, ttl);
+    } catch (error) {
+      log.debug('近端缓存已满，跳过写入', { key, reason: error.message });
+    }
+  }
+
+  /**
+   * 写入缓存：同时写入近端缓存和 Redis
+   * @param {string} key - 缓存键
+   * @param {*} value - 缓存值
+   * @param {number} ttl - 过期时间（秒）
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this.setLocal(key, value, ttl);
+
+    try {
+      await this.client.command('SET', this.keyPrefix + key, JSON.stringify(value), 'EX', ttl);
+    } catch (error) {
+      this.recordError('set', error);
+    }
+  }
+
+  /**
+   * 删除指定前缀的缓存：清除 Redis 中的键并通知所有副本清除近端缓存
+   * @param {string} prefix - 键前缀
+   * @returns {Promise<number>} 从 Redis 删除的键数量
+   * @throws {Error} Redis 不可用时抛出 code 为 REDIS_UNAVAILABLE 等的错误（本副本的近端缓存已清除）
+   */
+  async deletePrefix(prefix) {
+    deleteLocalPrefix(this.local, prefix);
+
+    const pattern = `${escapePattern(this.keyPrefix + prefix)}*`;
+    let cursor = '0';
+    let deleted = 0;
+
+    do {
+      const [next, keys] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      cursor = next;
+      if (keys.length > 0) {
+        deleted += await this.client.command('DEL', ...keys);
+      }
+    } while (cursor !== '0');
+
+    await this.client.command('PUBLISH', this.channel, JSON.stringify({ origin: this.instanceId, prefix }));
+
+    return deleted;
+  }
+
+  /**
+   * 清空本副本的近端缓存（Redis 中的共享数据由其他副本继续使用）
+   */
+  flushLocal() {
+    this.local.flushAll();
+  }
+
+  /**
+   * 获取存储统计信息
+   * @returns {Object} 存储统计
+   */
+  getStats() {
+    return {
+      backend: this.backend,
+      namespace: this.namespace,
+      keys: this.local.keys().length,
+      ...this.stats,
+      redis: this.client.getState()
+    };
+  }
+
+  /**
+   * 关闭 Redis 连接
+   */
+  close() {
+    this.client.quit();
+    this.subscriber.quit();
+    this.local.close();
+  }
+}
+
+/**
+ * 按配置创建缓存存储
+ * @param {Object} options - 存储选项（backend、redisUrl、namespace、maxKeys）
+ * @returns {MemoryCacheStore|RedisCacheStore} 缓存存储
+ */
+function createCacheStore(options = {}) {
+  if (options.backend === 'redis') {
+    return new RedisCacheStore({
+      url: options.redisUrl,
+      namespace: options.namespace,
+      maxKeys: options.maxKeys
+    });
+  }
+
+  return new MemoryCacheStore({ maxKeys: options.maxKeys });
+}
+
+module.exports = {
+  MemoryCacheStore,
+  RedisCacheStore,
+  createCacheStore
+};
@@ -1,36 +1,108 @@
 /**
  * MCP 代理服务器缓存管理模块
- * 提供智能缓存策略，提升响应速度
+ * 提供智能缓存策略，提升响应速度；数据存放在可替换的缓存存储中（进程内或多副本共享的 Redis）
  */
 
-const NodeCache = require('node-cache');
 const crypto = require('crypto');
+const { createCacheStore } = require('./cache-store');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cache' });
 
 class CacheManager {
-  constructor() {
-    // 初始化缓存实例
-    this.cache = new NodeCache({
-      stdTTL: 300,              // 默认 TTL 5分钟
-      checkperiod: 60,          // 每分钟检查过期键
-      useClones: false,         // 性能优化：不克隆对象
-      maxKeys: 1000            // 最大缓存键数量
+  constructor(options = {}) {
+    // 是否启用缓存
+    this.enabled = options.enabled !== false;
+    
+    // 缓存存储：可直接传入实现了存储接口的对象，否则按 backend 创建
+    this.store = options.store || createCacheStore({
+      backend: options.backend,
+      redisUrl: options.redisUrl,
+      namespace: options.namespace,
+      maxKeys: options.maxKeys
     });
     
     // 不同方法的缓存时间配置（秒）
     this.cacheTTL = {
-      'initialize': 600,        // 初始化缓存 10分钟
-      'tools/list': 300,        // 工具列表缓存 5分钟
-      'tools/call': 0           // 工具调用不缓存
+      'initialize': options.ttlInitialize ?? 600,   // 初始化缓存 10分钟
+      'tools/list': options.ttlToolsList ?? 300,    // 工具列表缓存 5分钟
+      'tools/call': 0                               // 工具调用不缓存
     };
     
+    // 过期后保留的宽限期（秒）：
+    // staleWhileRevalidate 内直接返回过期数据并在后台刷新，staleIfError 内只在转发失败时作为兜底返回
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 60;
+    this.staleIfError = options.staleIfError ?? 600;
+    
+    // 正在后台刷新的缓存键，同一个键只刷新一次
+    this.revalidating = new Set();
+    
+    // 正在转发的可缓存请求（缓存键 → Promise），相同的并发请求共用一次上游调用
+    this.inflight = new Map();
+    
+    // 单个服务器覆盖的缓存时间（来自服务器注册表）
+    this.serverTTL = new Map();
+    
     // 缓存统计
     this.stats = {
       hits: 0,
       misses: 0,
-      sets: 0
+      sets: 0,
+      stale: 0,
+      revalidations: 0,
+      flights: 0,
+      coalesced: 0
     };
   }
   
+  /**
+   * 更新缓存配置（热加载）
+   * @param {Object} options - 缓存选项（enabled, ttlInitialize, ttlToolsList, staleWhileRevalidate, staleIfError）
+   */
+  configure(options = {}) {
+    if (options.enabled !== undefined) {
+      this.enabled = options.enabled;
+    }
+    if (options.ttlInitialize !== undefined) {
+      this.cacheTTL['initialize'] = options.ttlInitialize;
+    }
+    if (options.ttlToolsList !== undefined) {
+      this.cacheTTL['tools/list'] = options.ttlToolsList;
+    }
+    if (options.staleWhileRevalidate !== undefined) {
+      this.staleWhileRevalidate = options.staleWhileRevalidate;
+    }
+    if (options.staleIfError !== undefined) {
+      this.staleIfError = options.staleIfError;
+    }
+    
+    // 关闭缓存时清掉本副本的数据，避免重新开启后返回过旧的结果；
+    // 共享存储中的数据仍由其他副本使用，按 TTL 自然过期
+    if (!this.enabled) {
+      this.store.flushLocal();
+    }
+    
+    log.info('缓存配置已更新', {
+      enabled: this.enabled,
+      ttl: this.cacheTTL,
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      staleIfError: this.staleIfError
+    });
+  }
+  
+  /**
+   * 设置单个服务器的缓存时间，覆盖全局配置
+   * @param {string} serverId - 服务器 ID
+   * @param {Object|null} ttl - 方法到 TTL（秒）的映射，null 表示恢复全局配置
+   */
+  setServerTTL(serverId, ttl) {
+    if (ttl) {
+      this.serverTTL.set(serverId, { ...ttl });
+    } else {
+      this.serverTTL.delete(serverId);
+    }
+  }
+  
   /**
    * 生成缓存键
    * @param {string} serverId - 服务器 ID
@@ -49,44 +121,152 @@ class CacheManager {
   /**
    * 检查是否应该缓存该方法
    * @param {string} method - MCP 方法名
+   * @param {string} serverId - 服务器 ID（可选）
    * @returns {boolean} 是否应该缓存
    */
-  shouldCache(method) {
-    const ttl = this.cacheTTL[method];
-    return ttl !== undefined && ttl > 0;
+  shouldCache(method, serverId) {
+    if (!this.enabled) {
+      return false;
+    }
+    
+    return this.getCacheTTL(method, serverId) > 0;
   }
   
   /**
    * 获取方法的缓存 TTL
    * @param {string} method - MCP 方法名
+   * @param {string} serverId - 服务器 ID（可选）
    * @returns {number} TTL（秒）
    */
-  getCacheTTL(method) {
+  getCacheTTL(method, serverId) {
+    const overrides = this.serverTTL.get(serverId);
+    if (overrides && overrides[method] !== undefined) {
+      return overrides[method];
+    }
+    
     return this.cacheTTL[method] || 0;
   }
   
   /**
-   * 从缓存获取数据
+   * 从缓存获取数据（只返回未过期的数据）
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @returns {Promise<Object|null>} 缓存的响应或 null（存储不可用时按未命中处理）
+   */
+  async get(serverId, mcpRequest) {
+    const entry = await this.lookup(serverId, mcpRequest);
+    return entry && entry.state === 'fresh' ? entry.response : null;
+  }
+  
+  /**
+   * 查找缓存，过期但仍在宽限期内的数据也会返回
    * @param {string} serverId - 服务器 ID
    * @param {Object} mcpRequest - MCP 请求对象
-   * @returns {Object|null} 缓存的响应或 null
+   * @returns {Promise<Object|null>} { response, state, age }，state 为
+   *          fresh（未过期）、stale（可直接返回并在后台刷新）或 expired（只能在转发失败时兜底），
+   *          age 为过期了多少秒；没有可用数据时返回 null
    */
-  get(serverId, mcpRequest) {
-    if (!this.shouldCache(mcpRequest.method)) {
+  async lookup(serverId, mcpRequest) {
+    if (!this.shouldCache(mcpRequest.method, serverId)) {
       return null;
     }
     
     const key = this.generateCacheKey(serverId, mcpRequest);
-    const cached = this.cache.get(key);
+    const cached = await this.store.get(key);
+    
+    if (!cached) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    // 兼容没有过期时间的旧数据（滚动升级期间由旧版本副本写入共享存储），按未过期处理
+    const { response, expiresAt } = cached.expiresAt !== undefined ? cached : { response: cached, expiresAt: Infinity };
+    const age = Math.max(0, (Date.now() - expiresAt) / 1000);
     
-    if (cached) {
+    if (age === 0) {
       this.stats.hits++;
-      console.log(`缓存命中: ${key}`);
-      return cached;
+      log.debug('缓存命中', { key });
+      return { response, state: 'fresh', age };
+    }
+    
+    if (age <= this.staleWhileRevalidate) {
+      this.stats.stale++;
+      log.debug('缓存已过期，返回旧数据并在后台刷新', { key, age });
+      return { response, state: 'stale', age };
     }
     
     this.stats.misses++;
-    return null;
+    return age <= this.staleIfError ? { response, state: 'expired', age } : null;
+  }
+  
+  /**
+   * 读取缓存中的响应，不计入命中统计，过期但仍在存储中的数据也返回（用于读取工具列表等辅助数据）
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @returns {Promise<Object|null>} 缓存的响应
+   */
+  async peek(serverId, mcpRequest) {
+    if (!this.enabled) {
+      return null;
+    }
+    
+    const cached = await this.store.get(this.generateCacheKey(serverId, mcpRequest));
+    if (!cached) {
+      return null;
+    }
+    
+    return cached.expiresAt !== undefined ? cached.response : cached;
+  }
+  
+  /**
+   * 在后台刷新缓存，同一个键同时只有一次刷新
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Function} refresh - 重新请求的异步函数，成功的响应应由它写入缓存
+   * @returns {boolean} 是否发起了刷新
+   */
+  revalidate(serverId, mcpRequest, refresh) {
+    const key = this.generateCacheKey(serverId, mcpRequest);
+    if (this.revalidating.has(key)) {
+      return false;
+    }
+    
+    this.revalidating.add(key);
+    this.stats.revalidations++;
+    
+    Promise.resolve()
+      .then(refresh)
+      .catch(error => log.warn('后台刷新缓存失败', { key, reason: error.message }))
+      .finally(() => this.revalidating.delete(key));
+    
+    return true;
+  }
+  
+  /**
+   * 合并相同的并发请求：同一缓存键已有请求在转发时等待它的结果，否则执行 execute
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Function} execute - 转发请求的异步函数
+   * @returns {Promise<Object>} { value, shared }，shared 为 true 表示结果来自其他请求
+   */
+  async coalesce(serverId, mcpRequest, execute) {
+    const key = this.generateCacheKey(serverId, mcpRequest);
+    
+    const inflight = this.inflight.get(key);
+    if (inflight) {
+      this.stats.coalesced++;
+      log.debug('合并进行中的相同请求', { key });
+      return { value: await inflight, shared: true };
+    }
+    
+    const promise = Promise.resolve()
+      .then(execute)
+      .finally(() => this.inflight.delete(key));
+    
+    this.inflight.set(key, promise);
+    this.stats.flights++;
+    
+    return { value: await promise, shared: false };
   }
   
   /**
@@ -94,9 +274,10 @@ class CacheManager {
    * @param {string} serverId - 服务器 ID
    * @param {Object} mcpRequest - MCP 请求对象
    * @param {Object} response - 响应数据
+   * @returns {Promise<void>} 写入完成（存储不可用时忽略，不影响请求）
    */
-  set(serverId, mcpRequest, response) {
-    if (!this.shouldCache(mcpRequest.method)) {
+  async set(serverId, mcpRequest, response) {
+    if (!this.shouldCache(mcpRequest.method, serverId)) {
       return;
     }
     
@@ -106,23 +287,28 @@ class CacheManager {
     }
     
     const key = this.generateCacheKey(serverId, mcpRequest);
-    const ttl = this.getCacheTTL(mcpRequest.method);
+    const ttl = this.getCacheTTL(mcpRequest.method, serverId);
+    const grace = Math.max(this.staleWhileRevalidate, this.staleIfError);
     
-    this.cache.set(key, response, ttl);
+    // 记录过期时间，存储中多保留一个宽限期
     this.stats.sets++;
-    console.log(`缓存设置: ${key}, TTL: ${ttl}秒`);
+    await this.store.set(key, { response, expiresAt: Date.now() + ttl * 1000 }, ttl + grace);
+    log.debug('缓存设置', { key, ttl });
   }
   
   /**
-   * 清除特定服务器的所有缓存
+   * 清除特定服务器的缓存（共享存储会通知所有副本）
    * @param {string} serverId - 服务器 ID
+   * @param {string} method - MCP 方法名（可选，只清除该方法的缓存）
+   * @returns {Promise<number>} 清除的缓存条数
    */
-  clearServerCache(serverId) {
-    const keys = this.cache.keys();
-    const serverKeys = keys.filter(key => key.startsWith(serverId + ':'));
+  async clearServerCache(serverId, method) {
+    const prefix = method ? `${serverId}:${method}:` : `${serverId}:`;
+    const cleared = await this.store.deletePrefix(prefix);
+    
+    log.info('清除服务器缓存', { serverId, method, keys: cleared, backend: this.store.backend });
     
-    serverKeys.forEach(key => this.cache.del(key));
-    console.log(`清除服务器 ${serverId} 的 ${serverKeys.length} 个缓存项`);
+    return cleared;
   }
   
   /**
@@ -130,22 +316,40 @@ class CacheManager {
    * @returns {Object} 缓存统计
    */
   getStats() {
-    const hitRate = this.stats.hits + this.stats.misses > 0 ?
-      (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2) : 0;
+    // 返回过期数据也算作命中
+    const served = this.stats.hits + this.stats.stale;
+    const hitRate = served + this.stats.misses > 0 ?
+      (served / (served + this.stats.misses) * 100).toFixed(2) : 0;
+    
+    // 合并率：进入合并的请求中，没有单独请求上游的比例
+    const joined = this.stats.flights + this.stats.coalesced;
+    const coalesceRate = joined > 0 ? (this.stats.coalesced / joined * 100).toFixed(2) : 0;
     
     return {
+      enabled: this.enabled,
       ...this.stats,
       hitRate: `${hitRate}%`,
-      keys: this.cache.keys().length
+      coalesceRate: `${coalesceRate}%`,
+      revalidating: this.revalidating.size,
+      inflight: this.inflight.size,
+      ...this.store.getStats()
     };
   }
   
   /**
-   * 清除所有缓存
+   * 清除本副本的所有缓存（共享存储中的数据不受影响）
    */
   clearAll() {
-    this.cache.flushAll();
-    console.log('已清除所有缓存');
+    this.store.flushLocal();
+    log.info('已清除所有缓存');
+  }
+  
+  /**
+   * 清除本副本的缓存并关闭存储连接（关闭时调用）
+   */
+  close() {
+    this.clearAll();
+    this.store.close();
   }
 }
 
@@ -3,31 +3,103 @@
  * 提供服务保护机制，防止级联故障
  */
 
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'circuit-breaker' });
+
+// 滑动窗口分成的桶数，窗口随时间逐桶滑动
+const BUCKET_COUNT = 10;
+
+// 熔断器的可配置项，热加载时应用到已创建的熔断器
+const BREAKER_OPTIONS = [
+  'failureThreshold',
+  'errorRateThreshold',
+  'minimumRequests',
+  'timeoutThreshold',
+  'monitoringPeriod',
+  'recoveryTimeout',
+  'maxRecoveryTimeout',
+  'halfOpenMaxProbes',
+  'classifyError'
+];
+
+/**
+ * 判断错误是否计入熔断统计
+ * - timeout: 超时（本地超时、上游 408/504），计入失败，并单独累计超时次数
+ * - failure: 网络错误、5xx、429 及其他异常，计入失败
+ * - ignored: 其他 4xx，通常是客户端参数错误，说明上游仍在正常响应，不计入失败；回放模式下没有录制记录同样不计入
+ * - neutral: 与本熔断器无关的错误，既不算成功也不算失败——内层熔断器（如所有上游都已熔断）拒绝的请求没有到达 Dify，
+ *   ERR_CANCELED 是请求被取消（如客户端已断开）
+ * @param {Error} error - 错误对象
+ * @returns {string} timeout、failure、ignored 或 neutral
+ */
+function classifyError(error) {
+  if (error.code === 'REPLAY_MISS') {
+    return 'ignored';
+  }
+
+  if (error.code === 'CIRCUIT_BREAKER_OPEN' || error.code === 'ERR_CANCELED') {
+    return 'neutral';
+  }
+
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+    return 'timeout';
+  }
+
+  const status = error.response?.status;
+  if (status === 408 || status === 504) {
+    return 'timeout';
+  }
+  if (status >= 400 && status < 500 && status !== 429) {
+    return 'ignored';
+  }
+
+  return 'failure';
+}
+
 class CircuitBreaker {
   constructor(serverId, options = {}) {
     this.serverId = serverId;
     
     // 配置参数
-    this.failureThreshold = options.failureThreshold || 5;    // 失败阈值
-    this.recoveryTimeout = options.recoveryTimeout || 30000;  // 恢复超时 30秒
-    this.monitoringPeriod = options.monitoringPeriod || 60000; // 监控周期 1分钟
+    this.failureThreshold = options.failureThreshold || 5;        // 窗口内至少失败次数
+    this.errorRateThreshold = options.errorRateThreshold || 50;   // 窗口内错误率阈值（百分比）
+    this.minimumRequests = options.minimumRequests || 5;          // 窗口内最少请求数，请求太少时不按错误率熔断
+    this.timeoutThreshold = options.timeoutThreshold || 0;        // 窗口内超时次数达到该值时单独熔断，0 表示不单独计算
+    this.monitoringPeriod = options.monitoringPeriod || 60000;    // 统计窗口 1分钟
+    this.recoveryTimeout = options.recoveryTimeout || 30000;      // 恢复超时 30秒，连续熔断时翻倍
+    this.maxRecoveryTimeout = options.maxRecoveryTimeout || 300000; // 恢复超时上限 5分钟
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1;      // 半开状态下同时放行的探测请求数
+    this.classifyError = options.classifyError || classifyError;
     
     // 状态管理
     this.state = 'CLOSED';        // CLOSED, OPEN, HALF_OPEN
-    this.failureCount = 0;        // 失败计数
-    this.successCount = 0;        // 成功计数
+    this.buckets = [];            // 滑动窗口的统计桶
+    this.consecutiveTrips = 0;    // 连续熔断次数（关闭后清零），决定恢复超时
+    this.halfOpenInFlight = 0;    // 进行中的探测请求数
+    this.probeSuccesses = 0;      // 本轮半开状态下成功的探测数
     this.nextAttempt = Date.now(); // 下次尝试时间
     this.lastFailureTime = null;   // 最后失败时间
+    this.lastTripReason = null;    // 最近一次熔断原因：error_rate 或 timeouts
+    this.forced = false;           // 是否由管理操作强制打开
     
     // 统计信息
     this.stats = {
       totalRequests: 0,
       totalFailures: 0,
+      totalTimeouts: 0,
+      totalIgnored: 0,
+      totalNeutral: 0,
       totalSuccesses: 0,
+      totalRejected: 0,
       circuitBreakerTrips: 0
     };
     
-    console.log(`熔断器已初始化: ${serverId}, 失败阈值: ${this.failureThreshold}`);
+    log.debug('熔断器已初始化', {
+      breaker: serverId,
+      errorRateThreshold: this.errorRateThreshold,
+      minimumRequests: this.minimumRequests
+    });
   }
   
   /**
@@ -41,72 +113,205 @@ class CircuitBreaker {
     // 检查熔断器状态
     if (this.state === 'OPEN') {
       if (Date.now() < this.nextAttempt) {
-        const error = new Error(`熔断器开启 - 服务 ${this.serverId} 暂时不可用`);
-        error.code = 'CIRCUIT_BREAKER_OPEN';
-        throw error;
+        throw this.createOpenError(this.forced ?
+          `服务 ${this.serverId} 维护中，暂时不可用` :
+          `熔断器开启 - 服务 ${this.serverId} 暂时不可用`);
       }
       
       // 尝试半开状态
       this.state = 'HALF_OPEN';
-      console.log(`熔断器半开: ${this.serverId}`);
+      this.forced = false;
+      this.probeSuccesses = 0;
+      log.info('熔断器半开', { breaker: this.serverId, probes: this.halfOpenMaxProbes });
+    }
+    
+    // 半开状态只放行有限的探测请求，其余请求仍按熔断处理
+    const probe = this.state === 'HALF_OPEN';
+    if (probe) {
+      if (this.halfOpenInFlight >= this.halfOpenMaxProbes) {
+        throw this.createOpenError(`熔断器半开 - 服务 ${this.serverId} 正在探测恢复`);
+      }
+      this.halfOpenInFlight++;
     }
     
     try {
       const result = await fn();
-      this.onSuccess();
+      this.onSuccess(probe);
       return result;
     } catch (error) {
-      this.onFailure(error);
+      this.onFailure(error, probe);
       throw error;
+    } finally {
+      if (probe) {
+        this.halfOpenInFlight--;
+      }
+    }
+  }
+  
+  /**
+   * 创建熔断错误
+   * @param {string} message - 错误消息
+   * @returns {Error} code 为 CIRCUIT_BREAKER_OPEN 的错误
+   */
+  createOpenError(message) {
+    this.stats.totalRejected++;
+    
+    const error = new Error(message);
+    error.code = 'CIRCUIT_BREAKER_OPEN';
+    return error;
+  }
+  
+  /**
+   * 获取当前时间所在的统计桶，并移除滑出窗口的桶
+   * @param {number} now - 当前时间
+   * @returns {Object} 统计桶
+   */
+  getBucket(now) {
+    const duration = this.monitoringPeriod / BUCKET_COUNT;
+    const start = Math.floor(now / duration) * duration;
+    
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, failures: 0, timeouts: 0 };
+      this.buckets.push(bucket);
+    }
+    
+    while (this.buckets[0].start <= now - this.monitoringPeriod) {
+      this.buckets.shift();
     }
+    
+    return bucket;
+  }
+  
+  /**
+   * 汇总滑动窗口内的请求、失败和超时次数
+   * @returns {Object} { requests, failures, timeouts, errorRate }
+   */
+  getWindow() {
+    const since = Date.now() - this.monitoringPeriod;
+    const window = { requests: 0, failures: 0, timeouts: 0, errorRate: 0 };
+    
+    for (const bucket of this.buckets) {
+      if (bucket.start > since) {
+        window.requests += bucket.requests;
+        window.failures += bucket.failures;
+        window.timeouts += bucket.timeouts;
+      }
+    }
+    
+    if (window.requests > 0) {
+      window.errorRate = Math.round(window.failures / window.requests * 10000) / 100;
+    }
+    
+    return window;
   }
   
   /**
    * 处理成功情况
+   * @param {boolean} probe - 是否为半开状态下的探测请求
    */
-  onSuccess() {
+  onSuccess(probe) {
     this.stats.totalSuccesses++;
-    this.successCount++;
+    this.getBucket(Date.now()).requests++;
     
-    if (this.state === 'HALF_OPEN') {
-      // 半开状态下成功，重置为关闭状态
-      this.reset();
-      console.log(`熔断器重置为关闭状态: ${this.serverId}`);
-    } else if (this.state === 'CLOSED') {
-      // 关闭状态下的成功，重置失败计数
-      this.failureCount = Math.max(0, this.failureCount - 1);
+    // 半开状态下探测全部成功后关闭；熔断前就已发出的请求不影响状态
+    if (probe && this.state === 'HALF_OPEN') {
+      this.probeSuccesses++;
+      if (this.probeSuccesses >= this.halfOpenMaxProbes) {
+        this.reset();
+        log.info('熔断器重置为关闭状态', { breaker: this.serverId });
+      }
     }
   }
   
   /**
    * 处理失败情况
    * @param {Error} error - 错误对象
+   * @param {boolean} probe - 是否为半开状态下的探测请求
    */
-  onFailure(error) {
+  onFailure(error, probe) {
+    const kind = this.classifyError(error);
+    
+    // 与本熔断器无关的错误不计入统计，也不改变半开状态
+    if (kind === 'neutral') {
+      this.stats.totalNeutral++;
+      return;
+    }
+    
+    // 不计入失败的错误（如客户端参数错误）说明上游仍在正常响应，按成功处理
+    if (kind === 'ignored') {
+      this.stats.totalIgnored++;
+      this.onSuccess(probe);
+      return;
+    }
+    
     this.stats.totalFailures++;
-    this.failureCount++;
     this.lastFailureTime = Date.now();
     
-    console.log(`熔断器记录失败: ${this.serverId}, 失败次数: ${this.failureCount}/${this.failureThreshold}`);
+    const bucket = this.getBucket(this.lastFailureTime);
+    bucket.requests++;
+    bucket.failures++;
+    if (kind === 'timeout') {
+      this.stats.totalTimeouts++;
+      bucket.timeouts++;
+    }
+    
+    const window = this.getWindow();
+    log.warn('熔断器记录失败', {
+      breaker: this.serverId,
+      kind,
+      failures: window.failures,
+      requests: window.requests,
+      errorRate: window.errorRate,
+      error
+    });
     
-    // 检查是否需要打开熔断器
-    if (this.state === 'CLOSED' && this.failureCount >= this.failureThreshold) {
-      this.trip();
-    } else if (this.state === 'HALF_OPEN') {
-      // 半开状态下失败，立即打开熔断器
-      this.trip();
+    if (this.state === 'HALF_OPEN') {
+      // 探测失败，立即重新打开熔断器
+      if (probe) {
+        this.trip('probe_failed', window);
+      }
+      return;
+    }
+    
+    if (this.state !== 'CLOSED') {
+      return;
+    }
+    
+    if (this.timeoutThreshold > 0 && window.timeouts >= this.timeoutThreshold) {
+      this.trip('timeouts', window);
+    } else if (window.requests >= this.minimumRequests &&
+               window.failures >= this.failureThreshold &&
+               window.errorRate >= this.errorRateThreshold) {
+      this.trip('error_rate', window);
     }
   }
   
   /**
-   * 触发熔断器（打开状态）
+   * 触发熔断器（打开状态），连续熔断时恢复超时按指数增长
+   * @param {string} reason - 熔断原因：error_rate、timeouts、probe_failed 或 health_check
+   * @param {Object} window - 熔断时的窗口统计
    */
-  trip() {
+  trip(reason, window) {
+    const recoveryTimeout = Math.min(
+      this.recoveryTimeout * Math.pow(2, this.consecutiveTrips),
+      Math.max(this.recoveryTimeout, this.maxRecoveryTimeout)
+    );
+    
     this.state = 'OPEN';
-    this.nextAttempt = Date.now() + this.recoveryTimeout;
+    this.nextAttempt = Date.now() + recoveryTimeout;
+    this.consecutiveTrips++;
+    this.lastTripReason = reason;
+    this.buckets = [];
     this.stats.circuitBreakerTrips++;
     
-    console.log(`熔断器已打开: ${this.serverId}, 将在 ${this.recoveryTimeout/1000}秒 后尝试恢复`);
+    log.warn('熔断器已打开', {
+      breaker: this.serverId,
+      reason,
+      ...window,
+      recoveryTimeout,
+      consecutiveTrips: this.consecutiveTrips
+    });
   }
   
   /**
@@ -114,9 +319,11 @@ class CircuitBreaker {
    */
   reset() {
     this.state = 'CLOSED';
-    this.failureCount = 0;
-    this.successCount = 0;
+    this.buckets = [];
+    this.consecutiveTrips = 0;
+    this.probeSuccesses = 0;
     this.nextAttempt = Date.now();
+    this.forced = false;
   }
   
   /**
@@ -124,13 +331,21 @@ class CircuitBreaker {
    * @returns {Object} 状态信息
    */
   getState() {
+    const window = this.getWindow();
+    
     return {
       serverId: this.serverId,
       state: this.state,
-      failureCount: this.failureCount,
-      successCount: this.successCount,
+      failureCount: window.failures,
+      successCount: window.requests - window.failures,
+      window: { ...window, period: this.monitoringPeriod },
       lastFailureTime: this.lastFailureTime,
-      nextAttempt: this.nextAttempt,
+      lastTripReason: this.lastTripReason,
+      consecutiveTrips: this.consecutiveTrips,
+      halfOpenInFlight: this.halfOpenInFlight,
+      // 强制打开且未指定时长时为 null
+      nextAttempt: Number.isFinite(this.nextAttempt) ? this.nextAttempt : null,
+      forced: this.forced,
       stats: { ...this.stats }
     };
   }
@@ -149,18 +364,60 @@ class CircuitBreaker {
     }
     
     if (this.state === 'HALF_OPEN') {
-      return true;
+      return this.halfOpenInFlight < this.halfOpenMaxProbes;
     }
     
     return false;
   }
   
+  /**
+   * 主动健康检查判定为不健康：在用户请求之前打开熔断器
+   * 已经打开且未到恢复时间时不变，到了恢复时间仍不健康则按退避时间重新打开
+   */
+  markUnhealthy() {
+    if (this.forced || (this.state === 'OPEN' && Date.now() < this.nextAttempt)) {
+      return;
+    }
+    
+    this.trip('health_check', this.getWindow());
+  }
+  
+  /**
+   * 主动健康检查判定为恢复：健康检查打开的熔断器直接关闭；
+   * 由用户请求打开的熔断器只提前进入半开状态，由下一个请求确认恢复（健康检查成功不代表工具调用也正常）
+   */
+  markHealthy() {
+    if (this.forced || this.state === 'CLOSED') {
+      return;
+    }
+    
+    if (this.lastTripReason === 'health_check') {
+      this.reset();
+      log.info('健康检查恢复，熔断器重置为关闭状态', { breaker: this.serverId });
+    } else if (this.state === 'OPEN' && Date.now() < this.nextAttempt) {
+      this.nextAttempt = Date.now();
+      log.info('健康检查恢复，熔断器提前进入半开状态', { breaker: this.serverId });
+    }
+  }
+  
   /**
    * 强制重置熔断器（用于管理操作）
    */
   forceReset() {
     this.reset();
-    console.log(`熔断器强制重置: ${this.serverId}`);
+    log.info('熔断器强制重置', { breaker: this.serverId });
+  }
+  
+  /**
+   * 强制打开熔断器（用于维护），期间请求直接返回熔断错误
+   * @param {number|null} duration - 持续时间（毫秒），到期后进入半开状态；不指定时保持打开直到重置
+   */
+  forceOpen(duration = null) {
+    this.state = 'OPEN';
+    this.forced = true;
+    this.nextAttempt = duration ? Date.now() + duration : Infinity;
+    
+    log.warn('熔断器被强制打开', { breaker: this.serverId, duration });
   }
 }
 
@@ -171,10 +428,16 @@ class CircuitBreaker {
 class CircuitBreakerManager {
   constructor(defaultOptions = {}) {
     this.breakers = new Map();
+    this.serverOptions = new Map();   // 单个服务的配置覆盖
     this.defaultOptions = {
       failureThreshold: 5,
-      recoveryTimeout: 30000,
+      errorRateThreshold: 50,
+      minimumRequests: 5,
+      timeoutThreshold: 0,
       monitoringPeriod: 60000,
+      recoveryTimeout: 30000,
+      maxRecoveryTimeout: 300000,
+      halfOpenMaxProbes: 1,
       ...defaultOptions
     };
   }
@@ -187,7 +450,11 @@ class CircuitBreakerManager {
    */
   getBreaker(serverId, options = {}) {
     if (!this.breakers.has(serverId)) {
-      const breakerOptions = { ...this.defaultOptions, ...options };
+      const breakerOptions = {
+        ...this.defaultOptions,
+        ...this.serverOptions.get(serverId),
+        ...options
+      };
       const breaker = new CircuitBreaker(serverId, breakerOptions);
       this.breakers.set(serverId, breaker);
     }
@@ -195,6 +462,74 @@ class CircuitBreakerManager {
     return this.breakers.get(serverId);
   }
   
+  /**
+   * 更新熔断器配置（热加载），同时应用到已创建的熔断器
+   * @param {Object} options - 熔断器选项
+   */
+  configure(options = {}) {
+    this.defaultOptions = { ...this.defaultOptions, ...options };
+    
+    for (const [serverId, breaker] of this.breakers) {
+      this.applyOptions(breaker, { ...this.defaultOptions, ...this.serverOptions.get(serverId) });
+    }
+    
+    log.info('熔断器配置已更新', {
+      failureThreshold: this.defaultOptions.failureThreshold,
+      errorRateThreshold: this.defaultOptions.errorRateThreshold,
+      minimumRequests: this.defaultOptions.minimumRequests,
+      timeoutThreshold: this.defaultOptions.timeoutThreshold,
+      monitoringPeriod: this.defaultOptions.monitoringPeriod,
+      recoveryTimeout: this.defaultOptions.recoveryTimeout,
+      maxRecoveryTimeout: this.defaultOptions.maxRecoveryTimeout,
+      halfOpenMaxProbes: this.defaultOptions.halfOpenMaxProbes
+    });
+  }
+  
+  /**
+   * 设置单个服务的熔断器配置，覆盖默认配置
+   * @param {string} serverId - 服务 ID
+   * @param {Object|null} options - 熔断器选项，null 表示恢复默认配置
+   */
+  setServerOptions(serverId, options) {
+    if (options) {
+      this.serverOptions.set(serverId, { ...options });
+    } else {
+      this.serverOptions.delete(serverId);
+    }
+    
+    const breaker = this.breakers.get(serverId);
+    if (breaker) {
+      this.applyOptions(breaker, { ...this.defaultOptions, ...options });
+    }
+  }
+  
+  /**
+   * 将配置应用到已创建的熔断器
+   * @param {CircuitBreaker} breaker - 熔断器实例
+   * @param {Object} options - 熔断器选项
+   */
+  applyOptions(breaker, options) {
+    for (const key of BREAKER_OPTIONS) {
+      if (options[key] !== undefined) {
+        breaker[key] = options[key];
+      }
+    }
+  }
+  
+  /**
+   * 接收主动健康检查的判定结果
+   * @param {string} name - 熔断器名称
+   * @param {boolean} healthy - 是否健康
+   */
+  recordHealth(name, healthy) {
+    const breaker = this.getBreaker(name);
+    if (healthy) {
+      breaker.markHealthy();
+    } else {
+      breaker.markUnhealthy();
+    }
+  }
+  
   /**
    * 获取所有熔断器状态
    * @returns {Object} 所有熔断器状态
@@ -214,7 +549,7 @@ class CircuitBreakerManager {
     for (const breaker of this.breakers.values()) {
       breaker.forceReset();
     }
-    console.log('所有熔断器已重置');
+    log.info('所有熔断器已重置');
   }
   
   /**
@@ -253,5 +588,6 @@ class CircuitBreakerManager {
 
 module.exports = {
   CircuitBreaker,
-  CircuitBreakerManager
+  CircuitBreakerManager,
+  classifyError
 };
@@ -0,0 +1,363 @@
+/**
+ * MCP 代理服务器配置模块
+ * 统一读取、校验环境变量，并支持 SIGHUP 热加载
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// 配置项定义：env 为环境变量名，reloadable 表示可在运行时热加载
+const CONFIG_SCHEMA = {
+  // 基础配置
+  nodeEnv:                 { env: 'NODE_ENV', type: 'string', default: 'production' },
+  port:                    { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+
+  // 日志配置
+  logLevel:                { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', reloadable: true },
+  logFormat:               { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'text'], default: 'json', reloadable: true },
+  logRedact:               { env: 'LOG_REDACT', type: 'boolean', default: true, reloadable: true },
+  logRedactFields:         { env: 'LOG_REDACT_FIELDS', type: 'list', default: ['arguments', 'result', 'response_data'], reloadable: true },
+
+  // 链路追踪配置
+  tracingEnabled:          { env: 'TRACING_ENABLED', type: 'boolean', default: false, reloadable: true },
+  tracingOtlpEndpoint:     { env: 'TRACING_OTLP_ENDPOINT', type: 'url', default: 'http://localhost:4318/v1/traces', reloadable: true },
+  tracingOtlpHeaders:      { env: 'TRACING_OTLP_HEADERS', type: 'list', default: [], reloadable: true },
+  tracingSampleRate:       { env: 'TRACING_SAMPLE_RATE', type: 'number', default: 1, min: 0, max: 1, reloadable: true },
+  tracingServiceName:      { env: 'TRACING_SERVICE_NAME', type: 'string', default: 'mcp-proxy-server' },
+  tracingExportInterval:   { env: 'TRACING_EXPORT_INTERVAL', type: 'integer', default: 5000, min: 100, reloadable: true },
+
+  // 性能配置
+  maxConcurrentRequests:   { env: 'MAX_CONCURRENT_REQUESTS', type: 'integer', default: 50, min: 1, reloadable: true },
+  serverConcurrency:       { env: 'SERVER_CONCURRENCY', type: 'integer', default: 10, min: 1, reloadable: true },
+  requestTimeout:          { env: 'REQUEST_TIMEOUT', type: 'integer', default: 35000, min: 1000, reloadable: true },
+  connectionTimeout:       { env: 'CONNECTION_TIMEOUT', type: 'integer', default: 8000, min: 100 },
+
+  // 缓存配置
+  cacheEnabled:            { env: 'CACHE_ENABLED', type: 'boolean', default: true, reloadable: true },
+  cacheTtlInitialize:      { env: 'CACHE_TTL_INITIALIZE', type: 'integer', default: 600, min: 0, reloadable: true },
+  cacheTtlToolsList:       { env: 'CACHE_TTL_TOOLS_LIST', type: 'integer', default: 300, min: 0, reloadable: true },
+  cacheStaleWhileRevalidate: { env: 'CACHE_STALE_WHILE_REVALIDATE', type: 'integer', default: 60, min: 0, reloadable: true },
+  cacheStaleIfError:       { env: 'CACHE_STALE_IF_ERROR', type: 'integer', default: 600, min: 0, reloadable: true },
+  cacheBackend:            { env: 'CACHE_BACKEND', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+  cacheRedisUrl:           { env: 'CACHE_REDIS_URL', type: 'url', protocols: ['redis:', 'rediss:'], default: '' },
+  cacheNamespace:          { env: 'CACHE_NAMESPACE', type: 'string', default: 'mcp-proxy' },
+  cacheMaxKeys:            { env: 'CACHE_MAX_KEYS', type: 'integer', default: 1000, min: 1 },
+
+  // 工具参数校验配置
+  toolArgumentValidation:  { env: 'TOOL_ARGUMENT_VALIDATION', type: 'boolean', default: true, reloadable: true },
+  toolArgumentCoercion:    { env: 'TOOL_ARGUMENT_COERCION', type: 'boolean', default: true, reloadable: true },
+
+  // 工具结果整形配置
+  responseShapingEnabled:  { env: 'RESPONSE_SHAPING_ENABLED', type: 'boolean', default: false, reloadable: true },
+  responseMaxTextLength:   { env: 'RESPONSE_MAX_TEXT_LENGTH', type: 'integer', default: 8000, min: 0, reloadable: true },
+  responseHtmlToMarkdown:  { env: 'RESPONSE_HTML_TO_MARKDOWN', type: 'boolean', default: true, reloadable: true },
+  responseUnsupportedContent: { env: 'RESPONSE_UNSUPPORTED_CONTENT', type: 'enum', values: ['keep', 'describe', 'drop'], default: 'describe', reloadable: true },
+
+  // 重试配置
+  retryAttempts:           { env: 'RETRY_ATTEMPTS', type: 'integer', default: 3, min: 0, max: 10, reloadable: true },
+  retryDelay:              { env: 'RETRY_DELAY', type: 'integer', default: 500, min: 0, reloadable: true },
+  maxRetryDelay:           { env: 'MAX_RETRY_DELAY', type: 'integer', default: 3000, min: 0, reloadable: true },
+  // 可以安全重试的方法和工具（其他调用可能有副作用，不重试）
+  retrySafeMethods:        { env: 'RETRY_SAFE_METHODS', type: 'list', default: ['initialize', 'ping', 'tools/list', 'resources/list', 'resources/templates/list', 'resources/read', 'prompts/list', 'prompts/get'], reloadable: true },
+  retrySafeTools:          { env: 'RETRY_SAFE_TOOLS', type: 'list', default: [], reloadable: true },
+
+  // 熔断器配置
+  circuitBreakerEnabled:   { env: 'CIRCUIT_BREAKER_ENABLED', type: 'boolean', default: true, reloadable: true },
+  circuitBreakerThreshold: { env: 'CIRCUIT_BREAKER_THRESHOLD', type: 'integer', default: 5, min: 1, reloadable: true },
+  circuitBreakerTimeout:   { env: 'CIRCUIT_BREAKER_TIMEOUT', type: 'integer', default: 30000, min: 1000, reloadable: true },
+  circuitBreakerMaxTimeout: { env: 'CIRCUIT_BREAKER_MAX_TIMEOUT', type: 'integer', default: 300000, min: 1000, reloadable: true },
+  circuitBreakerWindow:    { env: 'CIRCUIT_BREAKER_WINDOW', type: 'integer', default: 60000, min: 1000, reloadable: true },
+  circuitBreakerErrorRate: { env: 'CIRCUIT_BREAKER_ERROR_RATE', type: 'integer', default: 50, min: 1, max: 100, reloadable: true },
+  circuitBreakerMinRequests: { env: 'CIRCUIT_BREAKER_MIN_REQUESTS', type: 'integer', default: 5, min: 1, reloadable: true },
+  circuitBreakerTimeoutThreshold: { env: 'CIRCUIT_BREAKER_TIMEOUT_THRESHOLD', type: 'integer', default: 0, min: 0, reloadable: true },
+  circuitBreakerHalfOpenProbes: { env: 'CIRCUIT_BREAKER_HALF_OPEN_PROBES', type: 'integer', default: 1, min: 1, reloadable: true },
+
+  // 主动健康检查配置
+  healthProbeEnabled:      { env: 'HEALTH_PROBE_ENABLED', type: 'boolean', default: false, reloadable: true },
+  healthProbeInterval:     { env: 'HEALTH_PROBE_INTERVAL', type: 'integer', default: 30000, min: 1000, reloadable: true },
+  healthProbeTimeout:      { env: 'HEALTH_PROBE_TIMEOUT', type: 'integer', default: 5000, min: 100, reloadable: true },
+  healthProbeMethod:       { env: 'HEALTH_PROBE_METHOD', type: 'enum', values: ['initialize', 'ping'], default: 'initialize', reloadable: true },
+  healthProbeUnhealthyThreshold: { env: 'HEALTH_PROBE_UNHEALTHY_THRESHOLD', type: 'integer', default: 2, min: 1, reloadable: true },
+  healthProbeHealthyThreshold: { env: 'HEALTH_PROBE_HEALTHY_THRESHOLD', type: 'integer', default: 1, min: 1, reloadable: true },
+
+  // 异步工具调用配置
+  asyncToolCalls:          { env: 'ASYNC_TOOL_CALLS', type: 'boolean', default: false },
+  asyncDeadline:           { env: 'ASYNC_DEADLINE', type: 'integer', default: 30000, min: 1000, reloadable: true },
+  asyncJobTimeout:         { env: 'ASYNC_JOB_TIMEOUT', type: 'integer', default: 300000, min: 1000, reloadable: true },
+  asyncResultTTL:          { env: 'ASYNC_RESULT_TTL', type: 'integer', default: 600, min: 1 },
+  asyncMaxJobs:            { env: 'ASYNC_MAX_JOBS', type: 'integer', default: 1000, min: 1 },
+
+  // Dify 配置
+  difyBaseUrl:             { env: 'DIFY_BASE_URL', type: 'url', default: 'http://dify.ireborn.com.cn' },
+  difyUpstreams:           { env: 'DIFY_UPSTREAMS', type: 'upstreams', default: [] },
+  upstreamStrategy:        { env: 'UPSTREAM_STRATEGY', type: 'enum', values: ['round-robin', 'least-pending', 'weighted'], default: 'round-robin' },
+
+  // 服务器注册表配置
+  serverRegistryFile:      { env: 'SERVER_REGISTRY_FILE', type: 'string', default: '' },
+  serverRegistryStrict:    { env: 'SERVER_REGISTRY_STRICT', type: 'boolean', default: false, reloadable: true },
+
+  // 入站认证配置
+  authEnabled:             { env: 'AUTH_ENABLED', type: 'boolean', default: false },
+  authClientsFile:         { env: 'AUTH_CLIENTS_FILE', type: 'string', default: '' },
+  authHmacWindow:          { env: 'AUTH_HMAC_WINDOW', type: 'integer', default: 300, min: 1 },
+  monitoringToken:         { env: 'MONITORING_TOKEN', type: 'string', default: '', reloadable: true },
+  adminToken:              { env: 'ADMIN_TOKEN', type: 'string', default: '', reloadable: true },
+  corsAllowedOrigins:      { env: 'CORS_ALLOWED_ORIGINS', type: 'list', default: ['*'], reloadable: true },
+
+  // 限流配置（每分钟请求数，0 表示不限）
+  rateLimitEnabled:        { env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: false, reloadable: true },
+  rateLimitPerClient:      { env: 'RATE_LIMIT_PER_CLIENT', type: 'integer', default: 0, min: 0, reloadable: true },
+  rateLimitPerServer:      { env: 'RATE_LIMIT_PER_SERVER', type: 'integer', default: 0, min: 0, reloadable: true },
+  rateLimitPerTool:        { env: 'RATE_LIMIT_PER_TOOL', type: 'integer', default: 0, min: 0, reloadable: true },
+
+  // 审计日志配置
+  auditLogEnabled:         { env: 'AUDIT_LOG_ENABLED', type: 'boolean', default: false, reloadable: true },
+  auditLogDir:             { env: 'AUDIT_LOG_DIR', type: 'string', default: './audit' },
+  auditLogMaxFileSize:     { env: 'AUDIT_LOG_MAX_FILE_SIZE', type: 'integer', default: 50, min: 1, reloadable: true },
+  auditLogRetentionDays:   { env: 'AUDIT_LOG_RETENTION_DAYS', type: 'integer', default: 90, min: 0, reloadable: true },
+  auditLogArguments:       { env: 'AUDIT_LOG_ARGUMENTS', type: 'enum', values: ['hash', 'redacted', 'full'], default: 'hash', reloadable: true },
+  auditLogRedactFields:    { env: 'AUDIT_LOG_REDACT_FIELDS', type: 'list', default: ['password', 'token', 'secret', 'api_key', 'phone', 'id_card'], reloadable: true },
+
+  // 上游流量录制与回放配置
+  recordMode:              { env: 'RECORD_MODE', type: 'enum', values: ['off', 'record', 'replay'], default: 'off' },
+  recordDir:               { env: 'RECORD_DIR', type: 'string', default: './fixtures' },
+  recordReplayTiming:      { env: 'RECORD_REPLAY_TIMING', type: 'boolean', default: false, reloadable: true },
+  recordReplayMiss:        { env: 'RECORD_REPLAY_MISS', type: 'enum', values: ['error', 'passthrough'], default: 'error', reloadable: true }
+};
+
+const ENV_FILE = path.resolve(process.cwd(), '.env');
+
+// 首次读取前的进程环境变量，优先级高于 .env 文件
+let processEnv = null;
+
+/**
+ * 读取环境变量（进程环境变量 + .env 文件）
+ * 与 dotenv.config() 一致，已设置的进程环境变量不会被 .env 覆盖
+ * @param {string} envFile - .env 文件路径
+ * @returns {Object} 环境变量
+ */
+function readEnvironment(envFile = ENV_FILE) {
+  if (!processEnv) {
+    processEnv = { ...process.env };
+  }
+
+  const fileEnv = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {};
+  const env = { ...fileEnv, ...processEnv };
+
+  // 保持 process.env 与 .env 同步，供依赖 NODE_ENV 等变量的库使用
+  for (const [key, value] of Object.entries(fileEnv)) {
+    if (!(key in processEnv)) {
+      process.env[key] = value;
+    }
+  }
+
+  return env;
+}
+
+/**
+ * 解析单个配置值
+ * @param {Object} spec - 配置项定义
+ * @param {string} raw - 原始字符串
+ * @returns {{ value: *, error: string|null }} 解析结果
+ */
+function parseValue(spec, raw) {
+  const value = raw.trim();
+
+  switch (spec.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(value)) {
+        return { error: '必须是整数' };
+      }
+
+      const number = parseInt(value, 10);
+      if (spec.min !== undefined && number < spec.min) {
+        return { error: `不能小于 ${spec.min}` };
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        return { error: `不能大于 ${spec.max}` };
+      }
+
+      return { value: number, error: null };
+    }
+
+    case 'number': {
+      const number = Number(value);
+      if (!/^-?\d+(\.\d+)?$/.test(value) || !Number.isFinite(number)) {
+        return { error: '必须是数字' };
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        return { error: `不能小于 ${spec.min}` };
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        return { error: `不能大于 ${spec.max}` };
+      }
+
+      return { value: number, error: null };
+    }
+
+    case 'boolean': {
+      const normalized = value.toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) {
+        return { value: true, error: null };
+      }
+      if (['false', '0', 'no', 'off'].includes(normalized)) {
+        return { value: false, error: null };
+      }
+
+      return { error: '必须是 true 或 false' };
+    }
+
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return { error: '必须是有效的 URL' };
+      }
+
+      const protocols = spec.protocols || ['http:', 'https:'];
+      if (!protocols.includes(url.protocol)) {
+        return { error: `必须以 ${protocols.map(protocol => `${protocol}//`).join(' 或 ')} 开头` };
+      }
+
+      return { value: value.replace(/\/+$/, ''), error: null };
+    }
+
+    case 'enum': {
+      if (!spec.values.includes(value)) {
+        return { error: `必须是 ${spec.values.join('、')} 之一` };
+      }
+
+      return { value, error: null };
+    }
+
+    case 'upstreams': {
+      // 格式: url|权重,url|权重（权重可省略，默认为 1）
+      const upstreams = [];
+
+      for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [rawUrl, rawWeight] = item.split('|');
+        const url = parseValue({ type: 'url' }, rawUrl);
+        if (url.error) {
+          return { error: `中的 "${rawUrl}" ${url.error}` };
+        }
+
+        const weight = rawWeight === undefined ? { value: 1 } : parseValue({ type: 'integer', min: 1 }, rawWeight);
+        if (weight.error) {
+          return { error: `中 ${rawUrl} 的权重${weight.error}` };
+        }
+
+        upstreams.push({ url: url.value, weight: weight.value });
+      }
+
+      return { value: upstreams, error: null };
+    }
+
+    case 'list':
+      return { value: value.split(',').map(item => item.trim()).filter(Boolean), error: null };
+
+    default:
+      return { value, error: null };
+  }
+}
+
+/**
+ * 加载并校验配置
+ * @param {Object} env - 环境变量（默认读取进程环境变量和 .env 文件）
+ * @returns {Object} 冻结的配置对象
+ * @throws {Error} 配置无效时抛出 code 为 CONFIG_INVALID 的错误，errors 中列出所有问题
+ */
+function loadConfig(env = readEnvironment()) {
+  const config = {};
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = env[spec.env];
+
+    if (raw === undefined || raw.trim() === '') {
+      config[key] = spec.default;
+      continue;
+    }
+
+    const { value, error } = parseValue(spec, raw);
+    if (error) {
+      errors.push(`${spec.env} ${error}，当前值: "${raw}"`);
+      continue;
+    }
+
+    config[key] = value;
+  }
+
+  // 配置项之间的约束
+  if (errors.length === 0) {
+    if (config.retryDelay > config.maxRetryDelay) {
+      errors.push(`RETRY_DELAY (${config.retryDelay}) 不能大于 MAX_RETRY_DELAY (${config.maxRetryDelay})`);
+    }
+    if (config.asyncDeadline >= config.asyncJobTimeout) {
+      errors.push(`ASYNC_DEADLINE (${config.asyncDeadline}) 必须小于 ASYNC_JOB_TIMEOUT (${config.asyncJobTimeout})`);
+    }
+    if (config.circuitBreakerTimeout > config.circuitBreakerMaxTimeout) {
+      errors.push(`CIRCUIT_BREAKER_TIMEOUT (${config.circuitBreakerTimeout}) 不能大于 CIRCUIT_BREAKER_MAX_TIMEOUT (${config.circuitBreakerMaxTimeout})`);
+    }
+    if (config.healthProbeTimeout >= config.healthProbeInterval) {
+      errors.push(`HEALTH_PROBE_TIMEOUT (${config.healthProbeTimeout}) 必须小于 HEALTH_PROBE_INTERVAL (${config.healthProbeInterval})`);
+    }
+    if (config.authEnabled && !config.authClientsFile) {
+      errors.push('AUTH_ENABLED 为 true 时必须设置 AUTH_CLIENTS_FILE');
+    }
+    if (config.cacheBackend === 'redis' && !config.cacheRedisUrl) {
+      errors.push('CACHE_BACKEND 为 redis 时必须设置 CACHE_REDIS_URL');
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`配置无效:\n  - ${errors.join('\n  - ')}`);
+    error.code = 'CONFIG_INVALID';
+    error.errors = errors;
+    throw error;
+  }
+
+  return Object.freeze(config);
+}
+
+/**
+ * 重新加载配置，只应用可热加载的配置项
+ * @param {Object} current - 当前配置
+ * @param {Object} env - 环境变量（默认重新读取 .env 文件）
+ * @returns {{ config: Object, changed: Array<string>, ignored: Array<string> }}
+ *          新配置、已应用的变更项和需要重启才能生效的变更项
+ */
+function reloadConfig(current, env = readEnvironment()) {
+  const loaded = loadConfig(env);
+  const next = { ...current };
+  const changed = [];
+  const ignored = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    // 列表类配置按内容比较
+    if (JSON.stringify(loaded[key]) === JSON.stringify(current[key])) {
+      continue;
+    }
+
+    if (spec.reloadable) {
+      next[key] = loaded[key];
+      changed.push(key);
+    } else {
+      ignored.push(spec.env);
+    }
+  }
+
+  return {
+    config: Object.freeze(next),
+    changed,
+    ignored
+  };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  readEnvironment,
+  loadConfig,
+  reloadConfig
+};
@@ -3,6 +3,8 @@
  * 定义标准错误代码和错误响应格式
  */
 
+const { logger } = require('./logger');
+
 // 标准 JSON-RPC 2.0 错误代码
 const ErrorCodes = {
   // 标准错误码
@@ -15,7 +17,11 @@ const ErrorCodes = {
   SERVER_UNAVAILABLE: -32001,
   REQUEST_TIMEOUT: -32002,
   CIRCUIT_BREAKER_OPEN: -32003,
-  PROXY_ERROR: -32004
+  PROXY_ERROR: -32004,
+  SERVER_NOT_REGISTERED: -32005,
+  UNAUTHORIZED: -32006,
+  FORBIDDEN: -32007,
+  RATE_LIMITED: -32008
 };
 
 /**
@@ -50,15 +56,17 @@ function createErrorResponse(code, message, data = null, id = null) {
  * 处理代理转发错误
  * @param {Error} error - 原始错误对象
  * @param {string} serverId - 服务器 ID
+ * @param {*} id - 请求 ID（可选）
  * @returns {Object} 标准化的错误响应
  */
-function handleProxyError(error, serverId) {
+function handleProxyError(error, serverId, id = null) {
   // 网络连接错误
   if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
     return createErrorResponse(
       ErrorCodes.SERVER_UNAVAILABLE,
       `无法连接到 Dify 服务 (${serverId})`,
-      { retry_after: 30, server_id: serverId }
+      { retry_after: 30, server_id: serverId },
+      id
     );
   }
   
@@ -67,7 +75,8 @@ function handleProxyError(error, serverId) {
     return createErrorResponse(
       ErrorCodes.REQUEST_TIMEOUT,
       '请求超时，请稍后重试',
-      { timeout: true, server_id: serverId }
+      { timeout: true, server_id: serverId },
+      id
     );
   }
   
@@ -83,16 +92,18 @@ function handleProxyError(error, serverId) {
         status_code: status,
         server_id: serverId,
         response_data: error.response.data
-      }
+      },
+      id
     );
   }
   
   // 未知错误
-  console.error('未处理的代理错误:', error);
+  logger.error('未处理的代理错误', { serverId, error });
   return createErrorResponse(
     ErrorCodes.INTERNAL_ERROR,
     '内部服务器错误',
-    { server_id: serverId }
+    { server_id: serverId },
+    id
   );
 }
 
@@ -0,0 +1,238 @@
+/**
+ * MCP 代理服务器主动健康检查模块
+ * 定期向注册表中的每个服务器和每个 Dify 上游发送轻量的 MCP 请求（initialize 或 ping），
+ * 结果交给熔断器，在用户请求到达之前打开或恢复熔断器
+ */
+
+const { classifyError } = require('./circuit-breaker');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'health' });
+
+class HealthProber {
+  /**
+   * @param {Object} options - 健康检查选项
+   * @param {boolean} options.enabled - 是否启用
+   * @param {number} options.interval - 检查间隔（毫秒）
+   * @param {number} options.timeout - 单次检查超时（毫秒）
+   * @param {string} options.method - 检查使用的 MCP 方法（initialize 或 ping）
+   * @param {number} options.unhealthyThreshold - 连续失败多少次判定为不健康
+   * @param {number} options.healthyThreshold - 连续成功多少次判定为恢复
+   * @param {Function} options.listTargets - 返回检查目标 [{ scope, name, serverId, upstream }]
+   * @param {Function} options.send - 发送检查请求 (target, mcpRequest, timeout) => Promise
+   * @param {Function} options.onStatus - 连续成功或失败达到阈值后回调 (target, healthy)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled || false;
+    this.interval = options.interval || 30000;
+    this.timeout = options.timeout || 5000;
+    this.method = options.method || 'initialize';
+    this.unhealthyThreshold = options.unhealthyThreshold || 2;
+    this.healthyThreshold = options.healthyThreshold || 1;
+
+    this.listTargets = options.listTargets || (() => []);
+    this.send = options.send;
+    this.onStatus = options.onStatus || (() => {});
+
+    // 每个目标的检查结果，键为 scope:name
+    this.results = new Map();
+    this.timer = null;
+    this.running = false;
+
+    this.stats = {
+      rounds: 0,
+      probes: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * 更新健康检查配置（热加载），按 enabled 启动或停止
+   * @param {Object} options - 健康检查选项
+   */
+  configure(options = {}) {
+    for (const key of ['enabled', 'interval', 'timeout', 'method', 'unhealthyThreshold', 'healthyThreshold']) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+
+    this.stop();
+    if (this.enabled) {
+      this.start();
+    } else {
+      this.results.clear();
+    }
+  }
+
+  /**
+   * 启动定期检查
+   */
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    // 启动后立即检查一轮，不等第一个间隔，尽早发现故障
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.interval);
+    this.timer.unref();
+    log.info('主动健康检查已启动', { interval: this.interval, timeout: this.timeout, method: this.method });
+  }
+
+  /**
+   * 停止定期检查
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 检查所有目标；上一轮还没结束时跳过本轮
+   * @returns {Promise<void>}
+   */
+  async runOnce() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.stats.rounds++;
+
+    try {
+      const targets = this.listTargets();
+      const keys = new Set();
+
+      // 依次检查，避免同时向 Dify 发出一批请求
+      for (const target of targets) {
+        keys.add(`${target.scope}:${target.name}`);
+        await this.probe(target);
+      }
+
+      // 不再需要检查的目标（如从注册表移除的服务器）不再显示
+      for (const key of this.results.keys()) {
+        if (!keys.has(key)) {
+          this.results.delete(key);
+        }
+      }
+    } catch (error) {
+      log.error('健康检查失败', { error });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 检查单个目标并更新结果
+   * @param {Object} target - 检查目标
+   * @returns {Promise<Object>} 检查结果
+   */
+  async probe(target) {
+    const key = `${target.scope}:${target.name}`;
+    const result = this.results.get(key) || {
+      scope: target.scope,
+      name: target.name,
+      healthy: null,
+      latency: null,
+      lastProbe: null,
+      lastSuccess: null,
+      lastError: null,
+      lastErrorTime: null,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0
+    };
+    this.results.set(key, result);
+
+    const request = {
+      jsonrpc: '2.0',
+      id: `health-${Date.now()}`,
+      method: this.method,
+      params: this.method === 'initialize' ? {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: { name: 'mcp-proxy-health-check', version: '2.0.0' }
+      } : {}
+    };
+
+    const startTime = Date.now();
+    let error = null;
+    try {
+      await this.send(target, request, this.timeout);
+    } catch (probeError) {
+      error = probeError;
+    }
+
+    this.stats.probes++;
+    result.lastProbe = Date.now();
+    result.latency = result.lastProbe - startTime;
+
+    // 4xx（如 serverId 不存在）说明 Dify 仍在正常响应，不算作不健康，但记录错误
+    const reachable = !error || classifyError(error) === 'ignored';
+    if (error) {
+      result.lastError = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+      result.lastErrorTime = result.lastProbe;
+    }
+
+    if (reachable) {
+      result.lastSuccess = result.lastProbe;
+      result.consecutiveSuccesses++;
+      result.consecutiveFailures = 0;
+    } else {
+      this.stats.failures++;
+      result.consecutiveFailures++;
+      result.consecutiveSuccesses = 0;
+    }
+
+    const wasHealthy = result.healthy;
+    if (!reachable && result.consecutiveFailures >= this.unhealthyThreshold) {
+      result.healthy = false;
+    } else if (reachable && result.consecutiveSuccesses >= this.healthyThreshold) {
+      result.healthy = true;
+    }
+
+    if (result.healthy !== wasHealthy) {
+      if (result.healthy) {
+        log.info('健康检查通过', { scope: target.scope, name: target.name, latency: result.latency });
+      } else {
+        log.warn('健康检查失败，判定为不健康', {
+          scope: target.scope,
+          name: target.name,
+          failures: result.consecutiveFailures,
+          lastError: result.lastError
+        });
+      }
+    }
+
+    // 每次达到阈值都通知熔断器，熔断器自行判断是否需要改变状态
+    if (result.healthy !== null && (reachable ? result.healthy : !result.healthy)) {
+      this.onStatus(target, result.healthy);
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取健康检查状态
+   * @returns {Object} 各服务器和上游的检查结果
+   */
+  getStatus() {
+    const status = {
+      enabled: this.enabled,
+      interval: this.interval,
+      method: this.method,
+      ...this.stats,
+      servers: {},
+      upstreams: {}
+    };
+
+    for (const result of this.results.values()) {
+      const { scope, name, ...rest } = result;
+      status[scope === 'upstream' ? 'upstreams' : 'servers'][name] = rest;
+    }
+
+    return status;
+  }
+}
+
+module.exports = HealthProber;
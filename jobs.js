@@ -0,0 +1,326 @@
+/**
+ * MCP 代理服务器异步任务模块
+ * 工具调用接近钉钉 35 秒时限时转为后台任务，由配套工具稍后获取结果
+ */
+
+const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { ErrorCodes, createErrorResponse } = require('./errors');
+
+const log = logger.child({ component: 'jobs' });
+
+class JobManager {
+  constructor(options = {}) {
+    this.deadline = options.deadline || 30000;          // 同步等待时限（毫秒）
+    this.toolName = options.toolName || 'proxy_get_job_result';
+    this.resultTTL = options.resultTTL || 600;          // 结果保留时间（秒，从任务结束开始计算）
+    this.maxJobs = options.maxJobs || 1000;             // 同时保存的任务数上限
+
+    // 任务存储：执行中的任务不过期（由 ASYNC_JOB_TIMEOUT 保证结束），完成后保留 resultTTL 秒供查询
+    this.jobs = new NodeCache({
+      stdTTL: this.resultTTL,
+      checkperiod: 60,
+      useClones: false,
+      maxKeys: this.maxJobs
+    });
+
+    // 任务统计
+    this.stats = {
+      created: 0,
+      completed: 0,
+      failed: 0,
+      fetched: 0,
+      evicted: 0,
+      rejected: 0
+    };
+  }
+
+  /**
+   * 在时限内等待执行结果，超时则转为后台任务
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - tools/call 请求
+   * @param {Promise<Object>} execution - 正在执行的请求，结果为 JSON-RPC 响应
+   * @param {number} startTime - 请求开始时间
+   * @returns {Promise<Object>} JSON-RPC 响应或"处理中"的工具结果
+   */
+  async runWithDeadline(serverId, mcpRequest, execution, startTime = Date.now()) {
+    const remaining = Math.max(0, this.deadline - (Date.now() - startTime));
+    const result = await this.waitFor(execution, remaining);
+
+    if (result !== undefined) {
+      return result;
+    }
+
+    // 任务数已满且都在执行中时无法保存结果，上游调用继续执行到 ASYNC_JOB_TIMEOUT，结果丢弃
+    if (!this.reserve()) {
+      this.stats.rejected++;
+      log.warn('后台任务数已达上限，无法转为后台任务', { serverId, tool: mcpRequest.params?.name, maxJobs: this.maxJobs });
+      return createErrorResponse(
+        ErrorCodes.SERVER_UNAVAILABLE,
+        `后台任务数已达上限 (${this.maxJobs})，请稍后重试`,
+        { max_jobs: this.maxJobs, server_id: serverId },
+        mcpRequest.id
+      );
+    }
+
+    const job = this.createJob(serverId, mcpRequest, execution);
+    log.info('工具调用转为后台任务', { serverId, tool: job.tool, jobId: job.id });
+
+    return this.createPendingResponse(job, mcpRequest.id);
+  }
+
+  /**
+   * 为新任务腾出位置：任务数已满时移除最早结束的任务（结果可能还没被取走）
+   * @returns {boolean} 是否有位置，已满且所有任务都在执行中时返回 false
+   */
+  reserve() {
+    if (this.jobs.keys().length < this.maxJobs) {
+      return true;
+    }
+
+    let oldest = null;
+    for (const key of this.jobs.keys()) {
+      const job = this.jobs.get(key);
+      if (job && job.completedAt !== null && (!oldest || job.completedAt < oldest.completedAt)) {
+        oldest = job;
+      }
+    }
+
+    if (!oldest) {
+      return false;
+    }
+
+    this.jobs.del(oldest.id);
+    this.stats.evicted++;
+    log.warn('后台任务数已达上限，移除最早结束的任务', { jobId: oldest.id, status: oldest.status });
+    return true;
+  }
+
+  /**
+   * 等待 Promise 完成，超时返回 undefined
+   * @param {Promise} promise - 要等待的 Promise
+   * @param {number} timeout - 超时（毫秒）
+   * @returns {Promise<*>} 结果或 undefined
+   */
+  waitFor(promise, timeout) {
+    let timer;
+    const timeoutPromise = new Promise(resolve => {
+      timer = setTimeout(() => resolve(undefined), timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * 创建后台任务
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - tools/call 请求
+   * @param {Promise<Object>} execution - 正在执行的请求
+   * @returns {Object} 任务对象
+   */
+  createJob(serverId, mcpRequest, execution) {
+    const job = {
+      id: crypto.randomUUID(),
+      serverId,
+      tool: mcpRequest.params?.name || 'unknown',
+      status: 'pending',
+      createdAt: Date.now(),
+      completedAt: null,
+      response: null,
+      promise: execution
+    };
+
+    // done 在任务状态和完成时间更新后结束
+    job.done = execution.then(
+      (response) => {
+        job.status = response && response.error ? 'failed' : 'completed';
+        job.response = response;
+        this.stats[job.status]++;
+      },
+      (error) => {
+        job.status = 'failed';
+        job.response = {
+          jsonrpc: '2.0',
+          error: { code: -32603, message: error.message || '后台任务执行失败' }
+        };
+        this.stats.failed++;
+      }
+    ).finally(() => {
+      job.completedAt = Date.now();
+      // 从完成时刻开始计算保留时间
+      this.jobs.ttl(job.id, this.resultTTL);
+      log.info('后台任务结束', { jobId: job.id, status: job.status, duration: job.completedAt - job.createdAt });
+    });
+
+    // 执行时间可能超过 resultTTL，结束前不设过期时间
+    this.jobs.set(job.id, job, 0);
+    this.stats.created++;
+
+    return job;
+  }
+
+  /**
+   * 生成"仍在处理中"的工具结果
+   * @param {Object} job - 任务对象
+   * @param {*} id - 请求 ID
+   * @returns {Object} JSON-RPC 响应
+   */
+  createPendingResponse(job, id) {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        content: [{
+          type: 'text',
+          text: `工具 ${job.tool} 仍在处理中（任务 ID: ${job.id}）。` +
+                `请稍后调用 ${this.toolName} 工具并传入 job_id 获取结果。`
+        }],
+        isError: false,
+        _meta: {
+          jobId: job.id,
+          status: job.status
+        }
+      }
+    };
+  }
+
+  /**
+   * 是否为查询任务结果的配套工具调用
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @returns {boolean} 是否为配套工具调用
+   */
+  isJobToolCall(mcpRequest) {
+    return mcpRequest.method === 'tools/call' && mcpRequest.params?.name === this.toolName;
+  }
+
+  /**
+   * 处理配套工具调用：任务未完成时在时限内继续等待
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - tools/call 请求
+   * @returns {Promise<Object>} JSON-RPC 响应
+   */
+  async handleToolCall(serverId, mcpRequest) {
+    const jobId = mcpRequest.params?.arguments?.job_id;
+    const job = jobId ? this.jobs.get(jobId) : undefined;
+
+    // 任务只能从创建它的服务器查询
+    if (!job || job.serverId !== serverId) {
+      return {
+        jsonrpc: '2.0',
+        id: mcpRequest.id,
+        result: {
+          content: [{ type: 'text', text: `任务 ${jobId || ''} 不存在或已过期` }],
+          isError: true
+        }
+      };
+    }
+
+    // 等待 done 而不是执行本身：执行失败时 done 也正常结束，状态已更新为 failed
+    if (job.status === 'pending') {
+      await this.waitFor(job.done, this.deadline);
+    }
+
+    if (job.status === 'pending') {
+      return this.createPendingResponse(job, mcpRequest.id);
+    }
+
+    this.stats.fetched++;
+    return { ...job.response, id: mcpRequest.id };
+  }
+
+  /**
+   * 在 tools/list 结果中加入配套工具
+   * @param {Object} response - tools/list 响应
+   * @returns {Object} 加入配套工具后的响应
+   */
+  decorateToolsList(response) {
+    const tools = response?.result?.tools;
+    if (!Array.isArray(tools) || tools.some(tool => tool.name === this.toolName)) {
+      return response;
+    }
+
+    return {
+      ...response,
+      result: {
+        ...response.result,
+        tools: [...tools, this.getToolDefinition()]
+      }
+    };
+  }
+
+  /**
+   * 配套工具定义
+   * @returns {Object} MCP 工具定义
+   */
+  getToolDefinition() {
+    return {
+      name: this.toolName,
+      description: '获取仍在处理中的工具调用结果。当工具返回"仍在处理中"和任务 ID 时，稍后用该任务 ID 调用本工具。',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          job_id: {
+            type: 'string',
+            description: '工具返回的任务 ID'
+          }
+        },
+        required: ['job_id']
+      }
+    };
+  }
+
+  /**
+   * 获取任务信息（不含内部 Promise）
+   * @param {string} jobId - 任务 ID
+   * @returns {Object|null} 任务信息
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const { promise, done, ...info } = job;
+    return info;
+  }
+
+  /**
+   * 等待任务结束
+   * @param {string} jobId - 任务 ID
+   * @returns {Promise<Object|null>} 结束后的任务信息（不含内部 Promise），任务不存在时返回 null
+   */
+  async waitForJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    await job.done;
+    const { promise, done, ...info } = job;
+    return info;
+  }
+
+  /**
+   * 获取任务统计信息
+   * @returns {Object} 任务统计
+   */
+  getStats() {
+    const jobs = this.jobs.keys().map(key => this.jobs.get(key)).filter(Boolean);
+
+    return {
+      ...this.stats,
+      pending: jobs.filter(job => job.status === 'pending').length,
+      stored: jobs.length
+    };
+  }
+
+  /**
+   * 清除所有任务
+   */
+  clearAll() {
+    this.jobs.flushAll();
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,190 @@
+/**
+ * MCP 代理服务器日志模块
+ * 输出带级别的结构化日志（JSON 或文本），自动附带当前请求 ID，并隐去工具参数和结果等用户数据
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 当前请求的上下文（请求 ID），随异步调用链传递到队列、熔断器和重试钩子
+const requestContext = new AsyncLocalStorage();
+
+// 递归隐去字段时的最大深度
+const MAX_DEPTH = 8;
+
+class Logger {
+  /**
+   * @param {Object} settings - 日志设置（所有子日志器共享同一份）
+   * @param {Object} bindings - 每条日志附带的字段
+   */
+  constructor(settings, bindings = {}) {
+    this.settings = settings;
+    this.bindings = bindings;
+  }
+
+  /**
+   * 更新日志设置（热加载），对所有子日志器生效
+   * @param {Object} options - 日志选项
+   * @param {string} options.level - 最低级别：debug、info、warn、error
+   * @param {string} options.format - json 或 text
+   * @param {Array<string>} options.redactFields - 需要隐去的字段名，空数组表示不隐去
+   */
+  configure(options = {}) {
+    if (options.level !== undefined) {
+      this.settings.level = options.level;
+    }
+    if (options.format !== undefined) {
+      this.settings.format = options.format;
+    }
+    if (options.redactFields !== undefined) {
+      this.settings.redactFields = new Set(options.redactFields);
+    }
+  }
+
+  /**
+   * 创建附带额外字段的子日志器
+   * @param {Object} bindings - 附带字段
+   * @returns {Logger} 子日志器
+   */
+  child(bindings) {
+    return new Logger(this.settings, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * 在请求上下文中执行函数，期间的日志自动附带请求 ID
+   * @param {string} requestId - 请求 ID
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} 函数返回值
+   */
+  runWithRequest(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+  }
+
+  /**
+   * 获取当前请求 ID
+   * @returns {string|null} 请求 ID
+   */
+  getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * 输出一条日志
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object|Error} fields - 附加字段（传入 Error 时记为 error 字段）
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.settings.level]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message
+    };
+
+    const requestId = this.getRequestId();
+    if (requestId) {
+      entry.requestId = requestId;
+    }
+
+    Object.assign(entry, this.bindings, this.serialize(fields instanceof Error ? { error: fields } : fields, 0));
+
+    const line = this.settings.format === 'text' ? this.formatText(entry) : JSON.stringify(entry);
+    (level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+  }
+
+  /**
+   * 序列化字段：展开 Error，隐去敏感字段
+   * @param {*} value - 字段值
+   * @param {number} depth - 当前深度
+   * @returns {*} 可以 JSON 序列化的值
+   */
+  serialize(value, depth) {
+    if (value instanceof Error) {
+      const error = { name: value.name, message: value.message };
+      if (value.code) {
+        error.code = value.code;
+      }
+      if (value.response?.status) {
+        error.status = value.response.status;
+      }
+      if (value.stack && !value.response && !value.code) {
+        error.stack = value.stack;
+      }
+      return error;
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.serialize(item, depth + 1));
+    }
+
+    if (Buffer.isBuffer(value)) {
+      return `[Buffer ${value.length} bytes]`;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.settings.redactFields.has(key) && item !== undefined ?
+        '[REDACTED]' :
+        this.serialize(item, depth + 1);
+    }
+    return result;
+  }
+
+  /**
+   * 格式化为便于阅读的单行文本
+   * @param {Object} entry - 日志条目
+   * @returns {string} 文本
+   */
+  formatText(entry) {
+    const { time, level, msg, requestId, ...fields } = entry;
+    const extra = Object.entries(fields)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+
+    return [time, level.toUpperCase().padEnd(5), requestId ? `[${requestId}]` : null, msg, extra || null]
+      .filter(Boolean)
+      .join(' ');
+  }
+}
+
+// 全局日志器，启动时由 server.js 按配置设置
+const logger = new Logger({
+  level: 'info',
+  format: 'json',
+  redactFields: new Set(['arguments', 'result', 'response_data'])
+});
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger
+};
@@ -0,0 +1,186 @@
+/**
+ * MCP 代理服务器指标模块
+ * 以 Prometheus 文本格式导出计数器、仪表和直方图
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'metrics' });
+
+// 请求耗时直方图的默认分桶（秒），覆盖钉钉 35 秒时限
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+class MetricsRegistry {
+  /**
+   * @param {Object} options - 指标选项
+   * @param {string} options.prefix - 指标名前缀
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'mcp_proxy_';
+    this.metrics = new Map();
+
+    // 抓取时调用的采集函数，用于从各组件的统计信息生成指标
+    this.collectors = [];
+  }
+
+  /**
+   * 注册指标
+   * @param {string} type - counter、gauge 或 histogram
+   * @param {string} name - 指标名（不含前缀）
+   * @param {string} help - 说明
+   * @param {Object} options - 选项（buckets: 直方图分桶；collected: 每次抓取前清空，由采集函数重新填充）
+   * @returns {Object} 指标对象
+   */
+  register(type, name, help, options = {}) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, {
+        type,
+        name: this.prefix + name,
+        help,
+        buckets: options.buckets || DEFAULT_BUCKETS,
+        collected: options.collected || false,
+        series: new Map()
+      });
+    }
+
+    return this.metrics.get(name);
+  }
+
+  /**
+   * 注册采集函数
+   * @param {Function} collector - 采集函数，参数为本注册表
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * 获取标签组合对应的时间序列
+   * @param {Object} metric - 指标对象
+   * @param {Object} labels - 标签
+   * @returns {Object} 时间序列
+   */
+  getSeries(metric, labels = {}) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+    if (!metric.series.has(key)) {
+      metric.series.set(key, metric.type === 'histogram' ?
+        { labels, counts: new Array(metric.buckets.length).fill(0), sum: 0, count: 0 } :
+        { labels, value: 0 });
+    }
+
+    return metric.series.get(key);
+  }
+
+  /**
+   * 计数器加值
+   * @param {string} name - 指标名
+   * @param {Object} labels - 标签
+   * @param {number} value - 增量
+   */
+  inc(name, labels, value = 1) {
+    const metric = this.metrics.get(name);
+    if (metric) {
+      this.getSeries(metric, labels).value += value;
+    }
+  }
+
+  /**
+   * 设置仪表值（也用于采集函数填充来自组件统计的计数器）
+   * @param {string} name - 指标名
+   * @param {Object} labels - 标签
+   * @param {number} value - 值
+   */
+  set(name, labels, value) {
+    const metric = this.metrics.get(name);
+    if (metric) {
+      this.getSeries(metric, labels).value = value;
+    }
+  }
+
+  /**
+   * 记录直方图观测值
+   * @param {string} name - 指标名
+   * @param {Object} labels - 标签
+   * @param {number} value - 观测值
+   */
+  observe(name, labels, value) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      return;
+    }
+
+    const series = this.getSeries(metric, labels);
+    series.sum += value;
+    series.count++;
+
+    const index = metric.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+  }
+
+  /**
+   * 生成 Prometheus 文本格式
+   * @returns {string} 指标文本
+   */
+  render() {
+    for (const metric of this.metrics.values()) {
+      if (metric.collected) {
+        metric.series.clear();
+      }
+    }
+
+    for (const collector of this.collectors) {
+      try {
+        collector(this);
+      } catch (error) {
+        log.error('指标采集失败', { error });
+      }
+    }
+
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${this.formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        let cumulative = 0;
+        metric.buckets.forEach((bound, index) => {
+          cumulative += series.counts[index];
+          lines.push(`${metric.name}_bucket${this.formatLabels({ ...series.labels, le: bound })} ${cumulative}`);
+        });
+        lines.push(`${metric.name}_bucket${this.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 格式化标签
+   * @param {Object} labels - 标签
+   * @returns {string} {name="value",...}
+   */
+  formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const formatted = entries.map(([name, value]) =>
+      `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return `{${formatted.join(',')}}`;
+  }
+}
+
+module.exports = MetricsRegistry;
@@ -5,304 +5,2083 @@
 
 const axios = require('axios');
 const axiosRetry = require('axios-retry');
-const PQueue = require('p-queue');
 const http = require('http');
 const https = require('https');
 
 const CacheManager = require('./cache');
+const JobManager = require('./jobs');
+const HealthProber = require('./health');
+const ToolPolicy = require('./tool-policy');
+const ToolArgumentValidator = require('./tool-validator');
+const ResponseShaper = require('./response-shaper');
+const BundleManager = require('./bundle');
+const { AuditLog } = require('./audit');
+const TrafficRecorder = require('./recorder');
+const FairScheduler = require('./scheduler');
+const ServerRegistry = require('./registry');
+const UpstreamPool = require('./upstream');
+const RateLimiter = require('./ratelimit');
+const MetricsRegistry = require('./metrics');
+const { logger } = require('./logger');
+const { tracer, SpanKind } = require('./tracing');
 const { CircuitBreakerManager } = require('./circuit-breaker');
 const { handleProxyError, createErrorResponse, ErrorCodes } = require('./errors');
+const { SSE_CONTENT_TYPE, readSSEStream, readStreamBody, isEventStream } = require('./sse');
+
+const log = logger.child({ component: 'proxy' });
+
+// 标记由过期缓存返回的响应（symbol 属性不会序列化给客户端），用于指标中的 outcome
+const STALE_RESPONSE = Symbol('staleResponse');
+
+// 指标 method 标签允许的值（客户端发往服务器的 MCP 方法），其他值记为 other，避免客户端随意制造时间序列
+const METRIC_METHODS = new Set([
+  'initialize',
+  'ping',
+  'tools/list',
+  'tools/call',
+  'resources/list',
+  'resources/templates/list',
+  'resources/read',
+  'resources/subscribe',
+  'resources/unsubscribe',
+  'prompts/list',
+  'prompts/get',
+  'completion/complete',
+  'logging/setLevel',
+  'notifications/initialized',
+  'notifications/cancelled',
+  'notifications/progress',
+  'notifications/roots/list_changed'
+]);
 
 class ProxyManager {
   constructor(options = {}) {
     // 配置参数
     this.config = {
       maxConcurrentRequests: options.maxConcurrentRequests || 50,
+      serverConcurrency: options.serverConcurrency || 10,
       requestTimeout: options.requestTimeout || 35000,
       connectionTimeout: options.connectionTimeout || 8000,
       retryAttempts: options.retryAttempts || 3,
       retryDelay: options.retryDelay || 500,
       maxRetryDelay: options.maxRetryDelay || 3000,
+      retrySafeMethods: options.retrySafeMethods || [
+        'initialize', 'ping', 'tools/list', 'resources/list', 'resources/templates/list',
+        'resources/read', 'prompts/list', 'prompts/get'
+      ],
+      retrySafeTools: options.retrySafeTools || [],
       difyBaseUrl: options.difyBaseUrl || 'http://dify.ireborn.com.cn',
+      difyUpstreams: options.difyUpstreams || [],
+      upstreamStrategy: options.upstreamStrategy || 'round-robin',
+      cacheEnabled: options.cacheEnabled !== false,
+      cacheTtlInitialize: options.cacheTtlInitialize ?? 600,
+      cacheTtlToolsList: options.cacheTtlToolsList ?? 300,
+      cacheStaleWhileRevalidate: options.cacheStaleWhileRevalidate ?? 60,
+      cacheStaleIfError: options.cacheStaleIfError ?? 600,
+      cacheBackend: options.cacheBackend || 'memory',
+      cacheRedisUrl: options.cacheRedisUrl || '',
+      cacheNamespace: options.cacheNamespace || 'mcp-proxy',
+      cacheMaxKeys: options.cacheMaxKeys || 1000,
+      toolArgumentValidation: options.toolArgumentValidation !== false,
+      toolArgumentCoercion: options.toolArgumentCoercion !== false,
+      responseShapingEnabled: options.responseShapingEnabled || false,
+      responseMaxTextLength: options.responseMaxTextLength ?? 8000,
+      responseHtmlToMarkdown: options.responseHtmlToMarkdown !== false,
+      responseUnsupportedContent: options.responseUnsupportedContent || 'describe',
+      circuitBreakerEnabled: options.circuitBreakerEnabled !== false,
+      circuitBreakerThreshold: options.circuitBreakerThreshold || 5,
+      circuitBreakerTimeout: options.circuitBreakerTimeout || 30000,
+      circuitBreakerMaxTimeout: options.circuitBreakerMaxTimeout || 300000,
+      circuitBreakerWindow: options.circuitBreakerWindow || 60000,
+      circuitBreakerErrorRate: options.circuitBreakerErrorRate || 50,
+      circuitBreakerMinRequests: options.circuitBreakerMinRequests || 5,
+      circuitBreakerTimeoutThreshold: options.circuitBreakerTimeoutThreshold || 0,
+      circuitBreakerHalfOpenProbes: options.circuitBreakerHalfOpenProbes || 1,
+      healthProbeEnabled: options.healthProbeEnabled || false,
+      healthProbeInterval: options.healthProbeInterval || 30000,
+      healthProbeTimeout: options.healthProbeTimeout || 5000,
+      healthProbeMethod: options.healthProbeMethod || 'initialize',
+      healthProbeUnhealthyThreshold: options.healthProbeUnhealthyThreshold || 2,
+      healthProbeHealthyThreshold: options.healthProbeHealthyThreshold || 1,
+      serverRegistryFile: options.serverRegistryFile || '',
+      serverRegistryStrict: options.serverRegistryStrict || false,
+      asyncToolCalls: options.asyncToolCalls || false,
+      asyncDeadline: options.asyncDeadline || 30000,
+      asyncJobTimeout: options.asyncJobTimeout || 300000,
+      asyncResultTTL: options.asyncResultTTL || 600,
+      asyncMaxJobs: options.asyncMaxJobs || 1000,
+      rateLimitEnabled: options.rateLimitEnabled || false,
+      rateLimitPerClient: options.rateLimitPerClient || 0,
+      rateLimitPerServer: options.rateLimitPerServer || 0,
+      rateLimitPerTool: options.rateLimitPerTool || 0,
+      auditLogEnabled: options.auditLogEnabled || false,
+      auditLogDir: options.auditLogDir || './audit',
+      auditLogMaxFileSize: options.auditLogMaxFileSize || 50,
+      auditLogRetentionDays: options.auditLogRetentionDays ?? 90,
+      auditLogArguments: options.auditLogArguments || 'hash',
+      auditLogRedactFields: options.auditLogRedactFields || [],
+      recordMode: options.recordMode || 'off',
+      recordDir: options.recordDir || './fixtures',
+      recordReplayTiming: options.recordReplayTiming || false,
+      recordReplayMiss: options.recordReplayMiss || 'error',
       ...options
     };
     
     // 初始化组件
-    this.cacheManager = new CacheManager();
-    this.circuitBreakerManager = new CircuitBreakerManager({
-      failureThreshold: 5,
-      recoveryTimeout: 30000
+    this.cacheManager = new CacheManager({
+      enabled: this.config.cacheEnabled,
+      ttlInitialize: this.config.cacheTtlInitialize,
+      ttlToolsList: this.config.cacheTtlToolsList,
+      staleWhileRevalidate: this.config.cacheStaleWhileRevalidate,
+      staleIfError: this.config.cacheStaleIfError,
+      backend: this.config.cacheBackend,
+      redisUrl: this.config.cacheRedisUrl,
+      namespace: this.config.cacheNamespace,
+      maxKeys: this.config.cacheMaxKeys
+    });
+    this.circuitBreakerManager = new CircuitBreakerManager(this.getBreakerOptions());
+    
+    // 按 tools/list 中的 inputSchema 校验工具参数
+    this.toolValidator = new ToolArgumentValidator({
+      enabled: this.config.toolArgumentValidation,
+      coerce: this.config.toolArgumentCoercion
+    });
+    
+    // 工具结果整形（截断、HTML 转 Markdown、钉钉卡片）
+    this.responseShaper = new ResponseShaper(this.getShaperOptions());
+    
+    // 工具调用审计日志（本地 JSONL 文件）
+    this.auditLog = new AuditLog({
+      ...this.getAuditOptions(),
+      dir: this.config.auditLogDir
     });
     
-    // 全局请求队列
-    this.globalQueue = new PQueue({
+    // 上游流量录制与回放（离线复现问题和回归检查）
+    this.recorder = new TrafficRecorder({
+      mode: this.config.recordMode,
+      dir: this.config.recordDir,
+      replayTiming: this.config.recordReplayTiming,
+      replayMiss: this.config.recordReplayMiss
+    });
+    
+    this.rateLimiter = new RateLimiter({
+      enabled: this.config.rateLimitEnabled,
+      perClient: this.config.rateLimitPerClient,
+      perServer: this.config.rateLimitPerServer,
+      perTool: this.config.rateLimitPerTool
+    });
+    
+    // 请求调度：每个服务器独立排队，全局并发槽位在服务器之间按权重公平分配
+    this.scheduler = new FairScheduler({
       concurrency: this.config.maxConcurrentRequests,
-      timeout: 40000,
-      throwOnTimeout: true
+      timeout: this.getQueueTimeout(),
+      resolveServer: (serverId) => {
+        const route = this.resolveRoute(serverId);
+        return {
+          concurrency: route?.concurrency || this.config.serverConcurrency,
+          weight: route?.weight || 1
+        };
+      }
+    });
+    
+    // Dify 上游池（未配置 DIFY_UPSTREAMS 时只有 DIFY_BASE_URL 一个上游）
+    const upstreams = this.config.difyUpstreams.length > 0 ?
+      this.config.difyUpstreams :
+      [{ url: this.config.difyBaseUrl, weight: 1 }];
+    this.upstreamPool = new UpstreamPool({
+      upstreams,
+      strategy: this.config.upstreamStrategy,
+      breakerOptions: this.getBreakerOptions()
+    });
+    
+    // 异步工具调用（超过时限转为后台任务）
+    this.jobManager = this.config.asyncToolCalls ? new JobManager({
+      deadline: this.config.asyncDeadline,
+      resultTTL: this.config.asyncResultTTL,
+      maxJobs: this.config.asyncMaxJobs
+    }) : null;
+    
+    // 虚拟服务器：成员的请求走与 /mcp/:serverId 相同的处理流程；配套工具由虚拟服务器统一提供
+    this.bundleManager = new BundleManager({
+      process: (server, mcpRequest, context) => this.processRequest(server, mcpRequest, context),
+      expectsResponse: (mcpRequest) => this.expectsResponse(mcpRequest),
+      excludeTools: this.jobManager ? [this.jobManager.toolName] : []
     });
     
-    // 每个服务器的独立队列
-    this.serverQueues = new Map();
+    // 服务器注册表（别名、单个服务器的配置和虚拟服务器）
+    this.registry = new ServerRegistry({ file: this.config.serverRegistryFile });
+    this.registeredKeys = new Set();
+    this.applyRegistry();
     
     // 配置 HTTP 代理
     this.setupHttpAgent();
     
+    // 转发使用独立的 axios 实例，重试和追踪拦截器不影响进程中的其他 axios 调用
+    this.http = axios.create({
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent
+    });
+    
+    // 为每次转发请求创建 span（需在重试拦截器之前注册，才能为每次尝试单独结束 span）
+    this.setupTracing();
+    
     // 配置 axios 重试
     this.setupAxiosRetry();
     
-    console.log('代理管理器已初始化', {
+    // 主动健康检查，结果交给服务器和上游的熔断器；healthSessions 为检查目标（scope:name）到检查会话 ID 的映射
+    this.healthSessions = new Map();
+    this.healthProber = new HealthProber({
+      ...this.getHealthProbeOptions(),
+      listTargets: () => this.getHealthProbeTargets(),
+      send: (target, mcpRequest, timeout) => this.sendHealthProbe(target, mcpRequest, timeout),
+      onStatus: (target, healthy) => this.applyHealthStatus(target, healthy)
+    });
+    this.healthProber.start();
+    
+    // 注册 Prometheus 指标
+    this.setupMetrics();
+    
+    log.info('代理管理器已初始化', {
       maxConcurrent: this.config.maxConcurrentRequests,
       requestTimeout: this.config.requestTimeout,
-      retryAttempts: this.config.retryAttempts
+      retryAttempts: this.config.retryAttempts,
+      cacheEnabled: this.config.cacheEnabled,
+      cacheBackend: this.config.cacheBackend,
+      circuitBreakerEnabled: this.config.circuitBreakerEnabled
     });
   }
   
   /**
-   * 设置 HTTP 连接代理
+   * 应用热加载的配置
+   * @param {Object} config - 新配置
    */
-  setupHttpAgent() {
-    this.httpAgent = new http.Agent({
-      keepAlive: true,
-      keepAliveMsecs: 30000,
-      maxSockets: 100,
-      maxFreeSockets: 20,
-      timeout: this.config.connectionTimeout,
-      freeSocketTimeout: 15000
+  applyConfig(config) {
+    this.config = { ...this.config, ...config };
+    
+    // 队列并发和超时
+    this.scheduler.configure({
+      concurrency: this.config.maxConcurrentRequests,
+      timeout: this.getQueueTimeout()
     });
+    this.scheduler.refresh();
     
-    this.httpsAgent = new https.Agent({
-      keepAlive: true,
-      keepAliveMsecs: 30000,
-      maxSockets: 100,
-      maxFreeSockets: 20,
-      timeout: this.config.connectionTimeout,
-      freeSocketTimeout: 15000
+    this.cacheManager.configure({
+      enabled: this.config.cacheEnabled,
+      ttlInitialize: this.config.cacheTtlInitialize,
+      ttlToolsList: this.config.cacheTtlToolsList,
+      staleWhileRevalidate: this.config.cacheStaleWhileRevalidate,
+      staleIfError: this.config.cacheStaleIfError
+    });
+    
+    this.toolValidator.configure({
+      enabled: this.config.toolArgumentValidation,
+      coerce: this.config.toolArgumentCoercion
+    });
+    this.responseShaper.configure(this.getShaperOptions());
+    this.auditLog.configure(this.getAuditOptions());
+    this.recorder.configure({
+      replayTiming: this.config.recordReplayTiming,
+      replayMiss: this.config.recordReplayMiss
+    });
+    
+    this.circuitBreakerManager.configure(this.getBreakerOptions());
+    this.upstreamPool.configure(this.getBreakerOptions());
+    this.healthProber.configure(this.getHealthProbeOptions());
+    
+    this.rateLimiter.configure({
+      enabled: this.config.rateLimitEnabled,
+      perClient: this.config.rateLimitPerClient,
+      perServer: this.config.rateLimitPerServer,
+      perTool: this.config.rateLimitPerTool
     });
+    
+    if (this.jobManager) {
+      this.jobManager.deadline = this.config.asyncDeadline;
+    }
+    
+    log.info('代理配置已更新');
   }
   
   /**
-   * 设置 axios 重试配置
+   * 重新加载服务器注册表，文件无效时保留当前注册表
+   * @throws {Error} 注册表文件无效时抛出
    */
-  setupAxiosRetry() {
-    axiosRetry(axios, {
-      retries: this.config.retryAttempts,
-      retryDelay: (retryCount) => {
-        const delay = Math.min(
-          this.config.retryDelay * Math.pow(2, retryCount - 1),
-          this.config.maxRetryDelay
-        );
-        console.log(`重试第 ${retryCount} 次，延迟 ${delay}ms`);
-        return delay;
-      },
-      retryCondition: (error) => {
-        // 只重试网络错误和 5xx 服务器错误
-        const isRetryable = axiosRetry.isNetworkOrIdempotentRequestError(error) ||
-                           (error.response && error.response.status >= 500);
-        
-        if (isRetryable) {
-          console.log('检测到可重试错误:', error.code || error.message);
-        }
-        
-        return isRetryable;
-      }
-    });
+  reloadRegistry() {
+    this.registry.reload();
+    this.applyRegistry();
   }
   
   /**
-   * 获取服务器专用队列
-   * @param {string} serverId - 服务器 ID
-   * @returns {PQueue} 队列实例
-   */
-  getServerQueue(serverId) {
-    if (!this.serverQueues.has(serverId)) {
-      const queue = new PQueue({
-        concurrency: 10,    // 每个服务器最大并发 10
-        timeout: 40000,
-        throwOnTimeout: true
-      });
-      
-      this.serverQueues.set(serverId, queue);
-      console.log(`创建服务器队列: ${serverId}`);
+   * 将注册表中每个服务器的配置应用到缓存、熔断器、队列和工具策略，并更新虚拟服务器
+   */
+  applyRegistry() {
+    const keys = new Set(this.registry.entries.map(entry => entry.key));
+    
+    this.toolPolicies = new Map(this.registry.entries
+      .filter(entry => entry.tools)
+      .map(entry => [entry.key, new ToolPolicy(entry.tools)]));
+    
+    // 已从注册表移除的服务器恢复全局配置
+    for (const key of this.registeredKeys) {
+      if (!keys.has(key)) {
+        this.cacheManager.setServerTTL(key, null);
+        this.circuitBreakerManager.setServerOptions(key, null);
+        this.responseShaper.setServerOptions(key, null);
+      }
+    }
+    
+    for (const entry of this.registry.entries) {
+      this.cacheManager.setServerTTL(entry.key, entry.cacheTTL || null);
+      this.circuitBreakerManager.setServerOptions(entry.key, entry.circuitBreaker || null);
+      this.responseShaper.setServerOptions(entry.key, entry.response || null);
     }
     
-    return this.serverQueues.get(serverId);
+    this.scheduler.refresh();
+    this.bundleManager.setBundles(this.registry.bundles);
+    
+    this.registeredKeys = keys;
   }
   
   /**
-   * 获取请求优先级
-   * @param {string} method - MCP 方法名
-   * @returns {number} 优先级值（越高越优先）
+   * 解析路由：将路径中的名称（条目名、别名或 Dify serverId）映射到上游配置
+   * 未注册的名称按原样作为 Dify serverId，使用全局配置；baseUrl 为空时使用上游池
+   * @param {string} name - 请求路径中的服务器名称
+   * @returns {Object|null} 路由，严格模式下未注册时返回 null
    */
-  getPriority(method) {
-    const priorities = {
-      'initialize': 10,      // 最高优先级
-      'tools/list': 8,       // 高优先级
-      'tools/call': 5,       // 普通优先级
-      'notifications/initialized': 7
+  resolveRoute(name) {
+    const entry = this.registry.lookup(name);
+    
+    if (!entry && this.config.serverRegistryStrict) {
+      return null;
+    }
+    
+    return {
+      key: name,
+      serverId: name,
+      baseUrl: null,
+      timeout: this.config.requestTimeout,
+      retryAttempts: this.config.retryAttempts,
+      retryDelay: this.config.retryDelay,
+      maxRetryDelay: this.config.maxRetryDelay,
+      concurrency: this.config.serverConcurrency,
+      ...entry,
+      registered: entry !== null
     };
+  }
+  
+  /**
+   * 列出服务器的所有名称：条目名、Dify serverId、别名，以及包含它的虚拟服务器（v/<name>），用于客户端授权
+   * @param {string} key - 注册表条目名（未注册的服务器为请求时的名称）
+   * @returns {Array<string>} 名称列表
+   */
+  getServerNames(key) {
+    const entry = this.registry.lookup(key);
+    const names = new Set(entry ? [entry.key, entry.serverId, ...entry.aliases] : [key]);
     
-    return priorities[method] || 1;
+    for (const bundle of this.bundleManager.bundles.values()) {
+      if (bundle.members.some(member => this.resolveRoute(member.server)?.key === key)) {
+        names.add(`v/${bundle.name}`);
+      }
+    }
+    
+    return [...names];
   }
   
   /**
-   * 验证 MCP 请求格式
+   * 确定请求的重试策略
+   * 注册表中按方法或工具名设置的重试次数优先；其余调用只有在 RETRY_SAFE_METHODS / RETRY_SAFE_TOOLS 中时才按服务器的重试次数重试，
+   * tools/call 等可能有副作用的调用默认不重试
+   * @param {Object} route - 路由
    * @param {Object} mcpRequest - MCP 请求对象
-   * @returns {boolean} 是否有效
+   * @returns {Object} 重试策略（attempts、delay、maxDelay、safe）
    */
-  isValidMCPRequest(mcpRequest) {
-    return mcpRequest &&
-           mcpRequest.jsonrpc === '2.0' &&
-           typeof mcpRequest.method === 'string' &&
-           (mcpRequest.id !== undefined);
+  getRetryPolicy(route, mcpRequest) {
+    const { method } = mcpRequest;
+    const tool = method === 'tools/call' ? mcpRequest.params?.name : undefined;
+    
+    let attempts = tool !== undefined ? route.retryTools?.[tool] : route.retryMethods?.[method];
+    let safe = attempts !== undefined;
+    
+    if (!safe && this.expectsResponse(mcpRequest)) {
+      safe = tool !== undefined ?
+        this.config.retrySafeTools.includes(tool) :
+        this.config.retrySafeMethods.includes(method);
+    }
+    if (attempts === undefined) {
+      attempts = safe ? route.retryAttempts : 0;
+    }
+    
+    return {
+      attempts,
+      delay: route.retryDelay,
+      maxDelay: route.maxRetryDelay,
+      safe
+    };
   }
   
   /**
-   * 处理代理请求（主入口）
-   * @param {string} serverId - 服务器 ID
-   * @param {Object} mcpRequest - MCP 请求对象
-   * @returns {Promise<Object>} 响应结果
+   * 计算重试延迟：优先使用 Dify 返回的 Retry-After（不超过剩余时间），否则为带抖动的指数退避
+   * 超出剩余时间的延迟由 axios-retry 判断为不再重试
+   * @param {number} retryCount - 第几次重试
+   * @param {Object} policy - 重试策略
+   * @param {Error} error - 上一次尝试的错误
+   * @param {number} deadline - 整体截止时间
+   * @returns {number} 延迟（毫秒）
    */
-  async processRequest(serverId, mcpRequest) {
-    const startTime = Date.now();
+  getRetryDelay(retryCount, policy, error, deadline = Infinity) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, Math.max(0, deadline - Date.now()));
+    }
     
-    try {
-      // 1. 验证请求格式
-      if (!this.isValidMCPRequest(mcpRequest)) {
-        return createErrorResponse(
-          ErrorCodes.INVALID_REQUEST,
-          '无效的 MCP 请求格式',
-          null,
-          mcpRequest.id
-        );
+    // 等量抖动：一半固定、一半随机，避免同时失败的请求同时重试
+    const backoff = Math.min(policy.delay * Math.pow(2, retryCount - 1), policy.maxDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+  
+  /**
+   * 读取 Retry-After 响应头（秒数或 HTTP 日期）
+   * @param {Error} error - axios 错误
+   * @returns {number|null} 等待时间（毫秒），没有或无效时返回 null
+   */
+  getRetryAfter(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) {
+      return null;
+    }
+    
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+  
+  /**
+   * 是否可以重试：网络错误、5xx 和 429，整体超时后不再重试
+   * @param {Error} error - axios 错误
+   * @param {AbortSignal} signal - 整体超时信号
+   * @returns {boolean} 是否可以重试
+   */
+  isRetryableError(error, signal) {
+    if (signal.aborted) {
+      return false;
+    }
+    
+    const status = error.response?.status;
+    return axiosRetry.isNetworkError(error) || status >= 500 || status === 429;
+  }
+  
+  /**
+   * 熔断器选项（服务器和上游的熔断器共用）
+   * @returns {Object} 熔断器选项
+   */
+  getBreakerOptions() {
+    return {
+      failureThreshold: this.config.circuitBreakerThreshold,
+      errorRateThreshold: this.config.circuitBreakerErrorRate,
+      minimumRequests: this.config.circuitBreakerMinRequests,
+      timeoutThreshold: this.config.circuitBreakerTimeoutThreshold,
+      monitoringPeriod: this.config.circuitBreakerWindow,
+      recoveryTimeout: this.config.circuitBreakerTimeout,
+      maxRecoveryTimeout: this.config.circuitBreakerMaxTimeout,
+      halfOpenMaxProbes: this.config.circuitBreakerHalfOpenProbes
+    };
+  }
+  
+  /**
+   * 全局响应整形选项
+   * @returns {Object} 整形选项
+   */
+  getShaperOptions() {
+    return {
+      enabled: this.config.responseShapingEnabled,
+      maxTextLength: this.config.responseMaxTextLength,
+      htmlToMarkdown: this.config.responseHtmlToMarkdown,
+      unsupportedContent: this.config.responseUnsupportedContent
+    };
+  }
+  
+  /**
+   * 审计日志选项（不含目录，目录修改需要重启）
+   * @returns {Object} 审计日志选项
+   */
+  getAuditOptions() {
+    return {
+      enabled: this.config.auditLogEnabled,
+      maxFileSize: this.config.auditLogMaxFileSize * 1024 * 1024,
+      retentionDays: this.config.auditLogRetentionDays,
+      arguments: this.config.auditLogArguments,
+      redactFields: this.config.auditLogRedactFields
+    };
+  }
+  
+  /**
+   * 主动健康检查选项
+   * @returns {Object} 健康检查选项
+   */
+  getHealthProbeOptions() {
+    return {
+      enabled: this.config.healthProbeEnabled,
+      interval: this.config.healthProbeInterval,
+      timeout: this.config.healthProbeTimeout,
+      method: this.config.healthProbeMethod,
+      unhealthyThreshold: this.config.healthProbeUnhealthyThreshold,
+      healthyThreshold: this.config.healthProbeHealthyThreshold
+    };
+  }
+  
+  /**
+   * 列出健康检查目标：注册表中的服务器和收到过请求的服务器，以及每个 Dify 上游
+   * 上游通过一个经由它转发的 serverId 检查
+   * @returns {Array<Object>} 检查目标 { scope, name, serverId, upstream }
+   */
+  getHealthProbeTargets() {
+    // 回放模式下不访问 Dify
+    if (this.recorder.mode === 'replay') {
+      return [];
+    }
+    
+    // 只检查运维配置的服务器：注册表条目和虚拟服务器成员，客户端请求过的任意名称不加入检查
+    const names = new Set(this.registeredKeys);
+    for (const bundle of this.bundleManager.bundles.values()) {
+      for (const member of bundle.members) {
+        const route = this.resolveRoute(member.server);
+        if (route) {
+          names.add(route.key);
+        }
       }
-      
-      // 2. 检查缓存
-      const cached = this.cacheManager.get(serverId, mcpRequest);
-      if (cached) {
-        console.log(`缓存命中: ${serverId}:${mcpRequest.method}`);
-        return cached;
+    }
+    
+    const targets = [];
+    const upstreamServers = new Map();
+    
+    for (const name of names) {
+      const route = this.resolveRoute(name);
+      if (!route || route.key !== name) {
+        continue;
       }
       
-      // 3. 获取熔断器
-      const circuitBreaker = this.circuitBreakerManager.getBreaker(serverId);
+      // 不经过负载均衡选择，避免检查请求打乱轮询顺序
+      const upstreams = route.baseUrl ? [this.upstreamPool.getUpstream(route.baseUrl)] : this.upstreamPool.pool;
+      const upstream = upstreams.find(candidate => candidate.breaker.canExecute()) || upstreams[0];
+      targets.push({ scope: 'server', name, serverId: name, upstream });
       
-      // 4. 通过全局队列处理请求
-      const result = await this.globalQueue.add(
-        () => circuitBreaker.execute(() => this.forwardRequest(serverId, mcpRequest)),
-        { 
-          priority: this.getPriority(mcpRequest.method)
+      for (const upstream of upstreams) {
+        if (!upstreamServers.has(upstream)) {
+          upstreamServers.set(upstream, name);
         }
-      );
-      
-      // 5. 缓存成功响应
-      this.cacheManager.set(serverId, mcpRequest, result);
-      
-      const duration = Date.now() - startTime;
-      console.log(`请求完成: ${serverId}:${mcpRequest.method}, 耗时: ${duration}ms`);
-      
-      return result;
-      
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      console.error(`请求失败: ${serverId}:${mcpRequest.method}, 耗时: ${duration}ms`, error.message);
-      
-      // 处理熔断器错误
-      if (error.code === 'CIRCUIT_BREAKER_OPEN') {
-        return createErrorResponse(
-          ErrorCodes.CIRCUIT_BREAKER_OPEN,
-          error.message,
-          { server_id: serverId },
-          mcpRequest.id
-        );
       }
-      
-      return handleProxyError(error, serverId);
     }
+    
+    for (const [upstream, serverId] of upstreamServers) {
+      targets.push({ scope: 'upstream', name: upstream.url, serverId, upstream });
+    }
+    
+    // 不再检查的目标释放保存的会话
+    const keys = new Set(targets.map(target => `${target.scope}:${target.name}`));
+    for (const key of this.healthSessions.keys()) {
+      if (!keys.has(key)) {
+        this.healthSessions.delete(key);
+      }
+    }
+    
+    return targets;
   }
   
   /**
-   * 转发请求到 Dify
-   * @param {string} serverId - 服务器 ID
-   * @param {Object} mcpRequest - MCP 请求对象
-   * @returns {Promise<Object>} Dify 响应
+   * 发送健康检查请求，不经过队列、熔断器和重试
+   * @param {Object} target - 检查目标
+   * @param {Object} mcpRequest - 检查使用的 MCP 请求
+   * @param {number} timeout - 超时（毫秒）
+   * @returns {Promise<void>}
    */
-  async forwardRequest(serverId, mcpRequest) {
-    const difyUrl = `${this.config.difyBaseUrl}/mcp/server/${serverId}/mcp`;
+  sendHealthProbe(target, mcpRequest, timeout) {
+    const key = `${target.scope}:${target.name}`;
+    const sessionId = this.healthSessions.get(key);
+    const url = this.getDifyUrl(target.serverId, target.upstream);
     
-    const axiosConfig = {
-      timeout: this.config.requestTimeout,
-      httpAgent: this.httpAgent,
-      httpsAgent: this.httpsAgent,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'MCP-Proxy-Stable/2.0',
-        'Accept': 'application/json'
-      },
-      // 禁用自动解压缩，避免潜在问题
-      decompress: false
-    };
+    // initialize 检查复用第一次创建的 Dify 会话，之后在该会话上发送 ping，避免每次检查都新建会话
+    const request = mcpRequest.method === 'initialize' && sessionId ?
+      { jsonrpc: '2.0', id: mcpRequest.id, method: 'ping', params: {} } :
+      mcpRequest;
     
-    console.log(`转发请求: ${mcpRequest.method} -> ${difyUrl}`);
+    const post = (message, context) => this.http.post(url, message, {
+      headers: this.buildUpstreamHeaders(context, `application/json, ${SSE_CONTENT_TYPE}`),
+      responseType: 'text',
+      timeout,
+      signal: AbortSignal.timeout(timeout),
+      'axios-retry': { retries: 0 }
+    });
     
-    try {
-      const response = await axios.post(difyUrl, mcpRequest, axiosConfig);
-      
-      // 验证响应格式
-      if (response.data && typeof response.data === 'object') {
-        return response.data;
+    return tracer.trace('health.probe', {
+      attributes: { 'health.scope': target.scope, 'health.name': target.name, 'mcp.method': request.method }
+    }, async () => {
+      let response;
+      try {
+        response = await post(request, { sessionId: request === mcpRequest ? undefined : sessionId });
+      } catch (error) {
+        // 会话已失效（Dify 重启或会话过期），下次检查重新 initialize
+        if (request !== mcpRequest && error.response && [400, 404].includes(error.response.status)) {
+          this.healthSessions.delete(key);
+        }
+        throw error;
       }
       
-      throw new Error('Dify 返回了无效的响应格式');
-      
-    } catch (error) {
-      console.error(`转发失败: ${serverId}:${mcpRequest.method}`, {
-        error: error.message,
-        code: error.code,
-        status: error.response?.status
-      });
-      
-      throw error;
+      const newSessionId = request === mcpRequest && mcpRequest.method === 'initialize' ?
+        response.headers['mcp-session-id'] :
+        undefined;
+      if (newSessionId) {
+        this.healthSessions.set(key, newSessionId);
+        await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { sessionId: newSessionId }).catch(() => {});
+      }
+    });
+  }
+  
+  /**
+   * 将健康检查的判定结果交给对应的熔断器
+   * @param {Object} target - 检查目标
+   * @param {boolean} healthy - 是否健康
+   */
+  applyHealthStatus(target, healthy) {
+    if (target.scope === 'upstream') {
+      this.upstreamPool.breakerManager.recordHealth(`upstream:${target.name}`, healthy);
+    } else if (this.config.circuitBreakerEnabled) {
+      this.circuitBreakerManager.recordHealth(target.name, healthy);
     }
   }
   
   /**
-   * 获取代理统计信息
-   * @returns {Object} 统计信息
+   * 队列任务超时：在请求超时基础上留出余量
+   * @returns {number} 超时（毫秒）
    */
-  getStats() {
-    return {
-      queues: {
-        global: {
-          size: this.globalQueue.size,
-          pending: this.globalQueue.pending,
-          concurrency: this.globalQueue.concurrency
-        },
-        servers: Array.from(this.serverQueues.entries()).map(([serverId, queue]) => ({
-          serverId,
-          size: queue.size,
-          pending: queue.pending
-        }))
-      },
-      cache: this.cacheManager.getStats(),
-      circuitBreakers: this.circuitBreakerManager.getStats()
-    };
+  getQueueTimeout() {
+    return this.config.requestTimeout + 5000;
   }
   
   /**
-   * 清理资源
+   * 设置 HTTP 连接代理
    */
-  cleanup() {
-    // 清空所有队列
-    this.globalQueue.clear();
-    this.serverQueues.forEach(queue => queue.clear());
+  setupHttpAgent() {
+    this.httpAgent = new http.Agent({
+      keepAlive: true,
+      keepAliveMsecs: 30000,
+      maxSockets: 100,
+      maxFreeSockets: 20,
+      timeout: this.config.connectionTimeout,
+      freeSocketTimeout: 15000
+    });
+    
+    this.httpsAgent = new https.Agent({
+      keepAlive: true,
+      keepAliveMsecs: 30000,
+      maxSockets: 100,
+      maxFreeSockets: 20,
+      timeout: this.config.connectionTimeout,
+      freeSocketTimeout: 15000
+    });
+  }
+  
+  /**
+   * 为发往 Dify 的每次请求（包括每次重试）创建 span，并把 traceparent 传给 Dify
+   */
+  setupTracing() {
+    this.http.interceptors.request.use((config) => {
+      const span = tracer.startSpan('dify.request', {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          'http.method': (config.method || 'get').toUpperCase(),
+          'http.url': config.url,
+          'http.retry_count': config['axios-retry']?.retryCount || 0
+        }
+      });
+      
+      if (span) {
+        config.traceSpan = span;
+        config.headers.traceparent = span.toTraceparent();
+        if (span.tracestate) {
+          config.headers.tracestate = span.tracestate;
+        }
+      }
+      
+      return config;
+    });
     
-    // 清空缓存
-    this.cacheManager.clearAll();
+    this.http.interceptors.response.use((response) => {
+      const span = response.config.traceSpan;
+      if (span) {
+        span.setAttribute('http.status_code', response.status);
+        span.end();
+      }
+      return response;
+    }, (error) => {
+      const span = error.config?.traceSpan;
+      if (span) {
+        span.setAttribute('http.status_code', error.response?.status);
+        span.recordError(error);
+        span.end();
+      }
+      return Promise.reject(error);
+    });
+  }
+  
+  /**
+   * 设置 axios 重试配置
+   */
+  setupAxiosRetry() {
+    // 重试次数、条件和延迟由 forwardRequest 按请求的重试策略指定，其他请求不重试
+    axiosRetry(this.http, { retries: 0 });
+  }
+  
+  /**
+   * 注册 Prometheus 指标和采集函数
+   */
+  setupMetrics() {
+    this.metrics = new MetricsRegistry();
+    
+    // 请求级指标在 processRequest 中记录
+    this.metrics.register('counter', 'requests_total', 'MCP 请求数');
+    this.metrics.register('histogram', 'request_duration_seconds', 'MCP 请求耗时（秒）');
+    this.metrics.register('counter', 'retries_total', '转发到 Dify 的重试次数');
+    this.metrics.register('counter', 'cache_stale_served_total', '返回过期缓存的次数（revalidate 为后台刷新期间，error 为转发失败时兜底）');
+    
+    // 以下指标在抓取时从各组件的统计信息生成
+    this.metrics.register('gauge', 'queue_size', '队列中等待的任务数', { collected: true });
+    this.metrics.register('gauge', 'queue_pending', '队列中正在执行的任务数', { collected: true });
+    this.metrics.register('counter', 'cache_hits_total', '缓存命中次数', { collected: true });
+    this.metrics.register('counter', 'cache_misses_total', '缓存未命中次数', { collected: true });
+    this.metrics.register('counter', 'cache_sets_total', '缓存写入次数', { collected: true });
+    this.metrics.register('counter', 'requests_coalesced_total', '与进行中的相同请求合并、未单独转发的请求数', { collected: true });
+    this.metrics.register('gauge', 'circuit_breaker_state', '熔断器状态（0 关闭，1 半开，2 打开）', { collected: true });
+    this.metrics.register('counter', 'circuit_breaker_trips_total', '熔断器打开次数', { collected: true });
+    this.metrics.register('gauge', 'circuit_breaker_error_rate', '熔断器统计窗口内的错误率（百分比）', { collected: true });
+    this.metrics.register('gauge', 'health_probe_up', '主动健康检查结果（1 健康，0 不健康）', { collected: true });
+    this.metrics.register('gauge', 'health_probe_latency_seconds', '最近一次健康检查耗时（秒）', { collected: true });
+    
+    this.metrics.addCollector((metrics) => {
+      const queues = this.scheduler.getStats();
+      metrics.set('queue_size', { queue: 'global' }, queues.global.size);
+      metrics.set('queue_pending', { queue: 'global' }, queues.global.pending);
+      for (const lane of queues.servers) {
+        metrics.set('queue_size', { queue: lane.serverId }, lane.size);
+        metrics.set('queue_pending', { queue: lane.serverId }, lane.pending);
+      }
+      
+      const cacheStats = this.cacheManager.getStats();
+      metrics.set('cache_hits_total', {}, cacheStats.hits);
+      metrics.set('cache_misses_total', {}, cacheStats.misses);
+      metrics.set('cache_sets_total', {}, cacheStats.sets);
+      metrics.set('requests_coalesced_total', {}, cacheStats.coalesced);
+      
+      const states = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+      const breakers = [
+        ['server', this.circuitBreakerManager],
+        ['upstream', this.upstreamPool.breakerManager]
+      ];
+      for (const [scope, manager] of breakers) {
+        for (const [name, breaker] of manager.breakers) {
+          const labels = { scope, name: scope === 'upstream' ? name.replace(/^upstream:/, '') : name };
+          metrics.set('circuit_breaker_state', labels, states[breaker.state]);
+          metrics.set('circuit_breaker_trips_total', labels, breaker.stats.circuitBreakerTrips);
+          metrics.set('circuit_breaker_error_rate', labels, breaker.getWindow().errorRate);
+        }
+      }
+      
+      for (const result of this.healthProber.results.values()) {
+        if (result.healthy !== null) {
+          const labels = { scope: result.scope, name: result.name };
+          metrics.set('health_probe_up', labels, result.healthy ? 1 : 0);
+          metrics.set('health_probe_latency_seconds', labels, result.latency / 1000);
+        }
+      }
+    });
+  }
+  
+  /**
+   * 记录请求指标
+   * @param {string} serverId - 请求路径中的服务器名称
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object|null} response - 响应结果
+   * @param {number} startTime - 请求开始时间
+   */
+  recordRequestMetrics(serverId, mcpRequest, response, startTime) {
+    const route = this.resolveRoute(serverId);
+    const labels = {
+      server_id: route ? route.key : 'unregistered',
+      ...this.getMetricMethodLabels(route, mcpRequest),
+      outcome: this.getOutcome(response)
+    };
+    
+    this.metrics.inc('requests_total', labels);
+    this.metrics.observe('request_duration_seconds', labels, (Date.now() - startTime) / 1000);
+  }
+  
+  /**
+   * 确定指标的 method 和 tool 标签
+   * 未知方法记为 other；tool 只取该服务器 tools/list 中出现过的工具（按工具策略换回原始名称后判断），其余记为 other
+   * @param {Object|null} route - 路由
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @returns {Object} { method, tool }
+   */
+  getMetricMethodLabels(route, mcpRequest) {
+    const method = mcpRequest?.method;
+    
+    if (typeof method !== 'string') {
+      return { method: 'response', tool: '' };
+    }
+    if (!METRIC_METHODS.has(method)) {
+      return { method: 'other', tool: '' };
+    }
+    if (method !== 'tools/call') {
+      return { method, tool: '' };
+    }
+    
+    const name = mcpRequest.params?.name;
+    const policy = route && this.toolPolicies.get(route.key);
+    const original = typeof name === 'string' && policy ? policy.resolveToolName(name) : name;
+    const known = route && typeof original === 'string' && this.toolValidator.hasTool(route.key, original);
+    
+    return { method, tool: known ? name : 'other' };
+  }
+  
+  /**
+   * 根据响应判断请求结果，用作指标标签
+   * @param {Object|null} response - 响应结果
+   * @returns {string} 结果类别
+   */
+  getOutcome(response) {
+    if (response === null) {
+      return 'accepted';
+    }
+    
+    if (response[STALE_RESPONSE]) {
+      return 'stale';
+    }
+    
+    if (response.error) {
+      const outcomes = {
+        [ErrorCodes.INVALID_REQUEST]: 'invalid',
+        [ErrorCodes.INVALID_PARAMS]: 'invalid',
+        [ErrorCodes.SERVER_NOT_REGISTERED]: 'unregistered',
+        [ErrorCodes.RATE_LIMITED]: 'rate_limited',
+        [ErrorCodes.CIRCUIT_BREAKER_OPEN]: 'circuit_open',
+        [ErrorCodes.REQUEST_TIMEOUT]: 'timeout'
+      };
+      return outcomes[response.error.code] || 'error';
+    }
+    
+    if (response.result?._meta?.jobId && response.result._meta.status === 'pending') {
+      return 'async';
+    }
+    
+    return response.result?.isError ? 'tool_error' : 'success';
+  }
+  
+  /**
+   * 暂停服务器队列：之后的请求等待恢复，超过队列超时返回错误
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态
+   */
+  pauseServerQueue(serverId) {
+    return this.scheduler.pause(serverId);
+  }
+  
+  /**
+   * 恢复服务器队列，等待中的请求继续执行
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态
+   */
+  resumeServerQueue(serverId) {
+    return this.scheduler.resume(serverId);
+  }
+  
+  /**
+   * 清空服务器队列：等待中的请求返回错误，执行中的请求不受影响，暂停状态保持不变
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态，dropped 为丢弃的请求数
+   */
+  drainServerQueue(serverId) {
+    const dropped = this.scheduler.drain(serverId);
+    return { ...this.scheduler.getServerState(serverId), dropped };
+  }
+  
+  /**
+   * 获取服务器队列状态
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态
+   */
+  getQueueState(serverId) {
+    return this.scheduler.getServerState(serverId);
+  }
+  
+  /**
+   * 获取所有已暂停或有等待、执行中请求的服务器队列状态
+   * @returns {Array<Object>} 队列状态列表
+   */
+  getQueueStates() {
+    return this.scheduler.getStats().servers;
+  }
+  
+  /**
+   * 获取请求优先级
+   * @param {string} method - MCP 方法名
+   * @returns {number} 优先级值（越高越优先）
+   */
+  getPriority(method) {
+    const priorities = {
+      'initialize': 10,      // 最高优先级
+      'tools/list': 8,       // 高优先级
+      'tools/call': 5,       // 普通优先级
+      'notifications/initialized': 7
+    };
+    
+    return priorities[method] || 1;
+  }
+  
+  /**
+   * 验证 MCP 消息格式
+   * 接受请求、通知（无 id）以及客户端对服务端请求的应答
+   * @param {Object} mcpRequest - MCP 消息对象
+   * @returns {boolean} 是否有效
+   */
+  isValidMCPRequest(mcpRequest) {
+    if (!mcpRequest || typeof mcpRequest !== 'object' || mcpRequest.jsonrpc !== '2.0') {
+      return false;
+    }
+    
+    if (typeof mcpRequest.method === 'string') {
+      return true;
+    }
+    
+    return mcpRequest.id !== undefined && ('result' in mcpRequest || 'error' in mcpRequest);
+  }
+  
+  /**
+   * 检查消息是否需要应答
+   * 通知和客户端发出的应答只需转发，HTTP 层返回 202
+   * @param {Object} mcpRequest - MCP 消息对象
+   * @returns {boolean} 是否需要应答
+   */
+  expectsResponse(mcpRequest) {
+    return typeof mcpRequest.method === 'string' && mcpRequest.id !== undefined;
+  }
+  
+  /**
+   * 处理代理请求（主入口）
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文（会话 ID、SSE 事件回调等）
+   * @returns {Promise<Object|null>} 响应结果，无需应答的消息返回 null
+   */
+  async processRequest(serverId, mcpRequest, context = {}) {
+    const startTime = Date.now();
+    
+    // 工具参数和结果由日志模块按 LOG_REDACT_FIELDS 隐去
+    log.debug('收到 MCP 消息', { serverId, message: mcpRequest });
+    
+    const attributes = {
+      'mcp.server_id': serverId,
+      'mcp.method': mcpRequest?.method,
+      'mcp.tool': mcpRequest?.method === 'tools/call' ? mcpRequest.params?.name : undefined
+    };
+    
+    return tracer.trace('mcp.request', { attributes }, async (span) => {
+      try {
+        const response = await this.handleRequest(serverId, mcpRequest, context, startTime);
+        this.recordRequestMetrics(serverId, mcpRequest, response, startTime);
+        this.recordAudit(serverId, mcpRequest, context, { response }, startTime, span);
+        span?.setAttribute('mcp.outcome', this.getOutcome(response));
+        log.debug('返回 MCP 响应', { serverId, response });
+        return response;
+      } catch (error) {
+        this.recordRequestMetrics(serverId, mcpRequest, { error }, startTime);
+        this.recordAudit(serverId, mcpRequest, context, { error }, startTime, span);
+        throw error;
+      }
+    });
+  }
+  
+  /**
+   * 把工具调用写入审计日志（其他方法不记录）
+   * 记录的是客户端调用的工具名和参数，即工具策略改名、参数修正之前的；
+   * 转为后台任务的调用先记录 outcome 为 async 的一条，任务结束后再按同一 jobId 记录最终结果
+   * @param {string} serverId - 请求路径中的服务器名称
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {Object} result - { response } 或 { error }
+   * @param {number} startTime - 请求开始时间
+   * @param {Object|null} span - 当前 span（未采样时为 null）
+   */
+  recordAudit(serverId, mcpRequest, context, result, startTime, span) {
+    if (!this.auditLog.enabled || mcpRequest?.method !== 'tools/call') {
+      return;
+    }
+    
+    const route = this.resolveRoute(serverId);
+    const entry = {
+      requestId: context.requestId,
+      traceId: span?.traceId,
+      clientId: context.clientId,
+      clientIp: context.clientIp,
+      serverId: route ? route.key : serverId,
+      bundle: context.bundle,
+      tool: mcpRequest.params?.name,
+      arguments: mcpRequest.params?.arguments
+    };
+    const outcome = result.error ? 'error' : this.getOutcome(result.response);
+    
+    this.auditLog.record({
+      ...entry,
+      response: result.response,
+      error: result.error,
+      outcome,
+      latency: Date.now() - startTime
+    });
+    
+    const jobId = outcome === 'async' ? result.response.result._meta.jobId : null;
+    if (jobId && this.jobManager) {
+      this.jobManager.waitForJob(jobId).then(job => {
+        if (job) {
+          this.auditLog.record({
+            ...entry,
+            jobId,
+            response: job.response,
+            outcome: this.getOutcome(job.response),
+            latency: job.completedAt - startTime
+          });
+        }
+      }).catch(error => {
+        log.error('记录后台任务审计失败', { jobId, error });
+      });
+    }
+  }
+  
+  /**
+   * 处理单个 MCP 消息：校验、路由、限流、缓存，再交给队列执行
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {number} startTime - 请求开始时间
+   * @returns {Promise<Object|null>} 响应结果，无需应答的消息返回 null
+   */
+  async handleRequest(serverId, mcpRequest, context, startTime) {
+    // 1. 验证请求格式
+    if (!this.isValidMCPRequest(mcpRequest)) {
+      return createErrorResponse(
+        ErrorCodes.INVALID_REQUEST,
+        '无效的 MCP 请求格式',
+        null,
+        mcpRequest?.id ?? null
+      );
+    }
+    
+    // 2. 解析路由，之后统一使用注册表中的条目名作为服务器标识
+    const route = this.resolveRoute(serverId);
+    if (!route) {
+      if (!this.expectsResponse(mcpRequest)) {
+        return null;
+      }
+      
+      return createErrorResponse(
+        ErrorCodes.SERVER_NOT_REGISTERED,
+        `未注册的服务器: ${serverId}`,
+        { server_id: serverId },
+        mcpRequest.id
+      );
+    }
+    serverId = route.key;
+    
+    // 3. 查询后台任务结果的配套工具由代理直接处理
+    if (this.jobManager && this.jobManager.isJobToolCall(mcpRequest)) {
+      return this.jobManager.handleToolCall(serverId, mcpRequest);
+    }
+    
+    // 4. 工具策略：隐藏的工具按未知工具拒绝，改名的工具换回 Dify 中的原始名称
+    const requestedTool = mcpRequest.method === 'tools/call' ? mcpRequest.params?.name : undefined;
+    const policy = this.toolPolicies.get(serverId);
+    if (policy && mcpRequest.method === 'tools/call') {
+      const name = mcpRequest.params?.name;
+      const tool = policy.resolveToolName(name);
+      
+      if (!tool) {
+        log.warn('工具调用被工具策略拒绝', { serverId, tool: name });
+        
+        if (!this.expectsResponse(mcpRequest)) {
+          return null;
+        }
+        
+        return createErrorResponse(
+          ErrorCodes.INVALID_PARAMS,
+          `未知工具: ${name}`,
+          { tool: name ?? null, server_id: serverId },
+          mcpRequest.id
+        );
+      }
+      
+      mcpRequest = { ...mcpRequest, params: { ...mcpRequest.params, name: tool } };
+    }
+    
+    // 5. 按 inputSchema 校验工具参数，不符合时不转发（不占用队列，也不计入熔断器）
+    if (mcpRequest.method === 'tools/call' && this.toolValidator.enabled) {
+      const validation = await this.validateToolArguments(serverId, mcpRequest);
+      
+      if (!validation.valid) {
+        log.warn('工具参数校验失败', { serverId, tool: requestedTool, errors: validation.errors });
+        
+        if (!this.expectsResponse(mcpRequest)) {
+          return null;
+        }
+        
+        const details = validation.errors.map(error => `${error.path} ${error.message}`).join('；');
+        return createErrorResponse(
+          ErrorCodes.INVALID_PARAMS,
+          `工具参数无效: ${details}`,
+          { tool: requestedTool, server_id: serverId, errors: validation.errors },
+          mcpRequest.id
+        );
+      }
+      
+      mcpRequest = validation.request;
+    }
+    
+    // 6. 限流（按客户端、服务器和工具）
+    const rateLimit = this.checkRateLimit(route, mcpRequest, context);
+    if (rateLimit && !rateLimit.allowed) {
+      log.warn('请求被限流', {
+        serverId,
+        method: mcpRequest.method,
+        scope: rateLimit.scope,
+        key: rateLimit.key
+      });
+      
+      if (!this.expectsResponse(mcpRequest)) {
+        return null;
+      }
+      
+      return createErrorResponse(
+        ErrorCodes.RATE_LIMITED,
+        '请求过于频繁，请稍后重试',
+        {
+          retry_after: rateLimit.retryAfter,
+          scope: rateLimit.scope,
+          limit: rateLimit.limit,
+          server_id: serverId
+        },
+        mcpRequest.id
+      );
+    }
+    
+    // 7. 检查缓存
+    const cached = await tracer.trace('cache.lookup', {
+      attributes: { 'mcp.server_id': serverId, 'mcp.method': mcpRequest.method, 'cache.backend': this.config.cacheBackend }
+    }, async (span) => {
+      const entry = await this.cacheManager.lookup(serverId, mcpRequest);
+      span?.setAttribute('cache.hit', entry?.state === 'fresh');
+      span?.setAttribute('cache.stale', entry ? entry.state !== 'fresh' : false);
+      return entry;
+    });
+    if (cached?.state === 'fresh') {
+      log.debug('缓存命中', { serverId, method: mcpRequest.method });
+      // 缓存的响应可能来自其他请求，id 需要换成当前请求的
+      return this.finalizeResponse(serverId, mcpRequest, { ...cached.response, id: mcpRequest.id });
+    }
+    
+    // 刚过期的数据直接返回，同时在后台重新请求并更新缓存
+    if (cached?.state === 'stale') {
+      this.cacheManager.revalidate(serverId, mcpRequest, () =>
+        this.executeShared(serverId, mcpRequest, { requestId: context.requestId })
+      );
+      return this.serveStale(serverId, mcpRequest, cached, 'revalidate');
+    }
+    
+    // 8. 工具调用接近钉钉时限时转为后台任务，上游调用继续执行
+    if (this.shouldRunAsync(mcpRequest)) {
+      // 后台任务保存的是处理后的结果，稍后通过配套工具获取时不再处理
+      const execution = this.executeRequest(serverId, mcpRequest, context, {
+        timeout: this.config.asyncJobTimeout
+      }, startTime).then(result => this.finalizeResponse(serverId, mcpRequest, result));
+      
+      return this.jobManager.runWithDeadline(serverId, mcpRequest, execution, startTime);
+    }
+    
+    const result = await this.executeShared(serverId, mcpRequest, context, startTime);
+    
+    // Dify 不可用或熔断器打开时，用宽限期内的过期数据兜底
+    if (cached && this.isStaleFallbackError(result)) {
+      log.warn('转发失败，返回过期缓存', {
+        serverId,
+        method: mcpRequest.method,
+        age: Math.round(cached.age),
+        errorCode: result.error.code
+      });
+      return this.serveStale(serverId, mcpRequest, cached, 'error');
+    }
+    
+    return this.finalizeResponse(serverId, mcpRequest, result);
+  }
+  
+  /**
+   * 转发可缓存的请求，相同的并发请求（同一缓存键）共用一次上游调用
+   * 带会话的请求属于单个客户端，不参与合并；上游为请求创建了会话时，等待的请求各自重新转发
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {number} startTime - 收到请求的时间
+   * @returns {Promise<Object>} 响应结果，id 为当前请求的
+   */
+  async executeShared(serverId, mcpRequest, context, startTime = Date.now()) {
+    if (context.sessionId || !this.cacheManager.shouldCache(mcpRequest.method, serverId)) {
+      return this.executeRequest(serverId, mcpRequest, context, {}, startTime);
+    }
+    
+    const { value, shared } = await this.cacheManager.coalesce(serverId, mcpRequest, async () => {
+      const result = await this.executeRequest(serverId, mcpRequest, context, {}, startTime);
+      return { result, shareable: !context.upstreamSessionId };
+    });
+    
+    if (!shared) {
+      return value.result;
+    }
+    
+    if (!value.shareable || !value.result) {
+      return this.executeRequest(serverId, mcpRequest, context, {}, startTime);
+    }
+    
+    return { ...value.result, id: mcpRequest.id };
+  }
+  
+  /**
+   * 按工具的 inputSchema 校验 tools/call 参数
+   * 工具策略改写了 inputSchema 时按改写后的校验（模型看到的是它）；还不知道工具的 schema 时不校验
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - tools/call 请求（工具名为 Dify 中的原始名称）
+   * @returns {Promise<Object>} { valid, errors, request }，request 为参数修正后的请求
+   */
+  async validateToolArguments(serverId, mcpRequest) {
+    const tool = mcpRequest.params?.name;
+    const schema = this.toolPolicies.get(serverId)?.overrides[tool]?.inputSchema ||
+      await this.getToolSchema(serverId, tool);
+    
+    if (!schema) {
+      return { valid: true, errors: [], request: mcpRequest };
+    }
+    
+    const result = this.toolValidator.validate(schema, mcpRequest.params.arguments);
+    const request = result.valid && result.coerced ?
+      { ...mcpRequest, params: { ...mcpRequest.params, arguments: result.arguments } } :
+      mcpRequest;
+    
+    return { valid: result.valid, errors: result.errors, request };
+  }
+  
+  /**
+   * 获取工具的 inputSchema
+   * 本副本还没有见过该服务器的工具列表时（如刚重启而共享缓存已预热），从缓存中的 tools/list 结果读取
+   * @param {string} serverId - 服务器 ID
+   * @param {string} tool - 原始工具名
+   * @returns {Promise<Object|null>} inputSchema
+   */
+  async getToolSchema(serverId, tool) {
+    if (!this.toolValidator.has(serverId)) {
+      const listRequest = { method: 'tools/list' };
+      const response = await this.cacheManager.peek(serverId, listRequest);
+      if (response) {
+        this.toolValidator.record(serverId, listRequest, response);
+      }
+    }
+    
+    return this.toolValidator.getSchema(serverId, tool);
+  }
+  
+  /**
+   * 响应是否需要在返回前处理（见 finalizeResponse）：
+   * 工具列表经过工具策略和配套工具处理，启用整形时工具结果经过整形
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @returns {boolean} 是否需要处理
+   */
+  rewritesResponse(serverId, mcpRequest) {
+    return mcpRequest.method === 'tools/list' ||
+      (mcpRequest.method === 'tools/call' && this.responseShaper.isEnabled(serverId));
+  }
+  
+  /**
+   * 返回过期的缓存数据，并在指标中标记
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} cached - 缓存查找结果
+   * @param {string} reason - revalidate 或 error
+   * @returns {Object} 响应结果
+   */
+  serveStale(serverId, mcpRequest, cached, reason) {
+    this.metrics.inc('cache_stale_served_total', { server_id: serverId, method: mcpRequest.method, reason });
+    
+    const response = this.finalizeResponse(serverId, mcpRequest, { ...cached.response, id: mcpRequest.id });
+    return Object.defineProperty(response, STALE_RESPONSE, { value: reason });
+  }
+  
+  /**
+   * 转发失败时是否可以用过期缓存兜底：Dify 不可达、超时、熔断器打开、队列暂停或 Dify 返回 5xx/429
+   * @param {Object|null} response - 响应结果
+   * @returns {boolean} 是否可以兜底
+   */
+  isStaleFallbackError(response) {
+    const code = response?.error?.code;
+    if (code === ErrorCodes.PROXY_ERROR) {
+      const status = response.error.data?.status_code;
+      return status >= 500 || status === 429;
+    }
+    
+    return code === ErrorCodes.SERVER_UNAVAILABLE ||
+           code === ErrorCodes.REQUEST_TIMEOUT ||
+           code === ErrorCodes.CIRCUIT_BREAKER_OPEN;
+  }
+  
+  /**
+   * 检查限流并把配额写入请求上下文（批量请求中保留剩余额度最少的一项）
+   * @param {Object} route - 路由
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文（clientId、clientRateLimit）
+   * @returns {Object|null} 限流结果，未启用限流时返回 null
+   */
+  checkRateLimit(route, mcpRequest, context) {
+    const checks = [{ scope: 'server', key: route.key, limit: route.rateLimit?.requests }];
+    
+    if (context.clientId) {
+      checks.unshift({ scope: 'client', key: context.clientId, limit: context.clientRateLimit });
+    }
+    
+    // 工具名由客户端决定，只为注册表中设置了限额或出现在 tools/list 中的工具建桶，未知工具名不占用令牌桶
+    const tool = mcpRequest.method === 'tools/call' ? mcpRequest.params?.name : null;
+    const toolLimits = route.rateLimit?.tools || {};
+    const configured = typeof tool === 'string' && Object.prototype.hasOwnProperty.call(toolLimits, tool);
+    if (configured || (typeof tool === 'string' && this.toolValidator.hasTool(route.key, tool))) {
+      checks.push({ scope: 'tool', key: `${route.key}:${tool}`, limit: configured ? toolLimits[tool] : undefined });
+    }
+    
+    const result = this.rateLimiter.consume(checks);
+    if (result && (!context.rateLimit || result.remaining < context.rateLimit.remaining)) {
+      context.rateLimit = result;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 通过队列和熔断器执行请求，错误转换为 JSON-RPC 错误响应
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {Object} options - 执行选项（timeout 覆盖服务器的请求超时）
+   * @param {number} startTime - 请求开始时间
+   * @returns {Promise<Object|null>} 响应结果
+   */
+  async executeRequest(serverId, mcpRequest, context, options = {}, startTime = Date.now()) {
+    try {
+      // 从收到请求开始计算，排队、每次尝试和重试等待共用同一截止时间
+      const deadline = startTime + (options.timeout || this.resolveRoute(serverId).timeout);
+      const forward = () => this.forwardRequest(serverId, mcpRequest, context, { deadline });
+      
+      // 获取熔断器（可通过配置关闭）
+      const execute = this.config.circuitBreakerEnabled ?
+        () => {
+          const breaker = this.circuitBreakerManager.getBreaker(serverId);
+          return tracer.trace('circuit_breaker.execute', {
+            attributes: { 'breaker.name': serverId, 'breaker.state': breaker.state }
+          }, () => breaker.execute(forward));
+        } :
+        forward;
+      
+      // 排队等待的时间单独记为一个 span
+      const lane = this.scheduler.getServerState(serverId);
+      const queueSpan = tracer.startSpan('queue.wait', {
+        attributes: {
+          'queue.name': serverId,
+          'queue.size': lane.size,
+          'queue.pending': lane.pending,
+          'queue.global_pending': this.scheduler.pending
+        }
+      });
+      
+      // 排队超过截止时间时返回超时；执行中的请求由转发自身的超时结束，这里多留一秒余量
+      const queueOptions = {
+        priority: this.getPriority(mcpRequest.method),
+        timeout: Math.max(1, deadline - Date.now()) + 1000
+      };
+      
+      // 先在服务器队列中排队，再占用全局槽位执行
+      let result;
+      try {
+        result = await this.scheduler.schedule(serverId, () => {
+          queueSpan?.end();
+          return execute();
+        }, queueOptions);
+      } finally {
+        queueSpan?.end();
+      }
+      
+      // 缓存成功响应（带会话的响应属于单个客户端，不共享）
+      if (result && !context.upstreamSessionId) {
+        this.cacheManager.set(serverId, mcpRequest, result);
+      }
+      
+      log.info('请求完成', { serverId, method: mcpRequest.method, duration: Date.now() - startTime });
+      
+      return result;
+      
+    } catch (error) {
+      log.error('请求失败', { serverId, method: mcpRequest.method, duration: Date.now() - startTime, error });
+      
+      // 通知失败时无法向客户端应答
+      if (!this.expectsResponse(mcpRequest)) {
+        return null;
+      }
+      
+      // 服务器队列被管理接口暂停或清空
+      if (error.code === 'QUEUE_PAUSED' || error.code === 'QUEUE_DRAINED') {
+        return createErrorResponse(
+          ErrorCodes.SERVER_UNAVAILABLE,
+          error.message,
+          { server_id: serverId, queue: error.code === 'QUEUE_PAUSED' ? 'paused' : 'drained' },
+          mcpRequest.id
+        );
+      }
+      
+      if (error.code === 'QUEUE_TIMEOUT') {
+        return createErrorResponse(
+          ErrorCodes.REQUEST_TIMEOUT,
+          '请求超时，请稍后重试',
+          { timeout: true, server_id: serverId, queue: 'timeout' },
+          mcpRequest.id
+        );
+      }
+      
+      // 处理熔断器错误
+      if (error.code === 'CIRCUIT_BREAKER_OPEN') {
+        return createErrorResponse(
+          ErrorCodes.CIRCUIT_BREAKER_OPEN,
+          error.message,
+          { server_id: serverId },
+          mcpRequest.id
+        );
+      }
+      
+      // 回放模式下没有录制过的请求
+      if (error.code === 'REPLAY_MISS') {
+        return createErrorResponse(
+          ErrorCodes.PROXY_ERROR,
+          error.message,
+          {
+            server_id: serverId,
+            method: mcpRequest.method,
+            tool: error.match.tool,
+            arguments_hash: error.match.argumentsHash
+          },
+          mcpRequest.id
+        );
+      }
+      
+      return handleProxyError(error, serverId, mcpRequest.id);
+    }
+  }
+  
+  /**
+   * 是否以异步任务方式执行
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @returns {boolean} 是否异步执行
+   */
+  shouldRunAsync(mcpRequest) {
+    return this.jobManager !== null &&
+           mcpRequest.method === 'tools/call' &&
+           this.expectsResponse(mcpRequest);
+  }
+  
+  /**
+   * 返回给客户端前的最后处理
+   * 缓存中保存的是 Dify 的原始响应，工具策略在这里应用，修改策略后缓存的工具列表立即生效
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object|null} response - 响应结果
+   * @returns {Object|null} 处理后的响应
+   */
+  finalizeResponse(serverId, mcpRequest, response) {
+    // 记录工具的 inputSchema，供校验 tools/call 参数
+    if (mcpRequest.method === 'tools/list') {
+      this.toolValidator.record(serverId, mcpRequest, response);
+    }
+    
+    const policy = this.toolPolicies.get(serverId);
+    if (policy && mcpRequest.method === 'tools/list') {
+      response = policy.applyToolsList(response);
+    }
+    
+    if (mcpRequest.method === 'tools/call') {
+      return this.responseShaper.shape(serverId, mcpRequest.params?.name, response);
+    }
+    
+    // 开启异步工具调用时，在工具列表中加入查询结果的配套工具
+    if (this.jobManager && mcpRequest.method === 'tools/list') {
+      return this.jobManager.decorateToolsList(response);
+    }
+    
+    return response;
+  }
+  
+  /**
+   * 处理发往虚拟服务器（/mcp/v/:bundle）的单个 MCP 消息
+   * initialize、ping 由代理应答，tools/list 和 tools/call 按成员经 processRequest 转发
+   * @param {string} bundle - 虚拟服务器名
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object|null>} 响应结果，无需应答的消息返回 null
+   */
+  async processBundleRequest(bundle, mcpRequest, context = {}) {
+    const attributes = {
+      'mcp.bundle': bundle,
+      'mcp.method': mcpRequest?.method,
+      'mcp.tool': mcpRequest?.method === 'tools/call' ? mcpRequest.params?.name : undefined
+    };
+    
+    return tracer.trace('mcp.bundle', { attributes }, async () => {
+      if (!this.isValidMCPRequest(mcpRequest)) {
+        return createErrorResponse(
+          ErrorCodes.INVALID_REQUEST,
+          '无效的 MCP 请求格式',
+          null,
+          mcpRequest?.id ?? null
+        );
+      }
+      
+      if (this.jobManager && this.jobManager.isJobToolCall(mcpRequest)) {
+        return this.processBundleJobToolCall(bundle, mcpRequest, context);
+      }
+      
+      const response = await this.bundleManager.handle(bundle, mcpRequest, context);
+      
+      if (this.jobManager && mcpRequest.method === 'tools/list') {
+        return this.jobManager.decorateToolsList(response);
+      }
+      
+      return response;
+    });
+  }
+  
+  /**
+   * 处理虚拟服务器上的配套工具调用：转给创建该任务的成员
+   * @param {string} bundle - 虚拟服务器名
+   * @param {Object} mcpRequest - tools/call 请求
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object>} JSON-RPC 响应
+   */
+  async processBundleJobToolCall(bundle, mcpRequest, context) {
+    const job = this.jobManager.getJob(mcpRequest.params?.arguments?.job_id);
+    const member = job && this.bundleManager.get(bundle).members.find(candidate =>
+      this.resolveRoute(candidate.server)?.key === job.serverId
+    );
+    
+    // 任务不存在或不属于该虚拟服务器的成员
+    if (!member) {
+      return this.jobManager.handleToolCall(`v/${bundle}`, mcpRequest);
+    }
+    
+    return this.bundleManager.forward(this.bundleManager.get(bundle), member.server, mcpRequest, context);
+  }
+  
+  /**
+   * 处理 JSON-RPC 批量请求
+   * 每一项独立排队、缓存和转发，最后按原顺序组装结果
+   * @param {string} serverId - 服务器 ID
+   * @param {Array<Object>} messages - MCP 消息数组
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object|Array<Object>|null>} 批量响应，全部为通知时返回 null
+   */
+  async processBatch(serverId, messages, context = {}) {
+    log.info('处理批量请求', { serverId, size: messages.length });
+    return this.runBatch(messages, message => this.processRequest(serverId, message, context));
+  }
+  
+  /**
+   * 处理发往虚拟服务器的 JSON-RPC 批量请求
+   * @param {string} bundle - 虚拟服务器名
+   * @param {Array<Object>} messages - MCP 消息数组
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<Object|Array<Object>|null>} 批量响应，全部为通知时返回 null
+   */
+  async processBundleBatch(bundle, messages, context = {}) {
+    log.info('处理批量请求', { bundle, size: messages.length });
+    return this.runBatch(messages, message => this.processBundleRequest(bundle, message, context));
+  }
+  
+  /**
+   * 并行处理批量请求中的每一项，按原顺序组装结果
+   * @param {Array<Object>} messages - MCP 消息数组
+   * @param {Function} handle - 处理单个消息 (message) => Promise<Object|null>
+   * @returns {Promise<Object|Array<Object>|null>} 批量响应，全部为通知时返回 null
+   */
+  async runBatch(messages, handle) {
+    if (messages.length === 0) {
+      return {
+        ...createErrorResponse(ErrorCodes.INVALID_REQUEST, '批量请求不能为空'),
+        id: null
+      };
+    }
+    
+    const results = await Promise.all(messages.map(handle));
+    
+    // 批量响应中的每一项都必须带 id
+    const responses = results
+      .filter(result => result !== null)
+      .map(result => ({ ...result, id: result.id ?? null }));
+    
+    return responses.length > 0 ? responses : null;
+  }
+  
+  /**
+   * 获取候选上游：注册表中单独指定了地址的服务器直接使用该地址，否则由上游池按策略选择
+   * @param {Object} route - 路由
+   * @param {Object} context - 请求上下文
+   * @returns {Array<Object>} 候选上游，按尝试顺序排列
+   */
+  getUpstreamCandidates(route, context = {}) {
+    if (route.baseUrl) {
+      return [this.upstreamPool.getUpstream(route.baseUrl)];
+    }
+    
+    return this.upstreamPool.getCandidates(context.sessionId);
+  }
+  
+  /**
+   * 获取 Dify MCP 服务地址
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} upstream - 上游（可选，默认为首选上游）
+   * @returns {string} Dify URL
+   */
+  getDifyUrl(serverId, upstream) {
+    const route = this.resolveRoute(serverId);
+    if (!route) {
+      throw new Error(`未注册的服务器: ${serverId}`);
+    }
+    
+    const baseUrl = (upstream || this.getUpstreamCandidates(route)[0]).url;
+    return `${baseUrl}/mcp/server/${route.serverId}/mcp`;
+  }
+  
+  /**
+   * 构造发往 Dify 的请求头
+   * @param {Object} context - 请求上下文
+   * @param {string} accept - Accept 请求头
+   * @returns {Object} 请求头
+   */
+  buildUpstreamHeaders(context, accept) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MCP-Proxy-Stable/2.0',
+      'Accept': accept
+    };
+    
+    // 透传 Streamable HTTP 会话相关请求头
+    if (context.sessionId) {
+      headers['Mcp-Session-Id'] = context.sessionId;
+    }
+    if (context.protocolVersion) {
+      headers['MCP-Protocol-Version'] = context.protocolVersion;
+    }
+    if (context.lastEventId) {
+      headers['Last-Event-ID'] = context.lastEventId;
+    }
+    
+    // 请求 ID 传给 Dify，便于关联两侧日志
+    if (context.requestId) {
+      headers['X-Request-Id'] = context.requestId;
+    }
+    
+    // 未启用追踪时原样传递上游的 trace 上下文（启用时由 axios 拦截器替换为本次请求的 span）
+    if (context.traceparent) {
+      headers['traceparent'] = context.traceparent;
+    }
+    if (context.tracestate) {
+      headers['tracestate'] = context.tracestate;
+    }
+    
+    return headers;
+  }
+  
+  /**
+   * 记录 Dify 返回的会话信息
+   * @param {Object} response - axios 响应
+   * @param {Object} context - 请求上下文
+   */
+  captureUpstreamHeaders(response, context) {
+    const sessionId = response.headers['mcp-session-id'];
+    if (sessionId) {
+      context.upstreamSessionId = sessionId;
+    }
+  }
+  
+  /**
+   * 转发请求到 Dify
+   * 录制模式下保存每次转发的请求和结果；回放模式下返回匹配的录制结果，不访问 Dify
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {Object} options - 转发选项（deadline 为整体截止时间，未指定时为 timeout 或服务器的请求超时之后）
+   * @returns {Promise<Object>} Dify 响应
+   */
+  async forwardRequest(serverId, mcpRequest, context = {}, options = {}) {
+    const route = this.resolveRoute(serverId);
+    const deadline = options.deadline || Date.now() + (options.timeout || route.timeout);
+    
+    if (this.recorder.mode === 'replay') {
+      const fixture = this.recorder.find(serverId, mcpRequest);
+      
+      if (fixture || this.recorder.replayMiss !== 'passthrough') {
+        return this.recorder.replay(fixture, serverId, mcpRequest, deadline);
+      }
+    }
+    
+    if (this.recorder.mode !== 'record') {
+      return this.forwardToUpstream(serverId, route, mcpRequest, context, deadline);
+    }
+    
+    const startTime = Date.now();
+    const exchange = {};
+    
+    try {
+      const response = await this.forwardToUpstream(serverId, route, mcpRequest, context, deadline, exchange);
+      this.recorder.record(serverId, mcpRequest, { ...exchange, response, latency: Date.now() - startTime });
+      return response;
+    } catch (error) {
+      this.recorder.record(serverId, mcpRequest, { ...exchange, error, latency: Date.now() - startTime });
+      throw error;
+    }
+  }
+  
+  /**
+   * 按负载均衡策略选择上游转发，上游不可用时依次切换到下一个健康的上游
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} route - 服务器路由
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {number} deadline - 整体截止时间
+   * @param {Object} exchange - 记录最后尝试的上游和 HTTP 状态码（录制用）
+   * @returns {Promise<Object>} Dify 响应
+   */
+  async forwardToUpstream(serverId, route, mcpRequest, context, deadline, exchange = {}) {
+    const candidates = this.getUpstreamCandidates(route, context);
+    const policy = this.getRetryPolicy(route, mcpRequest);
+    
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      const error = new Error('请求在转发前已超时');
+      error.code = 'ECONNABORTED';
+      throw error;
+    }
+    
+    // 整个交换（包括每次重试、读取 SSE 流和故障切换）都受同一截止时间约束
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), remaining);
+    
+    const axiosConfig = {
+      headers: this.buildUpstreamHeaders(context, `application/json, ${SSE_CONTENT_TYPE}`),
+      // 以流的方式读取响应，SSE 帧到达后立即转发
+      responseType: 'stream',
+      signal: controller.signal,
+      // 禁用自动解压缩，避免潜在问题
+      decompress: false,
+      'axios-retry': {
+        retries: policy.attempts,
+        retryCondition: (error) => this.isRetryableError(error, controller.signal),
+        retryDelay: (retryCount, error) => this.getRetryDelay(retryCount, policy, error, deadline),
+        onRetry: (retryCount, error) => {
+          // 丢弃失败响应的内容，释放连接
+          error.response?.data?.resume?.();
+          
+          log.info('重试转发请求', { serverId, method: mcpRequest.method, retryCount, error });
+          this.metrics.inc('retries_total', {
+            server_id: serverId,
+            reason: error.response ? `http_${error.response.status}` : (error.code || 'network')
+          });
+        }
+      }
+    };
+    
+    try {
+      for (let i = 0; i < candidates.length; i++) {
+        const upstream = candidates[i];
+        
+        // 每次尝试的超时为剩余时间，axios-retry 在重试前按已用时间和延迟扣减，不足时不再重试
+        const attemptConfig = { ...axiosConfig, timeout: Math.max(1, deadline - Date.now()) };
+        exchange.upstream = upstream.url;
+        
+        try {
+          return await this.upstreamPool.execute(upstream, () =>
+            this.sendToUpstream(serverId, upstream, mcpRequest, context, attemptConfig, exchange)
+          );
+        } catch (error) {
+          if (controller.signal.aborted && !error.response) {
+            error.code = 'ECONNABORTED';
+          }
+          
+          const hasNext = i < candidates.length - 1;
+          if (!hasNext || controller.signal.aborted || !this.isFailoverError(error, policy.safe)) {
+            throw error;
+          }
+          
+          this.upstreamPool.recordFailover(upstream);
+          log.warn('上游不可用，切换到下一个上游', { upstream: upstream.url, next: candidates[i + 1].url, error });
+        }
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  /**
+   * 向单个上游发送请求
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} upstream - 上游
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {Object} axiosConfig - axios 配置
+   * @param {Object} exchange - 记录 Dify 的 HTTP 状态码（录制用）
+   * @returns {Promise<Object|null>} Dify 响应
+   */
+  async sendToUpstream(serverId, upstream, mcpRequest, context, axiosConfig, exchange = {}) {
+    const difyUrl = this.getDifyUrl(serverId, upstream);
+    
+    log.debug('转发请求', { serverId, method: mcpRequest.method, url: difyUrl });
+    
+    try {
+      const response = await this.http.post(difyUrl, mcpRequest, axiosConfig);
+      exchange.status = response.status;
+      this.captureUpstreamHeaders(response, context);
+      
+      // 新建的会话绑定到当前上游
+      if (context.upstreamSessionId) {
+        this.upstreamPool.bindSession(context.upstreamSessionId, upstream);
+      }
+      
+      // 通知和应答没有响应内容（Dify 返回 202）
+      if (!this.expectsResponse(mcpRequest)) {
+        response.data.resume();
+        return null;
+      }
+      
+      if (isEventStream(response.headers['content-type'])) {
+        return await this.collectEventStream(response.data, mcpRequest, context, this.rewritesResponse(serverId, mcpRequest));
+      }
+      
+      const body = await readStreamBody(response.data);
+      const data = body ? JSON.parse(body) : null;
+      
+      // 验证响应格式
+      if (data && typeof data === 'object') {
+        return data;
+      }
+      
+      throw new Error('Dify 返回了无效的响应格式');
+      
+    } catch (error) {
+      await this.readErrorBody(error);
+      
+      log.warn('转发失败', {
+        serverId,
+        method: mcpRequest.method,
+        upstream: upstream.url,
+        error
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * 是否可以切换到下一个上游重试
+   * 已向客户端转发过 SSE 事件时不能切换，否则事件会重复；
+   * 不能安全重试的调用只在请求确定没有到达 Dify 时切换
+   * @param {Error} error - 错误对象
+   * @param {boolean} safe - 是否可以安全重试
+   * @returns {boolean} 是否可以切换
+   */
+  isFailoverError(error, safe) {
+    if (error.partialStream) {
+      return false;
+    }
+    
+    if (error.code === 'CIRCUIT_BREAKER_OPEN') {
+      return true;
+    }
+    
+    if (!safe) {
+      return ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+    }
+    
+    // 网络错误或 5xx
+    return !error.response || error.response.status >= 500;
+  }
+  
+  /**
+   * 读取 Dify 的 SSE 响应
+   * 每个事件都交给 context.onEvent，收到本请求的响应后停止
+   * @param {Readable} stream - 响应流
+   * @param {Object} mcpRequest - MCP 请求对象
+   * @param {Object} context - 请求上下文
+   * @param {boolean} withholdResponse - 本请求的响应需要处理后由调用方发送，不直接转发
+   * @returns {Promise<Object>} JSON-RPC 响应
+   */
+  async collectEventStream(stream, mcpRequest, context, withholdResponse = false) {
+    let result = null;
+    let relayed = false;
+    
+    try {
+      await readSSEStream(stream, async (event) => {
+        const message = event.message;
+        const isResponse = message && message.id === mcpRequest.id && ('result' in message || 'error' in message);
+        
+        if (context.onEvent && !(isResponse && withholdResponse)) {
+          relayed = true;
+          await context.onEvent(event);
+        }
+        
+        if (isResponse) {
+          result = message;
+          return false;
+        }
+      });
+    } catch (error) {
+      error.partialStream = relayed;
+      throw error;
+    }
+    
+    if (!result) {
+      const error = new Error('Dify SSE 流在返回响应前结束');
+      error.partialStream = relayed;
+      throw error;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 读取错误响应的内容
+   * responseType 为 stream 时，错误响应体也是流，需要先读出来
+   * @param {Error} error - axios 错误
+   */
+  async readErrorBody(error) {
+    const data = error.response?.data;
+    if (!data || typeof data.pipe !== 'function') {
+      return;
+    }
+    
+    try {
+      const body = await readStreamBody(data);
+      try {
+        error.response.data = JSON.parse(body);
+      } catch (parseError) {
+        error.response.data = body;
+      }
+    } catch (readError) {
+      error.response.data = null;
+    }
+  }
+  
+  /**
+   * 打开 Dify 的服务端消息流（GET）
+   * 长连接不经过队列和熔断器，由调用方负责关闭
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} context - 请求上下文（需包含 signal）
+   * @returns {Promise<Object>} axios 响应，data 为流
+   */
+  async openEventStream(serverId, context = {}) {
+    const upstream = this.getUpstreamCandidates(this.resolveRoute(serverId), context)[0];
+    const response = await this.http.get(this.getDifyUrl(serverId, upstream), {
+      headers: this.buildUpstreamHeaders(context, SSE_CONTENT_TYPE),
+      responseType: 'stream',
+      signal: context.signal,
+      decompress: false,
+      validateStatus: () => true
+    });
+    
+    this.captureUpstreamHeaders(response, context);
+    if (context.upstreamSessionId) {
+      this.upstreamPool.bindSession(context.upstreamSessionId, upstream);
+    }
+    log.info('打开服务端消息流', { serverId, status: response.status });
+    
+    return response;
+  }
+  
+  /**
+   * 终止 Dify 会话（DELETE）
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} context - 请求上下文
+   * @returns {Promise<number>} Dify 返回的 HTTP 状态码
+   */
+  async terminateSession(serverId, context = {}) {
+    if (this.recorder.mode === 'replay') {
+      return 204;
+    }
+    
+    const upstream = this.getUpstreamCandidates(this.resolveRoute(serverId), context)[0];
+    const response = await this.http.delete(this.getDifyUrl(serverId, upstream), {
+      timeout: this.config.requestTimeout,
+      headers: this.buildUpstreamHeaders(context, 'application/json'),
+      validateStatus: () => true
+    });
+    
+    log.info('终止会话', { serverId, status: response.status });
+    return response.status;
+  }
+  
+  /**
+   * 获取代理统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      queues: this.scheduler.getStats(),
+      cache: this.cacheManager.getStats(),
+      circuitBreakers: this.circuitBreakerManager.getStats(),
+      upstreams: this.upstreamPool.getStats(),
+      jobs: this.jobManager ? this.jobManager.getStats() : null,
+      rateLimit: this.rateLimiter.getStats(),
+      tracing: tracer.getStats(),
+      registry: this.registry.getStats(),
+      bundles: this.bundleManager.getStats(),
+      toolValidation: this.toolValidator.getStats(),
+      responseShaping: this.responseShaper.getStats(),
+      audit: this.auditLog.getStats(),
+      recorder: this.recorder.getStats(),
+      health: this.healthProber.getStatus()
+    };
+  }
+  
+  /**
+   * 清理资源
+   */
+  cleanup() {
+    // 停止健康检查，清空所有队列
+    this.healthProber.stop();
+    this.scheduler.clear();
+    
+    // 清空本副本的缓存并断开缓存存储连接
+    this.cacheManager.close();
+    
+    // 结束审计文件
+    this.auditLog.close();
+    
+    // 清空后台任务
+    if (this.jobManager) {
+      this.jobManager.clearAll();
+    }
     
     // 重置熔断器
     this.circuitBreakerManager.resetAll();
+    this.upstreamPool.resetAll();
     
-    console.log('代理管理器资源已清理');
+    log.info('代理管理器资源已清理');
   }
 }
 
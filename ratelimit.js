@@ -0,0 +1,220 @@
+/**
+ * MCP 代理服务器限流模块
+ * 按客户端（API Key）、服务器和工具分别维护令牌桶，限额单位为每分钟请求数
+ */
+
+const NodeCache = require('node-cache');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'ratelimit' });
+
+const SCOPES = ['client', 'server', 'tool'];
+
+class RateLimiter {
+  /**
+   * @param {Object} options - 限流选项
+   * @param {boolean} options.enabled - 是否启用限流
+   * @param {number} options.perClient - 每个客户端的默认限额（0 表示不限）
+   * @param {number} options.perServer - 每个服务器的默认限额（0 表示不限）
+   * @param {number} options.perTool - 每个服务器上每个工具的默认限额（0 表示不限）
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled || false;
+    this.defaults = {
+      client: options.perClient || 0,
+      server: options.perServer || 0,
+      tool: options.perTool || 0
+    };
+
+    // 令牌桶，补满后自动过期（重新创建的桶同样是满的）
+    this.buckets = new NodeCache({
+      checkperiod: 60,
+      useClones: false,
+      maxKeys: 10000
+    });
+
+    // 令牌桶数达到上限后无法保存新桶，这些请求放行但不计数，直到旧桶过期
+    this.full = false;
+
+    // 限流统计
+    this.stats = {
+      allowed: 0,
+      rejected: { client: 0, server: 0, tool: 0 },
+      untracked: 0
+    };
+  }
+
+  /**
+   * 更新限流配置（热加载）
+   * @param {Object} options - 限流选项
+   */
+  configure(options = {}) {
+    if (options.enabled !== undefined) {
+      this.enabled = options.enabled;
+    }
+    if (options.perClient !== undefined) {
+      this.defaults.client = options.perClient;
+    }
+    if (options.perServer !== undefined) {
+      this.defaults.server = options.perServer;
+    }
+    if (options.perTool !== undefined) {
+      this.defaults.tool = options.perTool;
+    }
+
+    if (!this.enabled) {
+      this.buckets.flushAll();
+    }
+
+    log.info('限流配置已更新', { enabled: this.enabled, limits: this.defaults });
+  }
+
+  /**
+   * 读取令牌桶并按经过的时间补充令牌
+   * @param {string} key - 桶键
+   * @param {number} limit - 每分钟限额（即桶容量）
+   * @param {number} now - 当前时间
+   * @returns {Object} 令牌桶
+   */
+  getBucket(key, limit, now) {
+    const bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      return { tokens: limit, limit, updatedAt: now };
+    }
+
+    // 限额热加载后按新容量截断
+    const refilled = bucket.tokens + (now - bucket.updatedAt) * limit / 60000;
+    return { tokens: Math.min(limit, refilled), limit, updatedAt: now };
+  }
+
+  /**
+   * 检查并消耗令牌：所有维度都有余量时才消耗，避免被拒绝的请求占用其他维度的额度
+   * @param {Array<{scope: string, key: string, limit: number|undefined}>} checks - 要检查的维度，limit 缺省时使用默认限额
+   * @returns {Object|null} 限流结果（allowed、scope、limit、remaining、reset、retryAfter），未启用或无限额时返回 null
+   */
+  consume(checks) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const now = Date.now();
+    const buckets = [];
+
+    for (const { scope, key, limit } of checks) {
+      const effectiveLimit = limit ?? this.defaults[scope];
+      if (!effectiveLimit) {
+        continue;
+      }
+
+      const bucketKey = `${scope}:${key}`;
+      const bucket = this.getBucket(bucketKey, effectiveLimit, now);
+
+      if (bucket.tokens < 1) {
+        this.stats.rejected[scope]++;
+        return {
+          allowed: false,
+          scope,
+          key,
+          limit: effectiveLimit,
+          remaining: 0,
+          reset: this.secondsUntil(1 - bucket.tokens, effectiveLimit),
+          retryAfter: this.secondsUntil(1 - bucket.tokens, effectiveLimit)
+        };
+      }
+
+      buckets.push({ scope, key, bucketKey, bucket });
+    }
+
+    if (buckets.length === 0) {
+      return null;
+    }
+
+    // 返回剩余额度最少的维度，作为响应头中的配额
+    let tightest = null;
+    for (const item of buckets) {
+      item.bucket.tokens -= 1;
+      this.save(item.bucketKey, item.bucket);
+
+      if (!tightest || item.bucket.tokens < tightest.bucket.tokens) {
+        tightest = item;
+      }
+    }
+
+    this.stats.allowed++;
+
+    const { bucket } = tightest;
+    return {
+      allowed: true,
+      scope: tightest.scope,
+      key: tightest.key,
+      limit: bucket.limit,
+      remaining: Math.floor(bucket.tokens),
+      reset: this.secondsUntil(bucket.limit - bucket.tokens, bucket.limit),
+      retryAfter: 0
+    };
+  }
+
+  /**
+   * 保存令牌桶，补满所需的时间后过期
+   * 桶数达到上限时不抛出异常：该维度本次不计数（放行），避免新客户端的所有请求都失败
+   * @param {string} bucketKey - 桶键
+   * @param {Object} bucket - 令牌桶
+   */
+  save(bucketKey, bucket) {
+    try {
+      this.buckets.set(bucketKey, bucket, this.secondsUntil(bucket.limit - bucket.tokens, bucket.limit));
+      this.full = false;
+    } catch (error) {
+      this.stats.untracked++;
+      if (!this.full) {
+        this.full = true;
+        log.warn('令牌桶数已达上限，新的限流维度暂不计数', { buckets: this.buckets.keys().length, reason: error.message });
+      }
+    }
+  }
+
+  /**
+   * 计算补充指定数量令牌所需的秒数
+   * @param {number} tokens - 令牌数
+   * @param {number} limit - 每分钟限额
+   * @returns {number} 秒数（向上取整，至少 1 秒）
+   */
+  secondsUntil(tokens, limit) {
+    return Math.max(1, Math.ceil(tokens * 60 / limit));
+  }
+
+  /**
+   * 获取限流统计和当前用量
+   * @returns {Object} 限流统计
+   */
+  getStats() {
+    const now = Date.now();
+    const usage = this.buckets.keys().map(bucketKey => {
+      const stored = this.buckets.get(bucketKey);
+      if (!stored) {
+        return null;
+      }
+
+      const scope = bucketKey.slice(0, bucketKey.indexOf(':'));
+      const bucket = this.getBucket(bucketKey, stored.limit, now);
+      return {
+        scope,
+        key: bucketKey.slice(scope.length + 1),
+        limit: bucket.limit,
+        remaining: Math.floor(bucket.tokens)
+      };
+    }).filter(Boolean);
+
+    return {
+      enabled: this.enabled,
+      limits: { ...this.defaults },
+      allowed: this.stats.allowed,
+      rejected: { ...this.stats.rejected },
+      untracked: this.stats.untracked,
+      usage: SCOPES.flatMap(scope => usage.filter(item => item.scope === scope))
+    };
+  }
+}
+
+module.exports = RateLimiter;
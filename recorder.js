@@ -0,0 +1,307 @@
+/**
+ * MCP 代理服务器录制回放模块
+ * 录制模式下把每次转发到 Dify 的请求和结果（状态码、耗时、错误）追加到 fixture 文件；
+ * 回放模式下按方法、工具和参数摘要匹配 fixture 返回，不访问 Dify，用于离线复现问题和回归检查
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashArguments } = require('./audit');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'recorder' });
+
+class TrafficRecorder {
+  /**
+   * @param {Object} options - 录制回放选项
+   * @param {string} options.mode - off、record 或 replay
+   * @param {string} options.dir - fixture 目录
+   * @param {boolean} options.replayTiming - 回放时按录制的耗时延迟返回
+   * @param {string} options.replayMiss - 没有匹配的 fixture 时：error 返回错误，passthrough 转发到 Dify
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'off';
+    this.dir = path.resolve(options.dir || './fixtures');
+    this.replayTiming = options.replayTiming || false;
+    this.replayMiss = options.replayMiss || 'error';
+
+    // 匹配键 → { fixtures, next }，同一请求录制了多次时按录制顺序依次返回，用完后重复最后一次
+    this.fixtures = new Map();
+
+    // 串行追加写入，保持 fixture 的录制顺序
+    this.writing = Promise.resolve();
+
+    this.stats = {
+      recorded: 0,
+      writeErrors: 0,
+      replayed: 0,
+      misses: 0,
+      passthrough: 0
+    };
+
+    if (this.mode === 'replay') {
+      this.load();
+    }
+  }
+
+  /**
+   * 更新回放选项（热加载）；模式和目录修改需要重启
+   * @param {Object} options - 录制回放选项
+   */
+  configure(options = {}) {
+    for (const key of ['replayTiming', 'replayMiss']) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * 计算请求的匹配键
+   * tools/call 按工具名和参数摘要匹配；initialize 不看参数（clientInfo 因客户端而异）；其他方法按参数摘要匹配
+   * @param {string} serverId - 服务器条目名
+   * @param {Object} mcpRequest - 转发给 Dify 的请求（工具策略改名、参数修正之后）
+   * @returns {Object} { key, tool, argumentsHash }
+   */
+  getMatch(serverId, mcpRequest) {
+    const { method, params } = mcpRequest;
+    let tool = null;
+    let argumentsHash = null;
+
+    if (method === 'tools/call') {
+      tool = params?.name ?? null;
+      argumentsHash = hashArguments(params?.arguments ?? {});
+    } else if (method !== 'initialize' && params && typeof params === 'object') {
+      const { _meta, ...rest } = params;
+      if (Object.keys(rest).length > 0) {
+        argumentsHash = hashArguments(rest);
+      }
+    }
+
+    return {
+      key: [serverId, method, tool || '', argumentsHash || ''].join('\n'),
+      tool,
+      argumentsHash
+    };
+  }
+
+  /**
+   * 录制一次转发
+   * @param {string} serverId - 服务器条目名
+   * @param {Object} mcpRequest - 转发给 Dify 的请求
+   * @param {Object} exchange - 转发结果
+   * @param {string} exchange.upstream - 最后尝试的上游地址
+   * @param {number} exchange.status - Dify 的 HTTP 状态码
+   * @param {number} exchange.latency - 耗时（毫秒，包括重试和故障切换）
+   * @param {Object|null} exchange.response - 成功时的 JSON-RPC 响应
+   * @param {Error} exchange.error - 失败时的错误
+   */
+  record(serverId, mcpRequest, exchange) {
+    const { tool, argumentsHash } = this.getMatch(serverId, mcpRequest);
+    const error = exchange.error;
+
+    const fixture = {
+      recordedAt: new Date().toISOString(),
+      serverId,
+      method: mcpRequest.method,
+      tool,
+      argumentsHash,
+      request: mcpRequest,
+      upstream: exchange.upstream || null,
+      status: error ? (error.response?.status ?? null) : (exchange.status ?? null),
+      latency: exchange.latency
+    };
+
+    if (error) {
+      fixture.error = {
+        code: error.code || null,
+        message: error.message,
+        data: error.response?.data ?? null,
+        partialStream: error.partialStream || false
+      };
+    } else {
+      fixture.response = exchange.response ?? null;
+    }
+
+    const file = path.join(this.dir, `${serverId.replace(/[^A-Za-z0-9_.-]/g, '_')}.jsonl`);
+    const line = `${JSON.stringify(fixture)}\n`;
+
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(file, line);
+        this.stats.recorded++;
+      })
+      .catch(writeError => {
+        this.stats.writeErrors++;
+        log.error('写入 fixture 失败', { file, error: writeError });
+      });
+  }
+
+  /**
+   * 读取 fixture 目录下所有 .jsonl 文件并建立索引
+   * @returns {number} 读取的 fixture 数
+   */
+  load() {
+    const fixtures = new Map();
+    let count = 0;
+    let invalid = 0;
+
+    let names = [];
+    try {
+      names = fs.readdirSync(this.dir).filter(name => name.endsWith('.jsonl')).sort();
+    } catch (error) {
+      log.warn('无法读取 fixture 目录', { dir: this.dir, reason: error.message });
+    }
+
+    for (const name of names) {
+      const lines = fs.readFileSync(path.join(this.dir, name), 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (line.trim() === '') {
+          continue;
+        }
+
+        let fixture;
+        try {
+          fixture = JSON.parse(line);
+        } catch (error) {
+          invalid++;
+          continue;
+        }
+        if (!fixture || typeof fixture.serverId !== 'string' || !fixture.request?.method) {
+          invalid++;
+          continue;
+        }
+
+        // 匹配键按 request 重新计算，手工修改 fixture 中的请求后仍能匹配
+        const { key } = this.getMatch(fixture.serverId, fixture.request);
+        if (!fixtures.has(key)) {
+          fixtures.set(key, { fixtures: [], next: 0 });
+        }
+        fixtures.get(key).fixtures.push(fixture);
+        count++;
+      }
+    }
+
+    this.fixtures = fixtures;
+
+    if (invalid > 0) {
+      log.warn('跳过无效的 fixture', { dir: this.dir, invalid });
+    }
+    log.info('fixture 已加载', { dir: this.dir, fixtures: count, files: names.length });
+
+    return count;
+  }
+
+  /**
+   * 重新加载 fixture（SIGHUP），回放顺序从头开始
+   */
+  reload() {
+    if (this.mode === 'replay') {
+      this.load();
+    }
+  }
+
+  /**
+   * 查找与请求匹配的 fixture，没有匹配时计入 misses 或 passthrough
+   * @param {string} serverId - 服务器条目名
+   * @param {Object} mcpRequest - 转发给 Dify 的请求
+   * @returns {Object|null} fixture，没有匹配时返回 null
+   */
+  find(serverId, mcpRequest) {
+    const { key, tool, argumentsHash } = this.getMatch(serverId, mcpRequest);
+    const entry = this.fixtures.get(key);
+
+    if (!entry) {
+      const passthrough = this.replayMiss === 'passthrough';
+      this.stats[passthrough ? 'passthrough' : 'misses']++;
+      log.warn(passthrough ? '没有匹配的 fixture，转发到 Dify' : '没有匹配的 fixture', {
+        serverId,
+        method: mcpRequest.method,
+        tool,
+        argumentsHash
+      });
+      return null;
+    }
+
+    const fixture = entry.fixtures[Math.min(entry.next, entry.fixtures.length - 1)];
+    entry.next++;
+    return fixture;
+  }
+
+  /**
+   * 回放 fixture：返回录制的响应，或抛出与录制时相同的错误（熔断器、过期缓存兜底和错误响应与直接转发一致）
+   * @param {Object|null} fixture - find() 的结果
+   * @param {string} serverId - 服务器条目名
+   * @param {Object} mcpRequest - 转发给 Dify 的请求
+   * @param {number} deadline - 截止时间（毫秒时间戳）
+   * @returns {Promise<Object|null>} JSON-RPC 响应，id 为当前请求的
+   * @throws {Error} 录制的错误；没有匹配时抛出 code 为 REPLAY_MISS 的错误
+   */
+  async replay(fixture, serverId, mcpRequest, deadline) {
+    if (!fixture) {
+      const { tool, argumentsHash } = this.getMatch(serverId, mcpRequest);
+      const error = new Error('回放模式下没有匹配的录制记录');
+      error.code = 'REPLAY_MISS';
+      error.match = { tool, argumentsHash };
+      throw error;
+    }
+
+    this.stats.replayed++;
+
+    if (this.replayTiming && fixture.latency > 0) {
+      const remaining = deadline - Date.now();
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, Math.min(fixture.latency, remaining))));
+
+      // 录制的耗时超过本次请求的截止时间，按超时处理
+      if (fixture.latency > remaining) {
+        const error = new Error('请求超时');
+        error.code = 'ECONNABORTED';
+        throw error;
+      }
+    }
+
+    if (fixture.error) {
+      const error = new Error(fixture.error.message);
+      error.code = fixture.error.code || undefined;
+      error.partialStream = fixture.error.partialStream || false;
+      if (fixture.status) {
+        error.response = { status: fixture.status, headers: {}, data: fixture.error.data };
+      }
+      throw error;
+    }
+
+    return fixture.response ? { ...fixture.response, id: mcpRequest.id } : null;
+  }
+
+  /**
+   * 等待已录制的 fixture 写入完成
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writing;
+  }
+
+  /**
+   * 获取录制回放统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    let fixtures = 0;
+    for (const entry of this.fixtures.values()) {
+      fixtures += entry.fixtures.length;
+    }
+
+    return {
+      mode: this.mode,
+      dir: this.dir,
+      replayTiming: this.replayTiming,
+      replayMiss: this.replayMiss,
+      fixtures,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = TrafficRecorder;
@@ -0,0 +1,404 @@
+/**
+ * MCP 代理服务器 Redis 客户端模块
+ * 基于 RESP2 协议的轻量客户端，支持 Redis 及兼容 RESP 的服务（KeyDB、Dragonfly 等），
+ * 提供命令流水线、发布订阅和断线自动重连
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'redis' });
+
+const CRLF = '\r\n';
+
+/**
+ * 创建 Redis 错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 编码命令为 RESP 数组
+ * @param {Array<string|number|Buffer>} args - 命令及参数
+ * @returns {Buffer} 编码后的命令
+ */
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}${CRLF}`)];
+
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}${CRLF}`), value, Buffer.from(CRLF));
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * 从缓冲区解析一个 RESP 回复
+ * @param {Buffer} buffer - 接收缓冲区
+ * @param {number} offset - 起始位置
+ * @returns {Object|null} { value, offset }，数据不完整时返回 null
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+
+    case '-': {
+      const [code] = line.split(' ', 1);
+      const error = createError('REDIS_ERROR', line);
+      error.redisCode = code;
+      return { value: error, offset: next };
+    }
+
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+
+      return { value: items, offset: position };
+    }
+
+    default:
+      throw createError('REDIS_PROTOCOL', `无法解析的 RESP 类型: ${JSON.stringify(type)}`);
+  }
+}
+
+class RedisClient extends EventEmitter {
+  /**
+   * @param {Object} options - 客户端选项
+   * @param {string} options.url - 连接地址，如 redis://:password@host:6379/0，rediss:// 使用 TLS
+   * @param {number} options.connectTimeout - 连接超时（毫秒）
+   * @param {number} options.commandTimeout - 命令超时（毫秒），0 表示不限
+   * @param {string} options.name - 连接名称（CLIENT SETNAME），便于在 Redis 端排查
+   */
+  constructor(options = {}) {
+    super();
+
+    const url = new URL(options.url || 'redis://localhost:6379');
+    this.url = url;
+    this.host = url.hostname || 'localhost';
+    this.port = parseInt(url.port, 10) || 6379;
+    this.tls = url.protocol === 'rediss:';
+    this.username = decodeURIComponent(url.username || '');
+    this.password = decodeURIComponent(url.password || '');
+    this.database = parseInt(url.pathname.slice(1), 10) || 0;
+    this.name = options.name || '';
+
+    this.connectTimeout = options.connectTimeout || 5000;
+    this.commandTimeout = options.commandTimeout ?? 1000;
+
+    this.socket = null;
+    this.connected = false;
+    this.closing = false;
+    this.buffer = Buffer.alloc(0);
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // 已发送、等待回复的命令，按发送顺序排列
+    this.commandQueue = [];
+
+    // 订阅的频道，断线重连后重新订阅；有订阅的连接只能收发订阅相关命令
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * 建立连接（断开后自动重连，直到调用 quit）
+   */
+  connect() {
+    if (this.socket || this.closing) {
+      return;
+    }
+
+    const options = { host: this.host, port: this.port };
+    const socket = this.tls ? tls.connect({ ...options, servername: this.host }) : net.connect(options);
+    this.socket = socket;
+
+    socket.setNoDelay(true);
+    socket.setTimeout(this.connectTimeout, () => {
+      socket.destroy(createError('REDIS_CONNECT_TIMEOUT', `连接 Redis 超过 ${this.connectTimeout}ms`));
+    });
+
+    socket.once(this.tls ? 'secureConnect' : 'connect', () => {
+      socket.setTimeout(0);
+      this.handshake().catch(error => socket.destroy(error));
+    });
+    socket.on('data', chunk => this.handleData(chunk));
+    socket.on('error', error => {
+      this.lastError = error;
+    });
+    socket.on('close', () => this.handleClose(socket));
+  }
+
+  /**
+   * 连接建立后认证、选择数据库并恢复订阅
+   */
+  async handshake() {
+    const commands = [];
+    if (this.password) {
+      commands.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.database) {
+      commands.push(['SELECT', this.database]);
+    }
+    if (this.name) {
+      commands.push(['CLIENT', 'SETNAME', this.name]);
+    }
+    if (this.subscriptions.size > 0) {
+      commands.push(['SUBSCRIBE', ...this.subscriptions.keys()]);
+    }
+
+    for (const args of commands) {
+      await this.send(args, { force: true });
+    }
+
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    log.info('Redis 已连接', { host: this.host, port: this.port, database: this.database });
+    this.emit('ready');
+  }
+
+  /**
+   * 处理收到的数据，按顺序匹配等待中的命令
+   * @param {Buffer} chunk - 数据块
+   */
+  handleData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket.destroy(error);
+        return;
+      }
+
+      if (!reply) {
+        break;
+      }
+
+      offset = reply.offset;
+      this.handleReply(reply.value);
+    }
+
+    this.buffer = offset < this.buffer.length ? this.buffer.subarray(offset) : Buffer.alloc(0);
+  }
+
+  /**
+   * 处理单个回复：订阅消息分发给处理函数，其他回复交给最早发送的命令
+   * @param {*} value - 回复
+   */
+  handleReply(value) {
+    if (Array.isArray(value) && value[0] === 'message' && value.length === 3) {
+      const handler = this.subscriptions.get(value[1]);
+      if (handler) {
+        try {
+          handler(value[2], value[1]);
+        } catch (error) {
+          log.warn('处理 Redis 订阅消息失败', { channel: value[1], reason: error.message });
+        }
+      }
+      return;
+    }
+
+    // SUBSCRIBE 每个频道回复一次，只有最后一个频道的回复对应命令本身
+    const command = this.commandQueue[0];
+    if (command && command.expectedReplies > 1) {
+      command.expectedReplies--;
+      return;
+    }
+
+    this.commandQueue.shift();
+    if (!command) {
+      return;
+    }
+
+    clearTimeout(command.timer);
+    if (value instanceof Error) {
+      command.reject(value);
+    } else {
+      command.resolve(value);
+    }
+  }
+
+  /**
+   * 连接关闭：等待中的命令全部失败，未主动关闭时安排重连
+   * @param {net.Socket} socket - 关闭的连接
+   */
+  handleClose(socket) {
+    if (this.socket !== socket) {
+      return;
+    }
+
+    const wasConnected = this.connected;
+    this.socket = null;
+    this.connected = false;
+    this.buffer = Buffer.alloc(0);
+
+    const error = createError('REDIS_UNAVAILABLE', `Redis 连接已断开${this.lastError ? `: ${this.lastError.message}` : ''}`);
+    for (const command of this.commandQueue.splice(0)) {
+      clearTimeout(command.timer);
+      command.reject(error);
+    }
+
+    if (this.closing) {
+      return;
+    }
+
+    if (wasConnected) {
+      log.warn('Redis 连接已断开，准备重连', { host: this.host, port: this.port, reason: this.lastError?.message });
+      this.emit('disconnect', error);
+    }
+
+    // 指数退避重连，最长 5 秒；只在第一次失败时记录，避免 Redis 长时间不可用时刷屏
+    const delay = Math.min(100 * Math.pow(2, this.reconnectAttempts), 5000);
+    if (this.reconnectAttempts === 0 && !wasConnected) {
+      log.warn('Redis 连接失败，稍后重试', { host: this.host, port: this.port, reason: this.lastError?.message });
+    }
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * 发送命令
+   * @param {Array} args - 命令及参数
+   * @param {Object} options - force 为 true 时在握手阶段也发送
+   * @returns {Promise<*>} 回复
+   */
+  send(args, options = {}) {
+    if (!this.socket || (!this.connected && !options.force)) {
+      this.connect();
+      return Promise.reject(createError('REDIS_UNAVAILABLE', 'Redis 未连接'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const command = {
+        resolve,
+        reject,
+        timer: null,
+        expectedReplies: args[0] === 'SUBSCRIBE' || args[0] === 'UNSUBSCRIBE' ? args.length - 1 : 1
+      };
+
+      // 超时的命令仍留在队列中，迟到的回复按顺序被丢弃，不会错配给后面的命令
+      if (this.commandTimeout) {
+        command.timer = setTimeout(() => {
+          command.resolve = () => {};
+          command.reject = () => {};
+          reject(createError('REDIS_TIMEOUT', `Redis 命令 ${args[0]} 超过 ${this.commandTimeout}ms 未返回`));
+        }, this.commandTimeout);
+      }
+
+      this.commandQueue.push(command);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * 执行命令
+   * @param {string} name - 命令名
+   * @param {...*} args - 参数
+   * @returns {Promise<*>} 回复
+   */
+  command(name, ...args) {
+    return this.send([name, ...args]);
+  }
+
+  /**
+   * 订阅频道（订阅后该连接不能再执行普通命令，应使用单独的客户端）
+   * @param {string} channel - 频道名
+   * @param {Function} handler - 消息处理函数 (message, channel)
+   * @returns {Promise<void>}
+   */
+  async subscribe(channel, handler) {
+    this.subscriptions.set(channel, handler);
+
+    // 未连接时在握手阶段统一订阅
+    if (this.connected) {
+      await this.send(['SUBSCRIBE', channel]);
+    } else {
+      this.connect();
+    }
+  }
+
+  /**
+   * 获取连接状态
+   * @returns {Object} 连接状态
+   */
+  getState() {
+    return {
+      host: this.host,
+      port: this.port,
+      database: this.database,
+      connected: this.connected,
+      pending: this.commandQueue.length,
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError ? this.lastError.message : null
+    };
+  }
+
+  /**
+   * 关闭连接，不再重连
+   */
+  quit() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+    }
+  }
+}
+
+module.exports = RedisClient;
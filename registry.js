@@ -0,0 +1,503 @@
+/**
+ * MCP 代理服务器路由注册表模块
+ * 从 JSON 文件加载别名到 Dify serverId 的映射、每个服务器的独立配置，以及聚合多个服务器的虚拟服务器
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'registry' });
+
+class ServerRegistry {
+  /**
+   * @param {Object} options - 注册表选项
+   * @param {string} options.file - 注册表文件路径，为空时不启用
+   */
+  constructor(options = {}) {
+    this.file = options.file ? path.resolve(options.file) : null;
+
+    // 名称（条目名、别名、Dify serverId）到路由的索引
+    this.routes = new Map();
+    this.entries = [];
+    // 虚拟服务器名 → { name, description, members: [{ server, prefix }] }
+    this.bundles = new Map();
+    this.loadedAt = null;
+
+    if (this.file) {
+      this.apply(this.load());
+    }
+  }
+
+  /**
+   * 读取并校验注册表文件
+   * @returns {Object} { entries: 路由条目, bundles: 虚拟服务器 }
+   * @throws {Error} 文件无效时抛出 code 为 REGISTRY_INVALID 的错误
+   */
+  load() {
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw this.createError([`无法读取 ${this.file}: ${error.message}`]);
+    }
+
+    const servers = document && document.servers;
+    if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+      throw this.createError(['缺少 servers 对象']);
+    }
+
+    const errors = [];
+    const entries = Object.entries(servers).map(([key, entry]) => this.parseEntry(key, entry, errors));
+
+    // 名称不能冲突
+    const owners = new Map();
+    for (const entry of entries) {
+      for (const name of [entry.key, entry.serverId, ...entry.aliases]) {
+        const owner = owners.get(name);
+        if (owner && owner !== entry.key) {
+          errors.push(`名称 "${name}" 同时被 ${owner} 和 ${entry.key} 使用`);
+        }
+        owners.set(name, entry.key);
+      }
+    }
+
+    const bundles = this.parseBundles(document.bundles, errors);
+
+    if (errors.length > 0) {
+      throw this.createError(errors);
+    }
+
+    return { entries, bundles };
+  }
+
+  /**
+   * 解析单个条目
+   * @param {string} key - 条目名
+   * @param {Object} entry - 原始条目
+   * @param {Array<string>} errors - 错误收集
+   * @returns {Object} 路由条目
+   */
+  parseEntry(key, entry, errors) {
+    const prefix = `servers.${key}`;
+    const route = { key, serverId: key, aliases: [] };
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${prefix} 必须是对象`);
+      return route;
+    }
+
+    if (entry.serverId !== undefined) {
+      if (typeof entry.serverId !== 'string' || entry.serverId === '') {
+        errors.push(`${prefix}.serverId 必须是非空字符串`);
+      } else {
+        route.serverId = entry.serverId;
+      }
+    }
+
+    if (entry.aliases !== undefined) {
+      if (!Array.isArray(entry.aliases) || entry.aliases.some(alias => typeof alias !== 'string' || alias === '')) {
+        errors.push(`${prefix}.aliases 必须是字符串数组`);
+      } else {
+        route.aliases = entry.aliases;
+      }
+    }
+
+    if (entry.baseUrl !== undefined) {
+      if (!this.isHttpUrl(entry.baseUrl)) {
+        errors.push(`${prefix}.baseUrl 必须是有效的 http(s) URL`);
+      } else {
+        route.baseUrl = entry.baseUrl.replace(/\/+$/, '');
+      }
+    }
+
+    this.readInteger(entry, 'timeout', 1000, prefix, route, 'timeout', errors);
+    this.readInteger(entry, 'concurrency', 1, prefix, route, 'concurrency', errors);
+    this.readInteger(entry, 'weight', 1, prefix, route, 'weight', errors);
+
+    if (entry.retry !== undefined) {
+      this.readInteger(entry.retry, 'attempts', 0, `${prefix}.retry`, route, 'retryAttempts', errors);
+      this.readInteger(entry.retry, 'delay', 0, `${prefix}.retry`, route, 'retryDelay', errors);
+      this.readInteger(entry.retry, 'maxDelay', 0, `${prefix}.retry`, route, 'maxRetryDelay', errors);
+
+      // 按方法和工具名设置重试次数，列出的调用视为可以安全重试
+      for (const [field, target] of [['methods', 'retryMethods'], ['tools', 'retryTools']]) {
+        const attempts = entry.retry && entry.retry[field];
+        if (attempts === undefined) {
+          continue;
+        }
+        if (!attempts || typeof attempts !== 'object' || Array.isArray(attempts)) {
+          errors.push(`${prefix}.retry.${field} 必须是名称到重试次数的对象`);
+          continue;
+        }
+
+        route[target] = {};
+        for (const name of Object.keys(attempts)) {
+          this.readInteger(attempts, name, 0, `${prefix}.retry.${field}`, route[target], name, errors);
+        }
+      }
+    }
+
+    if (entry.cacheTTL !== undefined) {
+      route.cacheTTL = {};
+      for (const method of ['initialize', 'tools/list']) {
+        this.readInteger(entry.cacheTTL, method, 0, `${prefix}.cacheTTL`, route.cacheTTL, method, errors);
+      }
+    }
+
+    if (entry.circuitBreaker !== undefined) {
+      route.circuitBreaker = {};
+      this.readInteger(entry.circuitBreaker, 'failureThreshold', 1, `${prefix}.circuitBreaker`, route.circuitBreaker, 'failureThreshold', errors);
+      this.readInteger(entry.circuitBreaker, 'recoveryTimeout', 1000, `${prefix}.circuitBreaker`, route.circuitBreaker, 'recoveryTimeout', errors);
+      this.readInteger(entry.circuitBreaker, 'maxRecoveryTimeout', 1000, `${prefix}.circuitBreaker`, route.circuitBreaker, 'maxRecoveryTimeout', errors);
+      this.readInteger(entry.circuitBreaker, 'window', 1000, `${prefix}.circuitBreaker`, route.circuitBreaker, 'monitoringPeriod', errors);
+      this.readInteger(entry.circuitBreaker, 'errorRate', 1, `${prefix}.circuitBreaker`, route.circuitBreaker, 'errorRateThreshold', errors);
+      this.readInteger(entry.circuitBreaker, 'minimumRequests', 1, `${prefix}.circuitBreaker`, route.circuitBreaker, 'minimumRequests', errors);
+      this.readInteger(entry.circuitBreaker, 'timeoutThreshold', 0, `${prefix}.circuitBreaker`, route.circuitBreaker, 'timeoutThreshold', errors);
+      this.readInteger(entry.circuitBreaker, 'halfOpenProbes', 1, `${prefix}.circuitBreaker`, route.circuitBreaker, 'halfOpenMaxProbes', errors);
+      if (route.circuitBreaker.errorRateThreshold > 100) {
+        errors.push(`${prefix}.circuitBreaker.errorRate 不能大于 100`);
+      }
+    }
+
+    if (entry.rateLimit !== undefined) {
+      route.rateLimit = {};
+      this.readInteger(entry.rateLimit, 'requests', 0, `${prefix}.rateLimit`, route.rateLimit, 'requests', errors);
+
+      const tools = entry.rateLimit && entry.rateLimit.tools;
+      if (tools !== undefined) {
+        if (!tools || typeof tools !== 'object' || Array.isArray(tools)) {
+          errors.push(`${prefix}.rateLimit.tools 必须是工具名到限额的对象`);
+        } else {
+          route.rateLimit.tools = {};
+          for (const tool of Object.keys(tools)) {
+            this.readInteger(tools, tool, 0, `${prefix}.rateLimit.tools`, route.rateLimit.tools, tool, errors);
+          }
+        }
+      }
+    }
+
+    if (entry.tools !== undefined) {
+      route.tools = this.parseToolPolicy(entry.tools, `${prefix}.tools`, errors);
+    }
+
+    if (entry.response !== undefined) {
+      route.response = this.parseResponseOptions(entry.response, `${prefix}.response`, errors);
+    }
+
+    return route;
+  }
+
+  /**
+   * 解析工具策略：允许列表、禁止列表和按原始工具名改写的名称、描述、参数定义
+   * @param {Object} tools - 原始 tools 字段
+   * @param {string} prefix - 错误信息中的路径前缀
+   * @param {Array<string>} errors - 错误收集
+   * @returns {Object} 工具策略选项
+   */
+  parseToolPolicy(tools, prefix, errors) {
+    const policy = {};
+
+    if (!tools || typeof tools !== 'object' || Array.isArray(tools)) {
+      errors.push(`${prefix} 必须是对象`);
+      return policy;
+    }
+
+    for (const field of ['allow', 'deny']) {
+      const names = tools[field];
+      if (names === undefined) {
+        continue;
+      }
+      if (!Array.isArray(names) || names.some(name => typeof name !== 'string' || name === '')) {
+        errors.push(`${prefix}.${field} 必须是工具名数组`);
+        continue;
+      }
+      policy[field] = names;
+    }
+
+    if (tools.overrides === undefined) {
+      return policy;
+    }
+    if (!tools.overrides || typeof tools.overrides !== 'object' || Array.isArray(tools.overrides)) {
+      errors.push(`${prefix}.overrides 必须是工具名到改写内容的对象`);
+      return policy;
+    }
+
+    policy.overrides = {};
+    const exposedNames = new Map();
+    for (const [tool, override] of Object.entries(tools.overrides)) {
+      const overridePrefix = `${prefix}.overrides.${tool}`;
+      if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        errors.push(`${overridePrefix} 必须是对象`);
+        continue;
+      }
+
+      const result = {};
+      if (override.name !== undefined) {
+        if (typeof override.name !== 'string' || override.name === '') {
+          errors.push(`${overridePrefix}.name 必须是非空字符串`);
+        } else {
+          result.name = override.name;
+        }
+      }
+      if (override.description !== undefined) {
+        if (typeof override.description !== 'string') {
+          errors.push(`${overridePrefix}.description 必须是字符串`);
+        } else {
+          result.description = override.description;
+        }
+      }
+      if (override.inputSchema !== undefined) {
+        const schema = override.inputSchema;
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object') {
+          errors.push(`${overridePrefix}.inputSchema 必须是 type 为 object 的 JSON Schema`);
+        } else {
+          result.inputSchema = schema;
+        }
+      }
+
+      // 改名后的名称不能与其他工具冲突
+      const exposed = result.name || tool;
+      const owner = exposedNames.get(exposed);
+      if (owner) {
+        errors.push(`${prefix}.overrides 中 ${owner} 和 ${tool} 都使用名称 "${exposed}"`);
+      }
+      exposedNames.set(exposed, tool);
+
+      policy.overrides[tool] = result;
+    }
+
+    return policy;
+  }
+
+  /**
+   * 解析响应整形选项，条目中出现 response 时默认为该服务器启用整形
+   * @param {Object} response - 原始 response 字段
+   * @param {string} prefix - 错误信息中的路径前缀
+   * @param {Array<string>} errors - 错误收集
+   * @returns {Object} 响应整形选项
+   */
+  parseResponseOptions(response, prefix, errors) {
+    const options = { enabled: true };
+
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+      errors.push(`${prefix} 必须是对象`);
+      return options;
+    }
+
+    for (const field of ['enabled', 'htmlToMarkdown']) {
+      if (response[field] === undefined) {
+        continue;
+      }
+      if (typeof response[field] !== 'boolean') {
+        errors.push(`${prefix}.${field} 必须是布尔值`);
+        continue;
+      }
+      options[field] = response[field];
+    }
+
+    this.readInteger(response, 'maxTextLength', 0, prefix, options, 'maxTextLength', errors);
+
+    if (response.unsupportedContent !== undefined) {
+      if (!['keep', 'describe', 'drop'].includes(response.unsupportedContent)) {
+        errors.push(`${prefix}.unsupportedContent 必须是 keep、describe 或 drop`);
+      } else {
+        options.unsupportedContent = response.unsupportedContent;
+      }
+    }
+
+    if (response.card !== undefined) {
+      const template = response.card && response.card.template;
+      if (typeof template !== 'string' && (!template || typeof template !== 'object' || Array.isArray(template))) {
+        errors.push(`${prefix}.card.template 必须是字符串或对象`);
+      } else {
+        options.card = { template };
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * 解析 bundles 字段：每个虚拟服务器由若干成员服务器组成，成员的工具名加上前缀后合并
+   * @param {Object} bundles - 原始 bundles 对象（可选）
+   * @param {Array<string>} errors - 错误收集
+   * @returns {Map<string, Object>} 虚拟服务器名到配置的映射
+   */
+  parseBundles(bundles, errors) {
+    const result = new Map();
+
+    if (bundles === undefined) {
+      return result;
+    }
+    if (!bundles || typeof bundles !== 'object' || Array.isArray(bundles)) {
+      errors.push('bundles 必须是对象');
+      return result;
+    }
+
+    for (const [name, bundle] of Object.entries(bundles)) {
+      const prefix = `bundles.${name}`;
+
+      if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+        errors.push(`${prefix} 名称只能包含字母、数字、下划线、点和连字符`);
+        continue;
+      }
+      if (!bundle || typeof bundle !== 'object' || !Array.isArray(bundle.servers) || bundle.servers.length === 0) {
+        errors.push(`${prefix}.servers 必须是非空数组`);
+        continue;
+      }
+      if (bundle.description !== undefined && typeof bundle.description !== 'string') {
+        errors.push(`${prefix}.description 必须是字符串`);
+      }
+
+      const members = [];
+      const prefixes = new Set();
+      bundle.servers.forEach((member, index) => {
+        const memberPrefix = `${prefix}.servers[${index}]`;
+        const server = typeof member === 'string' ? member : member && member.server;
+
+        if (typeof server !== 'string' || server === '') {
+          errors.push(`${memberPrefix} 必须是服务器名称或 { server, prefix } 对象`);
+          return;
+        }
+
+        // 默认前缀为服务器名，去掉工具名中不允许的字符
+        let toolPrefix = typeof member === 'string' || member.prefix === undefined ?
+          server.replace(/[^A-Za-z0-9_-]/g, '_').replace(/_{2,}/g, '_') :
+          member.prefix;
+
+        if (typeof toolPrefix !== 'string' || !/^[A-Za-z0-9_-]+$/.test(toolPrefix) || toolPrefix.includes('__')) {
+          errors.push(`${memberPrefix}.prefix 只能包含字母、数字、下划线和连字符，且不能包含 "__"`);
+          return;
+        }
+        if (prefixes.has(toolPrefix)) {
+          errors.push(`${memberPrefix}.prefix "${toolPrefix}" 重复`);
+          return;
+        }
+
+        prefixes.add(toolPrefix);
+        members.push({ server, prefix: toolPrefix });
+      });
+
+      result.set(name, { name, description: bundle.description || null, members });
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取整数字段，缺省时跳过
+   * @param {Object} source - 原始对象
+   * @param {string} field - 字段名
+   * @param {number} min - 最小值
+   * @param {string} prefix - 错误信息中的路径前缀
+   * @param {Object} target - 写入的对象
+   * @param {string} targetField - 写入的字段名
+   * @param {Array<string>} errors - 错误收集
+   */
+  readInteger(source, field, min, prefix, target, targetField, errors) {
+    if (!source || typeof source !== 'object' || source[field] === undefined) {
+      return;
+    }
+
+    const value = source[field];
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(`${prefix}.${field} 必须是不小于 ${min} 的整数`);
+      return;
+    }
+
+    target[targetField] = value;
+  }
+
+  /**
+   * 检查是否为 http(s) URL
+   * @param {*} value - 待检查的值
+   * @returns {boolean} 是否有效
+   */
+  isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 创建注册表错误
+   * @param {Array<string>} errors - 错误列表
+   * @returns {Error} 错误对象
+   */
+  createError(errors) {
+    const error = new Error(`服务器注册表无效:\n  - ${errors.join('\n  - ')}`);
+    error.code = 'REGISTRY_INVALID';
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * 应用路由条目和虚拟服务器并重建索引
+   * @param {Object} document - load() 的结果
+   * @param {Array<Object>} document.entries - 路由条目
+   * @param {Map<string, Object>} document.bundles - 虚拟服务器
+   */
+  apply({ entries, bundles }) {
+    const routes = new Map();
+
+    for (const entry of entries) {
+      for (const name of [entry.key, entry.serverId, ...entry.aliases]) {
+        routes.set(name, entry);
+      }
+    }
+
+    this.entries = entries;
+    this.routes = routes;
+    this.bundles = bundles;
+    this.loadedAt = Date.now();
+
+    log.info('服务器注册表已加载', {
+      file: this.file,
+      servers: entries.length,
+      bundles: bundles.size
+    });
+  }
+
+  /**
+   * 重新加载注册表文件，文件无效时保留当前注册表
+   * @returns {Array<Object>} 新的路由条目
+   * @throws {Error} 文件无效时抛出
+   */
+  reload() {
+    if (!this.file) {
+      return this.entries;
+    }
+
+    const document = this.load();
+    this.apply(document);
+    return document.entries;
+  }
+
+  /**
+   * 查找路由条目
+   * @param {string} name - 条目名、别名或 Dify serverId
+   * @returns {Object|null} 路由条目，未注册时返回 null
+   */
+  lookup(name) {
+    return this.routes.get(name) || null;
+  }
+
+  /**
+   * 获取注册表信息
+   * @returns {Object} 注册表信息
+   */
+  getStats() {
+    return {
+      file: this.file,
+      servers: this.entries.length,
+      bundles: this.bundles.size,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = ServerRegistry;
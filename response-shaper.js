@@ -0,0 +1,336 @@
+/**
+ * MCP 代理服务器响应整形模块
+ * 在工具结果返回钉钉之前按服务器配置处理内容块：
+ * - HTML 转为钉钉可以显示的 Markdown
+ * - 过长的文本截断并附上提示
+ * - 钉钉助手无法显示的内容（图片、音频、二进制资源等）删除或替换为文字说明
+ * - 可选地把结果套入钉钉卡片模板
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'response-shaper' });
+
+const SHAPER_OPTIONS = ['enabled', 'maxTextLength', 'htmlToMarkdown', 'unsupportedContent', 'card'];
+
+// 常见的块级和行内标签，出现时按 HTML 处理
+const HTML_PATTERN = /<(?:p|div|br|hr|h[1-6]|ul|ol|li|table|tr|td|th|a|strong|b|em|i|img|pre|code|span|html|body|head)\b[^>]*>/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * 解码 HTML 实体
+ * @param {string} text - 文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * 读取标签的属性值
+ * @param {string} attributes - 标签中的属性部分
+ * @param {string} name - 属性名
+ * @returns {string} 属性值，不存在时为空字符串
+ */
+function readAttribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : '';
+}
+
+/**
+ * 去掉标签并压缩空白，用于行内内容
+ * @param {string} html - HTML 片段
+ * @returns {string} 纯文本
+ */
+function inlineText(html) {
+  return html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 把 HTML 转为钉钉支持的 Markdown（标题、加粗、斜体、链接、图片、列表、引用、代码）
+ * 钉钉不支持表格，单元格之间用竖线分隔
+ * @param {string} html - HTML 文本
+ * @returns {string} Markdown 文本
+ */
+function htmlToMarkdown(html) {
+  const codeBlocks = [];
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // 代码块原样保留，最后再放回
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+      codeBlocks.push(decodeEntities(code.replace(/<[^>]+>/g, '')).replace(/^\n+|\n+$/g, ''));
+      return `\n\n\u0000${codeBlocks.length - 1}\u0000\n\n`;
+    })
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) =>
+      `\n\n${'#'.repeat(Number(level))} ${inlineText(content)}\n\n`)
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, content) => {
+      const href = readAttribute(attributes, 'href');
+      const label = inlineText(content);
+      return href && !href.startsWith('javascript:') ? `[${label || href}](${href})` : label;
+    })
+    .replace(/<img\b([^>]*)>/gi, (match, attributes) => {
+      const src = readAttribute(attributes, 'src');
+      return src && /^https?:/i.test(src) ? `![${readAttribute(attributes, 'alt')}](${src})` : '';
+    })
+    .replace(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, content) =>
+      inlineText(content) ? `**${inlineText(content)}**` : '')
+    .replace(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, content) =>
+      inlineText(content) ? `*${inlineText(content)}*` : '')
+    .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, (match, content) => `\`${inlineText(content)}\``)
+    .replace(/<blockquote\b[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, content) =>
+      `\n\n> ${inlineText(content)}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(ul|ol)>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+    .replace(/<\/t[dh]>\s*<t[dh]\b[^>]*>/gi, ' | ')
+    .replace(/<\/(p|div|tr|table|section|article|header|footer)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  text = decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return text.replace(/\u0000(\d+)\u0000/g, (match, index) => `\`\`\`\n${codeBlocks[index]}\n\`\`\``);
+}
+
+/**
+ * 估算 base64 数据的大小
+ * @param {string} data - base64 数据
+ * @returns {string} 可读的大小
+ */
+function describeSize(data) {
+  if (typeof data !== 'string') {
+    return '大小未知';
+  }
+
+  const bytes = Math.floor(data.length * 3 / 4);
+  return bytes >= 1024 * 1024 ? `约 ${(bytes / 1024 / 1024).toFixed(1)} MB` : `约 ${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * 按占位符填充卡片模板，模板可以是字符串或对象（对象中的每个字符串都会填充）
+ * @param {string|Object} template - 卡片模板
+ * @param {Object} variables - 占位符取值（content、tool、server）
+ * @returns {string|Object} 填充后的模板
+ */
+function fillTemplate(template, variables) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? match);
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => fillTemplate(item, variables));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, variables)]));
+  }
+  return template;
+}
+
+class ResponseShaper {
+  /**
+   * @param {Object} options - 全局整形选项
+   * @param {boolean} options.enabled - 是否启用
+   * @param {number} options.maxTextLength - 单个文本块的最大字符数，0 表示不限
+   * @param {boolean} options.htmlToMarkdown - 是否把 HTML 转为 Markdown
+   * @param {string} options.unsupportedContent - 无法显示的内容：keep 保留、describe 替换为说明、drop 删除
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      enabled: options.enabled || false,
+      maxTextLength: options.maxTextLength ?? 8000,
+      htmlToMarkdown: options.htmlToMarkdown !== false,
+      unsupportedContent: options.unsupportedContent || 'describe',
+      card: null
+    };
+
+    // 单个服务器覆盖的选项（来自服务器注册表）
+    this.serverOptions = new Map();
+
+    this.stats = {
+      shaped: 0,
+      truncated: 0,
+      converted: 0,
+      described: 0,
+      dropped: 0,
+      cards: 0
+    };
+  }
+
+  /**
+   * 更新全局整形选项（热加载）
+   * @param {Object} options - 整形选项
+   */
+  configure(options = {}) {
+    for (const key of SHAPER_OPTIONS) {
+      if (options[key] !== undefined) {
+        this.defaults[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * 设置单个服务器的整形选项，覆盖全局配置
+   * @param {string} serverId - 服务器 ID
+   * @param {Object|null} options - 整形选项，null 表示恢复全局配置
+   */
+  setServerOptions(serverId, options) {
+    if (options) {
+      this.serverOptions.set(serverId, { ...options });
+    } else {
+      this.serverOptions.delete(serverId);
+    }
+  }
+
+  /**
+   * 获取服务器生效的整形选项
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 整形选项
+   */
+  getOptions(serverId) {
+    return { ...this.defaults, ...this.serverOptions.get(serverId) };
+  }
+
+  /**
+   * 服务器是否启用了整形
+   * @param {string} serverId - 服务器 ID
+   * @returns {boolean} 是否启用
+   */
+  isEnabled(serverId) {
+    return this.getOptions(serverId).enabled;
+  }
+
+  /**
+   * 整形 tools/call 响应，不修改传入的对象
+   * @param {string} serverId - 服务器 ID
+   * @param {string} tool - 工具名
+   * @param {Object} response - JSON-RPC 响应
+   * @returns {Object} 整形后的响应
+   */
+  shape(serverId, tool, response) {
+    const content = response?.result?.content;
+    const options = this.getOptions(serverId);
+    if (!options.enabled || !Array.isArray(content)) {
+      return response;
+    }
+
+    let blocks = content
+      .map(block => this.shapeBlock(block, options))
+      .filter(Boolean);
+
+    if (blocks.length === 0 && content.length > 0) {
+      blocks = [{ type: 'text', text: '（结果中没有可以在钉钉中显示的内容）' }];
+    }
+
+    // 卡片只用于成功的结果，所有文本合并后填入模板
+    if (options.card && !response.result.isError) {
+      const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+      const card = fillTemplate(options.card.template, { content: text, tool, server: serverId });
+      blocks = [{ type: 'text', text: typeof card === 'string' ? card : JSON.stringify(card) }];
+      this.stats.cards++;
+    }
+
+    this.stats.shaped++;
+    return { ...response, result: { ...response.result, content: blocks } };
+  }
+
+  /**
+   * 整形单个内容块
+   * @param {Object} block - 内容块
+   * @param {Object} options - 整形选项
+   * @returns {Object|null} 整形后的内容块，删除时返回 null
+   */
+  shapeBlock(block, options) {
+    if (block?.type === 'text' && typeof block.text === 'string') {
+      return { ...block, text: this.shapeText(block.text, options) };
+    }
+
+    // 内嵌的文本资源按文本处理
+    if (block?.type === 'resource' && typeof block.resource?.text === 'string' && options.unsupportedContent !== 'keep') {
+      return { type: 'text', text: this.shapeText(block.resource.text, options) };
+    }
+
+    if (options.unsupportedContent === 'keep') {
+      return block;
+    }
+    if (options.unsupportedContent === 'drop') {
+      this.stats.dropped++;
+      return null;
+    }
+
+    this.stats.described++;
+    return { type: 'text', text: this.describe(block) };
+  }
+
+  /**
+   * HTML 转为 Markdown，超过长度时截断
+   * @param {string} text - 文本
+   * @param {Object} options - 整形选项
+   * @returns {string} 处理后的文本
+   */
+  shapeText(text, options) {
+    if (options.htmlToMarkdown && HTML_PATTERN.test(text)) {
+      text = htmlToMarkdown(text);
+      this.stats.converted++;
+    }
+
+    // 按字符计算，避免截断在代理对中间
+    const chars = [...text];
+    if (options.maxTextLength > 0 && chars.length > options.maxTextLength) {
+      this.stats.truncated++;
+      log.debug('工具结果过长，已截断', { length: chars.length, maxTextLength: options.maxTextLength });
+      return `${chars.slice(0, options.maxTextLength).join('')}\n\n……（内容过长，已截断，原文共 ${chars.length} 字）`;
+    }
+
+    return text;
+  }
+
+  /**
+   * 为无法显示的内容生成文字说明
+   * @param {Object} block - 内容块
+   * @returns {string} 说明文字
+   */
+  describe(block) {
+    switch (block?.type) {
+      case 'image':
+        return `[图片（${block.mimeType || '未知格式'}，${describeSize(block.data)}）无法在钉钉中显示，已省略]`;
+      case 'audio':
+        return `[音频（${block.mimeType || '未知格式'}，${describeSize(block.data)}）无法在钉钉中显示，已省略]`;
+      case 'resource_link':
+        return `[${block.name || block.uri}](${block.uri})`;
+      case 'resource': {
+        const resource = block.resource || {};
+        return `[附件 ${resource.uri || ''}（${resource.mimeType || '未知格式'}，${describeSize(resource.blob)}）无法在钉钉中显示，已省略]`;
+      }
+      default:
+        return `[不支持的内容类型 ${block?.type || '未知'}，已省略]`;
+    }
+  }
+
+  /**
+   * 获取整形统计信息
+   * @returns {Object} 整形统计
+   */
+  getStats() {
+    const { card, ...defaults } = this.defaults;
+    return {
+      ...defaults,
+      servers: this.serverOptions.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ResponseShaper;
@@ -0,0 +1,418 @@
+/**
+ * MCP 代理服务器请求调度模块
+ * 两级调度：每个服务器有独立的等待队列和并发上限，全局并发槽位按权重在服务器之间公平分配（加权公平排队），
+ * 避免单个繁忙的 Dify 应用占满所有槽位
+ */
+
+const { AsyncResource } = require('async_hooks');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scheduler' });
+
+class FairScheduler {
+  /**
+   * @param {Object} options - 调度选项
+   * @param {number} options.concurrency - 全局并发数
+   * @param {number} options.timeout - 默认超时（毫秒，从入队到执行完成），0 表示不限
+   * @param {Function} options.resolveServer - 返回服务器的 { concurrency, weight }
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 50;
+    this.timeout = options.timeout || 0;
+    this.resolveServer = options.resolveServer || (() => ({}));
+
+    // 每个服务器的等待队列，空闲时移除
+    this.lanes = new Map();
+    this.size = 0;       // 所有服务器等待中的请求数
+    this.pending = 0;    // 执行中的请求数
+
+    // 虚拟时间：每次分配槽位时推进到被选中任务的开始标签
+    this.virtualTime = 0;
+    this.sequence = 0;
+
+    this.stats = {
+      scheduled: 0,
+      completed: 0,
+      timedOut: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * 更新全局并发数和默认超时（热加载）
+   * @param {Object} options - 调度选项
+   */
+  configure(options = {}) {
+    if (options.concurrency !== undefined) {
+      this.concurrency = options.concurrency;
+    }
+    if (options.timeout !== undefined) {
+      this.timeout = options.timeout;
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * 重新读取各服务器的并发上限和权重（注册表或配置变更后调用）
+   */
+  refresh() {
+    for (const lane of this.lanes.values()) {
+      this.applyServerOptions(lane);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * 获取服务器的等待队列，不存在时创建
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 等待队列
+   */
+  getLane(serverId) {
+    if (!this.lanes.has(serverId)) {
+      const lane = {
+        serverId,
+        queue: [],
+        pending: 0,
+        concurrency: 1,
+        weight: 1,
+        startTag: 0,     // 下一个任务的开始标签
+        finishTag: 0,    // 上一个任务的完成标签
+        paused: false,
+        pausedAt: null
+      };
+      this.applyServerOptions(lane);
+      this.lanes.set(serverId, lane);
+      log.debug('创建服务器队列', { serverId, concurrency: lane.concurrency, weight: lane.weight });
+    }
+
+    return this.lanes.get(serverId);
+  }
+
+  /**
+   * 应用服务器的并发上限和权重
+   * @param {Object} lane - 等待队列
+   */
+  applyServerOptions(lane) {
+    const { concurrency, weight } = this.resolveServer(lane.serverId);
+    lane.concurrency = concurrency || 1;
+    lane.weight = weight || 1;
+  }
+
+  /**
+   * 等待队列空闲（无等待、无执行中的请求且未暂停）时移除
+   * @param {Object} lane - 等待队列
+   */
+  release(lane) {
+    if (lane.queue.length === 0 && lane.pending === 0 && !lane.paused && this.lanes.get(lane.serverId) === lane) {
+      this.lanes.delete(lane.serverId);
+    }
+  }
+
+  /**
+   * 提交任务：先进入服务器的等待队列，轮到时占用全局槽位执行
+   * @param {string} serverId - 服务器 ID
+   * @param {Function} task - 异步任务
+   * @param {Object} options - 任务选项
+   * @param {number} options.priority - 优先级（越高越优先，只在同一服务器内比较）
+   * @param {number} options.timeout - 超时（毫秒），覆盖默认超时
+   * @returns {Promise<*>} 任务结果
+   */
+  schedule(serverId, task, options = {}) {
+    const lane = this.getLane(serverId);
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        // 任务由其他请求完成时触发执行，绑定到提交时的异步上下文，
+        // 否则日志的请求 ID 和追踪的父 span 会变成触发它的那个请求
+        run: AsyncResource.bind(task),
+        priority: options.priority || 0,
+        sequence: this.sequence++,
+        started: false,
+        timer: null,
+        resolve,
+        reject
+      };
+
+      const timeout = options.timeout ?? this.timeout;
+      if (timeout) {
+        entry.timer = setTimeout(() => this.expire(lane, entry, timeout), timeout);
+      }
+
+      this.enqueue(lane, entry);
+      this.stats.scheduled++;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 按优先级插入等待队列，同优先级先进先出
+   * @param {Object} lane - 等待队列
+   * @param {Object} entry - 任务
+   */
+  enqueue(lane, entry) {
+    // 服务器从空闲变为积压时从当前虚拟时间开始计算，空闲期间不会积累额度
+    if (lane.queue.length === 0) {
+      lane.startTag = Math.max(this.virtualTime, lane.finishTag);
+    }
+
+    let index = lane.queue.length;
+    while (index > 0 && lane.queue[index - 1].priority < entry.priority) {
+      index--;
+    }
+
+    lane.queue.splice(index, 0, entry);
+    this.size++;
+  }
+
+  /**
+   * 在全局并发数内，依次从完成标签最小的服务器取出任务执行
+   * 每个任务的完成标签为开始标签加 1/权重，权重为 3 的服务器获得的槽位是权重为 1 的三倍
+   */
+  dispatch() {
+    while (this.pending < this.concurrency) {
+      const lane = this.pickLane();
+      if (!lane) {
+        return;
+      }
+
+      this.virtualTime = Math.max(this.virtualTime, lane.startTag);
+      lane.finishTag = lane.startTag + 1 / lane.weight;
+      lane.startTag = lane.finishTag;
+
+      const entry = lane.queue.shift();
+      this.size--;
+      this.run(lane, entry);
+    }
+  }
+
+  /**
+   * 选择下一个获得槽位的服务器：未暂停、有等待任务、未达到自身并发上限，且完成标签最小
+   * @returns {Object|null} 等待队列
+   */
+  pickLane() {
+    let selected = null;
+    let selectedTag = Infinity;
+
+    for (const lane of this.lanes.values()) {
+      if (lane.paused || lane.queue.length === 0 || lane.pending >= lane.concurrency) {
+        continue;
+      }
+
+      const tag = lane.startTag + 1 / lane.weight;
+      if (tag < selectedTag) {
+        selected = lane;
+        selectedTag = tag;
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * 执行任务，完成后释放槽位并继续调度
+   * @param {Object} lane - 等待队列
+   * @param {Object} entry - 任务
+   */
+  run(lane, entry) {
+    entry.started = true;
+    lane.pending++;
+    this.pending++;
+
+    let result;
+    try {
+      result = Promise.resolve(entry.run());
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    result.then(entry.resolve, entry.reject).finally(() => {
+      clearTimeout(entry.timer);
+      lane.pending--;
+      this.pending--;
+      this.stats.completed++;
+      this.release(lane);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 任务超时：尚未开始的任务从等待队列移除；已开始的任务继续占用槽位直到真正结束
+   * @param {Object} lane - 等待队列
+   * @param {Object} entry - 任务
+   * @param {number} timeout - 超时（毫秒）
+   */
+  expire(lane, entry, timeout) {
+    this.stats.timedOut++;
+
+    if (!entry.started) {
+      this.remove(lane, entry);
+      this.release(lane);
+    }
+
+    if (!entry.started && lane.paused) {
+      entry.reject(this.createError('QUEUE_PAUSED', `服务器 ${lane.serverId} 的队列已暂停`));
+    } else {
+      entry.reject(this.createError('QUEUE_TIMEOUT', `服务器 ${lane.serverId} 的请求超过 ${timeout}ms 未完成`));
+    }
+  }
+
+  /**
+   * 从等待队列移除任务
+   * @param {Object} lane - 等待队列
+   * @param {Object} entry - 任务
+   */
+  remove(lane, entry) {
+    const index = lane.queue.indexOf(entry);
+    if (index !== -1) {
+      lane.queue.splice(index, 1);
+      this.size--;
+    }
+  }
+
+  /**
+   * 暂停服务器队列：之后的任务在等待队列中等待恢复，执行中的任务不受影响
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态
+   */
+  pause(serverId) {
+    const lane = this.getLane(serverId);
+
+    if (!lane.paused) {
+      lane.paused = true;
+      lane.pausedAt = Date.now();
+      log.warn('服务器队列已暂停', { serverId });
+    }
+
+    return this.describe(lane);
+  }
+
+  /**
+   * 恢复服务器队列
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态
+   */
+  resume(serverId) {
+    const lane = this.lanes.get(serverId);
+
+    if (lane && lane.paused) {
+      lane.paused = false;
+      lane.pausedAt = null;
+      // 暂停期间不积累额度
+      lane.startTag = Math.max(this.virtualTime, lane.finishTag);
+      log.info('服务器队列已恢复', { serverId, size: lane.queue.length });
+
+      this.release(lane);
+      this.dispatch();
+    }
+
+    return this.getServerState(serverId);
+  }
+
+  /**
+   * 清空服务器队列：等待中的任务以 QUEUE_DRAINED 错误结束，执行中的任务不受影响，暂停状态保持不变
+   * @param {string} serverId - 服务器 ID
+   * @returns {number} 丢弃的任务数
+   */
+  drain(serverId) {
+    const lane = this.lanes.get(serverId);
+    if (!lane) {
+      return 0;
+    }
+
+    const entries = lane.queue.splice(0);
+    this.size -= entries.length;
+    this.stats.dropped += entries.length;
+
+    const error = this.createError('QUEUE_DRAINED', `服务器 ${serverId} 的队列已被清空`);
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+
+    this.release(lane);
+    log.warn('服务器队列已清空', { serverId, dropped: entries.length });
+
+    return entries.length;
+  }
+
+  /**
+   * 清空所有服务器的等待队列（关闭时调用）
+   */
+  clear() {
+    for (const serverId of [...this.lanes.keys()]) {
+      this.drain(serverId);
+    }
+  }
+
+  /**
+   * 创建调度错误
+   * @param {string} code - QUEUE_PAUSED、QUEUE_DRAINED 或 QUEUE_TIMEOUT
+   * @param {string} message - 错误消息
+   * @returns {Error} 错误对象
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * 描述等待队列状态
+   * @param {Object} lane - 等待队列
+   * @returns {Object} 队列状态
+   */
+  describe(lane) {
+    return {
+      serverId: lane.serverId,
+      size: lane.queue.length,
+      pending: lane.pending,
+      concurrency: lane.concurrency,
+      weight: lane.weight,
+      paused: lane.paused,
+      pausedAt: lane.pausedAt
+    };
+  }
+
+  /**
+   * 获取服务器队列状态（空闲的服务器返回空状态）
+   * @param {string} serverId - 服务器 ID
+   * @returns {Object} 队列状态
+   */
+  getServerState(serverId) {
+    const lane = this.lanes.get(serverId);
+    if (lane) {
+      return this.describe(lane);
+    }
+
+    const { concurrency, weight } = this.resolveServer(serverId);
+    return {
+      serverId,
+      size: 0,
+      pending: 0,
+      concurrency: concurrency || 1,
+      weight: weight || 1,
+      paused: false,
+      pausedAt: null
+    };
+  }
+
+  /**
+   * 获取调度统计信息
+   * @returns {Object} 全局和各服务器的队列状态
+   */
+  getStats() {
+    return {
+      global: {
+        size: this.size,
+        pending: this.pending,
+        concurrency: this.concurrency,
+        ...this.stats
+      },
+      servers: Array.from(this.lanes.values()).map(lane => this.describe(lane))
+    };
+  }
+}
+
+module.exports = FairScheduler;
@@ -4,26 +4,40 @@
  */
 
 const express = require('express');
-const dotenv = require('dotenv');
+const crypto = require('crypto');
 const ProxyManager = require('./proxy');
+const AuthManager = require('./auth');
+const { loadConfig, reloadConfig } = require('./config');
+const { createErrorResponse, ErrorCodes } = require('./errors');
+const { SSE_CONTENT_TYPE, formatSSEEvent, acceptsEventStream } = require('./sse');
+const { logger } = require('./logger');
+const { tracer, parseTraceparent, SpanKind, StatusCode } = require('./tracing');
 
-// 加载环境变量
-dotenv.config();
+const log = logger.child({ component: 'server' });
 
 class MCPProxyServer {
-  constructor() {
+  /**
+   * @param {Object} config - 配置对象（默认从环境变量和 .env 加载）
+   */
+  constructor(config = loadConfig()) {
     this.app = express();
-    this.port = process.env.PORT || 3000;
+    this.config = config;
+    this.port = config.port;
+    
+    // 日志设置需要在创建其他组件之前应用
+    this.configureLogger(config);
+    this.configureTracing(config);
     
     // 初始化代理管理器
-    this.proxyManager = new ProxyManager({
-      maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 50,
-      requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 35000,
-      connectionTimeout: parseInt(process.env.CONNECTION_TIMEOUT) || 8000,
-      retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 3,
-      retryDelay: parseInt(process.env.RETRY_DELAY) || 500,
-      maxRetryDelay: parseInt(process.env.MAX_RETRY_DELAY) || 3000,
-      difyBaseUrl: process.env.DIFY_BASE_URL || 'http://dify.ireborn.com.cn'
+    this.proxyManager = new ProxyManager(config);
+    
+    // 初始化入站认证
+    this.authManager = new AuthManager({
+      enabled: config.authEnabled,
+      clientsFile: config.authClientsFile,
+      hmacWindow: config.authHmacWindow,
+      monitoringToken: config.monitoringToken,
+      adminToken: config.adminToken
     });
     
     // 服务器统计
@@ -38,6 +52,34 @@ class MCPProxyServer {
     this.setupRoutes();
     this.setupErrorHandling();
     this.setupGracefulShutdown();
+    this.setupConfigReload();
+  }
+  
+  /**
+   * 按配置设置日志级别、格式和隐去字段
+   * @param {Object} config - 配置对象
+   */
+  configureLogger(config) {
+    logger.configure({
+      level: config.logLevel,
+      format: config.logFormat,
+      redactFields: config.logRedact === false ? [] : config.logRedactFields
+    });
+  }
+  
+  /**
+   * 按配置设置链路追踪
+   * @param {Object} config - 配置对象
+   */
+  configureTracing(config) {
+    tracer.configure({
+      enabled: config.tracingEnabled,
+      endpoint: config.tracingOtlpEndpoint,
+      headers: config.tracingOtlpHeaders,
+      sampleRate: config.tracingSampleRate,
+      serviceName: config.tracingServiceName,
+      exportInterval: config.tracingExportInterval
+    });
   }
   
   /**
@@ -47,17 +89,78 @@ class MCPProxyServer {
     // 请求体解析
     this.app.use(express.json({ 
       limit: '1mb',
-      strict: true 
+      strict: true,
+      // 保留原始请求体用于 HMAC 签名校验
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
     }));
     
-    // CORS 支持
+    // 请求 ID：沿用客户端或网关传入的 X-Request-Id，否则新生成
+    // 放在请求体解析之后，之后的处理（包括队列、熔断器和重试）都在同一请求上下文中
+    this.app.use((req, res, next) => {
+      const incoming = req.get('X-Request-Id');
+      req.requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+      res.setHeader('X-Request-Id', req.requestId);
+      
+      logger.runWithRequest(req.requestId, next);
+    });
+    
+    // 入口 span：沿用上游 traceparent，之后的 span 都挂在它下面
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      const span = tracer.startSpan(`${req.method} ${req.path}`, {
+        parent: null,
+        remote: parseTraceparent(req.get('traceparent')),
+        tracestate: req.get('tracestate'),
+        kind: SpanKind.SERVER,
+        attributes: {
+          'http.method': req.method,
+          'http.target': req.originalUrl,
+          'http.request_id': req.requestId
+        }
+      });
+      
+      if (!span) {
+        return next();
+      }
+      
+      const finish = () => {
+        // 用路由模板命名，避免 span 名称随 serverId 变化
+        if (req.route) {
+          span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+        }
+        span.setAttribute('http.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+          span.status = { code: StatusCode.ERROR };
+        }
+        span.end();
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      
+      tracer.withSpan(span, next);
+    });
+    
+    // CORS 支持（按来源白名单）
+    this.app.use((req, res, next) => {
+      const origin = req.get('Origin');
+      const allowedOrigins = this.config.corsAllowedOrigins;
+      const allowed = allowedOrigins.includes('*') || (origin && allowedOrigins.includes(origin));
+      
+      if (allowedOrigins.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+      } else {
+        res.header('Vary', 'Origin');
+        if (allowed) {
+          res.header('Access-Control-Allow-Origin', origin);
+        }
+      }
+      res.header('Access-Control-Allow-Methods', 'POST, GET, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Client-Id, X-Timestamp, X-Nonce, X-Signature, X-Request-Id, X-Admin-Token, traceparent, tracestate, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID');
+      res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Scope, Retry-After');
       
       if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
+        return res.sendStatus(origin && !allowed ? 403 : 200);
       }
       
       next();
@@ -69,7 +172,7 @@ class MCPProxyServer {
       this.stats.totalRequests++;
       
       // 记录请求
-      console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+      log.debug('收到请求', { method: req.method, url: req.url });
       
       // 响应完成后记录统计
       res.on('finish', () => {
@@ -82,7 +185,14 @@ class MCPProxyServer {
           this.stats.errorRequests++;
         }
         
-        console.log(`[${new Date().toISOString()}] ${status} ${req.method} ${req.url} - ${duration}ms`);
+        // finish 事件不在请求上下文中触发，显式带上请求 ID
+        log.info('请求结束', {
+          requestId: req.requestId,
+          method: req.method,
+          url: req.url,
+          status,
+          duration
+        });
       });
       
       next();
@@ -95,11 +205,24 @@ class MCPProxyServer {
   setupRoutes() {
     // 健康检查端点
     this.app.get('/health', (req, res) => {
+      // 未携带监控凭据时只返回存活状态，供容器健康检查使用
+      if (!this.authManager.canAccessMonitoring(req)) {
+        return res.json({
+          status: 'healthy',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       const uptime = Date.now() - this.stats.startTime;
       const memoryUsage = process.memoryUsage();
+      const proxyStats = this.proxyManager.getStats();
+      
+      // 主动健康检查发现不健康的服务器或上游时标记为 degraded（代理本身仍可用）
+      const { servers, upstreams } = proxyStats.health;
+      const degraded = [...Object.values(servers), ...Object.values(upstreams)].some(result => result.healthy === false);
       
       res.json({
-        status: 'healthy',
+        status: degraded ? 'degraded' : 'healthy',
         uptime: Math.floor(uptime / 1000),
         timestamp: new Date().toISOString(),
         version: '2.0.0',
@@ -113,14 +236,15 @@ class MCPProxyServer {
           successRate: this.stats.totalRequests > 0 ? 
             ((this.stats.successRequests / this.stats.totalRequests) * 100).toFixed(2) + '%' : '0%'
         },
-        proxy: this.proxyManager.getStats()
+        proxy: proxyStats
       });
     });
     
     // 代理状态端点
-    this.app.get('/status', (req, res) => {
+    this.app.get('/status', this.requireMonitoring(), (req, res) => {
       res.json({
         proxy: this.proxyManager.getStats(),
+        auth: this.authManager.getStats(),
         server: {
           uptime: Math.floor((Date.now() - this.stats.startTime) / 1000),
           requests: this.stats
@@ -128,43 +252,183 @@ class MCPProxyServer {
       });
     });
     
+    // Prometheus 指标
+    this.app.get('/metrics', this.requireMonitoring(), (req, res) => {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.proxyManager.metrics.render());
+    });
+    
+    // 后台任务查询：任务结果是工具输出，启用认证时与 /mcp/:serverId 一样需要客户端凭据，且只能查看有权访问的服务器的任务
+    this.app.get('/jobs/:jobId', (req, res) => {
+      const jobManager = this.proxyManager.jobManager;
+      let job = jobManager ? jobManager.getJob(req.params.jobId) : null;
+      
+      if (this.authManager.enabled) {
+        let client;
+        try {
+          client = this.authManager.identify(req);
+        } catch (error) {
+          log.warn('认证失败', { jobId: req.params.jobId, reason: error.message });
+          return this.sendAuthError(res, error, null);
+        }
+        
+        // 无权访问的任务按不存在处理，不暴露任务 ID 是否有效
+        if (job && !this.authManager.canAccessServer(client, this.proxyManager.getServerNames(job.serverId))) {
+          log.warn('客户端无权查看后台任务', { clientId: client.id, jobId: job.id, serverId: job.serverId });
+          job = null;
+        }
+      } else if (!this.authManager.canAccessMonitoring(req)) {
+        const error = new Error('缺少或无效的监控凭据');
+        error.code = 'UNAUTHORIZED';
+        return this.sendAuthError(res, error, null);
+      }
+      
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          jobId: req.params.jobId
+        });
+      }
+      
+      res.json(job);
+    });
+    
     // 核心 MCP 代理路由
-    this.app.post('/mcp/:serverId', async (req, res) => {
+    this.app.post('/mcp/:serverId', this.requireClient(), (req, res) => {
+      const { serverId } = req.params;
+      
+      return this.handleMcpPost(req, res, serverId, {
+        single: (mcpRequest, context) => this.proxyManager.processRequest(serverId, mcpRequest, context),
+        batch: (messages, context) => this.proxyManager.processBatch(serverId, messages, context)
+      });
+    });
+    
+    // 虚拟服务器：聚合注册表 bundles 中的多个服务器，只支持 POST（不保存会话，也没有消息流）
+    this.app.post('/mcp/v/:bundle', this.requireClient(), (req, res) => {
+      const { bundle } = req.params;
+      
+      if (!this.proxyManager.bundleManager.has(bundle)) {
+        return this.sendServerNotRegistered(res, `v/${bundle}`);
+      }
+      
+      return this.handleMcpPost(req, res, `v/${bundle}`, {
+        single: (mcpRequest, context) => this.proxyManager.processBundleRequest(bundle, mcpRequest, context),
+        batch: (messages, context) => this.proxyManager.processBundleBatch(bundle, messages, context)
+      });
+    });
+    
+    this.app.all('/mcp/v/:bundle', (req, res) => {
+      res.setHeader('Allow', 'POST');
+      res.status(405).json({
+        jsonrpc: "2.0",
+        error: {
+          code: -32600,
+          message: "Method Not Allowed",
+          data: { details: '虚拟服务器只支持 POST' }
+        },
+        id: null
+      });
+    });
+    
+    // 服务端主动推送的消息流（Streamable HTTP GET）
+    this.app.get('/mcp/:serverId', this.requireClient(), async (req, res) => {
       const { serverId } = req.params;
-      const mcpRequest = req.body;
       
-      // 设置响应头
-      res.setHeader('Content-Type', 'application/json');
+      if (!this.proxyManager.resolveRoute(serverId)) {
+        return this.sendServerNotRegistered(res, serverId);
+      }
+      
+      // 回放模式下不访问 Dify，与 Dify 不提供该流时一样返回 405
+      if (this.proxyManager.recorder.mode === 'replay') {
+        res.setHeader('Allow', 'POST, DELETE');
+        return res.status(405).json({
+          jsonrpc: "2.0",
+          error: {
+            code: -32600,
+            message: "Method Not Allowed",
+            data: { details: '回放模式下不提供服务端消息流' }
+          },
+          id: null
+        });
+      }
+      
+      if (!acceptsEventStream(req.get('Accept'))) {
+        return res.status(406).json({
+          jsonrpc: "2.0",
+          error: {
+            code: -32600,
+            message: "Not Acceptable",
+            data: { details: `Accept 必须包含 ${SSE_CONTENT_TYPE}` }
+          },
+          id: null
+        });
+      }
+      
+      // 客户端断开时关闭到 Dify 的连接
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+      
+      const context = {
+        ...this.createMcpContext(req),
+        lastEventId: req.get('Last-Event-ID'),
+        signal: controller.signal
+      };
       
       try {
-        console.log(`处理 MCP 请求: ${serverId}:${mcpRequest?.method}`);
+        const upstream = await this.proxyManager.openEventStream(serverId, context);
         
-        // 通过代理管理器处理请求
-        const result = await this.proxyManager.processRequest(serverId, mcpRequest);
+        // 原样透传 Dify 的状态码和内容（如 405 表示不提供该流）
+        res.status(upstream.status);
+        for (const header of ['content-type', 'cache-control', 'mcp-session-id']) {
+          if (upstream.headers[header]) {
+            res.setHeader(header, upstream.headers[header]);
+          }
+        }
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
         
-        res.json(result);
+        upstream.data.on('error', () => res.end());
+        upstream.data.pipe(res);
         
       } catch (error) {
-        console.error(`MCP 代理错误: ${serverId}`, error);
+        if (controller.signal.aborted) {
+          return;
+        }
+        
+        log.error('打开消息流失败', { serverId, error });
         
-        // 返回标准错误响应
-        const errorResponse = {
+        res.status(502).json({
           jsonrpc: "2.0",
           error: {
-            code: -32603,
-            message: "内部服务器错误",
-            data: { 
-              server_id: serverId,
-              error_type: error.name || 'UnknownError'
-            }
+            code: -32001,
+            message: "无法连接到 Dify 服务",
+            data: { server_id: serverId }
           },
-          id: mcpRequest?.id || null
-        };
-        
-        res.status(500).json(errorResponse);
+          id: null
+        });
+      }
+    });
+    
+    // 终止会话（Streamable HTTP DELETE）
+    this.app.delete('/mcp/:serverId', this.requireClient(), async (req, res) => {
+      const { serverId } = req.params;
+      
+      if (!this.proxyManager.resolveRoute(serverId)) {
+        return this.sendServerNotRegistered(res, serverId);
+      }
+      
+      try {
+        const status = await this.proxyManager.terminateSession(serverId, this.createMcpContext(req));
+        res.sendStatus(status);
+      } catch (error) {
+        log.error('终止会话失败', { serverId, error });
+        res.sendStatus(502);
       }
     });
     
+    // 管理接口
+    this.setupAdminRoutes();
+    
     // 根路径信息
     this.app.get('/', (req, res) => {
       res.json({
@@ -173,8 +437,14 @@ class MCPProxyServer {
         description: 'High-performance MCP proxy server optimized for DingTalk AI Assistant',
         endpoints: {
           proxy: 'POST /mcp/{serverId}',
+          bundle: 'POST /mcp/v/{bundle}',
+          stream: 'GET /mcp/{serverId}',
+          session: 'DELETE /mcp/{serverId}',
           health: 'GET /health',
-          status: 'GET /status'
+          status: 'GET /status',
+          metrics: 'GET /metrics',
+          jobs: 'GET /jobs/{jobId}',
+          admin: '/admin/breakers, /admin/cache/{serverId}, /admin/queues'
         },
         usage: {
           dify_url_format: 'http://dify.ireborn.com.cn/mcp/server/{serverId}/mcp',
@@ -201,6 +471,497 @@ class MCPProxyServer {
     });
   }
   
+  /**
+   * 设置管理接口路由（熔断器、缓存和队列），需要 ADMIN_TOKEN
+   */
+  setupAdminRoutes() {
+    const admin = express.Router();
+    admin.use(this.requireAdmin());
+    
+    // 路径中的名称（条目名、别名或 serverId）统一解析为注册表中的条目名
+    admin.param('serverId', (req, res, next, serverId) => {
+      const route = this.proxyManager.resolveRoute(serverId);
+      if (!route) {
+        return this.sendServerNotRegistered(res, serverId);
+      }
+      
+      req.serverKey = route.key;
+      next();
+    });
+    
+    const breakers = this.proxyManager.circuitBreakerManager;
+    
+    // 所有熔断器的详细状态（服务器和 Dify 上游）
+    admin.get('/breakers', (req, res) => {
+      res.json({
+        enabled: this.config.circuitBreakerEnabled,
+        servers: breakers.getAllStates(),
+        upstreams: this.proxyManager.upstreamPool.breakerManager.getAllStates()
+      });
+    });
+    
+    // 单个服务器的熔断器状态
+    admin.get('/breakers/:serverId', (req, res) => {
+      const breaker = breakers.breakers.get(req.serverKey);
+      if (!breaker) {
+        return this.sendAdminError(res, 404, `服务器 ${req.serverKey} 尚未创建熔断器`);
+      }
+      
+      res.json(breaker.getState());
+    });
+    
+    // 重置熔断器，立即恢复转发
+    admin.post('/breakers/:serverId/reset', (req, res) => {
+      const breaker = breakers.breakers.get(req.serverKey);
+      if (!breaker) {
+        return this.sendAdminError(res, 404, `服务器 ${req.serverKey} 尚未创建熔断器`);
+      }
+      
+      breaker.forceReset();
+      log.warn('管理操作', { action: 'breaker.reset', serverId: req.serverKey });
+      res.json(breaker.getState());
+    });
+    
+    // 强制打开熔断器（维护），duration 毫秒后进入半开状态，不指定时保持打开直到重置
+    admin.post('/breakers/:serverId/open', (req, res) => {
+      const duration = req.body?.duration ?? null;
+      if (duration !== null && !(Number.isInteger(duration) && duration > 0)) {
+        return this.sendAdminError(res, 400, 'duration 必须是正整数（毫秒）');
+      }
+      
+      const breaker = breakers.getBreaker(req.serverKey);
+      breaker.forceOpen(duration);
+      log.warn('管理操作', { action: 'breaker.open', serverId: req.serverKey, duration });
+      res.json(breaker.getState());
+    });
+    
+    // 清除服务器缓存，可用 ?method= 只清除某个方法的缓存
+    admin.delete('/cache/:serverId', async (req, res) => {
+      const method = typeof req.query.method === 'string' && req.query.method ? req.query.method : undefined;
+      
+      let cleared;
+      try {
+        cleared = await this.proxyManager.cacheManager.clearServerCache(req.serverKey, method);
+      } catch (error) {
+        log.error('清除缓存失败', { serverId: req.serverKey, method, reason: error.message });
+        return this.sendAdminError(res, 503, `缓存存储不可用: ${error.message}`);
+      }
+      
+      log.warn('管理操作', { action: 'cache.flush', serverId: req.serverKey, method, cleared });
+      res.json({ serverId: req.serverKey, method: method || null, cleared });
+    });
+    
+    // 队列状态（已暂停或有排队、执行中请求的服务器）
+    admin.get('/queues', (req, res) => {
+      res.json({ servers: this.proxyManager.getQueueStates() });
+    });
+    
+    admin.get('/queues/:serverId', (req, res) => {
+      res.json(this.proxyManager.getQueueState(req.serverKey));
+    });
+    
+    // 暂停、恢复和清空服务器队列
+    const queueActions = {
+      pause: serverId => this.proxyManager.pauseServerQueue(serverId),
+      resume: serverId => this.proxyManager.resumeServerQueue(serverId),
+      drain: serverId => this.proxyManager.drainServerQueue(serverId)
+    };
+    admin.post('/queues/:serverId/:action(pause|resume|drain)', (req, res) => {
+      const { action } = req.params;
+      const state = queueActions[action](req.serverKey);
+      
+      log.warn('管理操作', { action: `queue.${action}`, serverId: req.serverKey });
+      res.json(state);
+    });
+    
+    const audit = this.proxyManager.auditLog;
+    
+    // 检索工具调用审计记录，按时间倒序返回最近的 limit 条
+    admin.get('/audit', async (req, res) => {
+      const query = this.parseAuditQuery(req.query);
+      if (query.error) {
+        return this.sendAdminError(res, 400, query.error);
+      }
+      
+      try {
+        const result = await audit.search(query.filters, query.limit);
+        res.json({ ...result, limit: query.limit });
+      } catch (error) {
+        log.error('检索审计日志失败', { error });
+        this.sendAdminError(res, 503, `无法读取审计日志: ${error.message}`);
+      }
+    });
+    
+    // 按时间顺序导出全部符合条件的记录（JSONL 或 CSV）
+    admin.get('/audit/export', async (req, res) => {
+      const query = this.parseAuditQuery(req.query);
+      const format = req.query.format || 'jsonl';
+      if (!query.error && !['jsonl', 'csv'].includes(format)) {
+        query.error = 'format 必须是 jsonl 或 csv';
+      }
+      if (query.error) {
+        return this.sendAdminError(res, 400, query.error);
+      }
+      
+      log.warn('管理操作', { action: 'audit.export', format, filters: query.filters });
+      
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+      
+      try {
+        res.write(audit.formatHeader(format));
+        for await (const record of audit.scan(query.filters)) {
+          if (res.destroyed) {
+            return;
+          }
+          if (!res.write(audit.formatRecord(record, format))) {
+            await this.waitForDrain(res);
+          }
+        }
+        res.end();
+      } catch (error) {
+        log.error('导出审计日志失败', { error });
+        res.destroy(error);
+      }
+    });
+    
+    this.app.use('/admin', admin);
+  }
+  
+  /**
+   * 等待响应缓冲区排空，客户端断开时也会返回
+   * @param {Object} res - Express 响应
+   * @returns {Promise<void>}
+   */
+  waitForDrain(res) {
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+  
+  /**
+   * 解析审计日志的检索条件
+   * @param {Object} query - URL 查询参数
+   * @returns {Object} { filters, limit } 或 { error }
+   */
+  parseAuditQuery(query) {
+    const filters = {};
+    
+    for (const field of ['from', 'to']) {
+      if (query[field] === undefined) {
+        continue;
+      }
+      
+      const time = typeof query[field] === 'string' ? Date.parse(query[field]) : NaN;
+      if (Number.isNaN(time)) {
+        return { error: `${field} 必须是 ISO 8601 时间` };
+      }
+      filters[field] = new Date(time).toISOString();
+    }
+    
+    for (const field of ['clientId', 'serverId', 'tool', 'outcome', 'requestId']) {
+      if (typeof query[field] === 'string' && query[field] !== '') {
+        filters[field] = query[field];
+      }
+    }
+    
+    // 服务器可以用别名或 Dify serverId 查询，记录中保存的是条目名
+    if (filters.serverId) {
+      const route = this.proxyManager.resolveRoute(filters.serverId);
+      filters.serverId = route ? route.key : filters.serverId;
+    }
+    
+    const limit = query.limit === undefined ? 100 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return { error: 'limit 必须是 1 到 1000 之间的整数' };
+    }
+    
+    return { filters, limit };
+  }
+  
+  /**
+   * 管理接口认证中间件：未设置 ADMIN_TOKEN 时管理接口禁用
+   * @returns {Function} Express 中间件
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      if (this.authManager.canAccessAdmin(req)) {
+        return next();
+      }
+      
+      const error = new Error(this.authManager.adminToken ? '缺少或无效的管理凭据' : '未设置 ADMIN_TOKEN，管理接口已禁用');
+      error.code = this.authManager.adminToken ? 'UNAUTHORIZED' : 'FORBIDDEN';
+      log.warn('管理接口认证失败', { url: req.originalUrl, reason: error.message });
+      this.sendAuthError(res, error, null);
+    };
+  }
+  
+  /**
+   * 返回管理操作失败的错误响应
+   * @param {Object} res - Express 响应
+   * @param {number} status - HTTP 状态码
+   * @param {string} message - 错误消息
+   */
+  sendAdminError(res, status, message) {
+    res.status(status).json({
+      ...createErrorResponse(
+        status === 400 ? ErrorCodes.INVALID_PARAMS :
+          status === 503 ? ErrorCodes.SERVER_UNAVAILABLE : ErrorCodes.METHOD_NOT_FOUND,
+        message
+      ),
+      id: null
+    });
+  }
+  
+  /**
+   * 处理 MCP POST 请求：单条或批量消息，客户端接受 SSE 时实时转发 Dify 的 SSE 帧
+   * @param {Object} req - Express 请求
+   * @param {Object} res - Express 响应
+   * @param {string} serverId - 服务器名称（虚拟服务器为 v/名称），用于日志和错误信息
+   * @param {Object} handlers - 消息处理函数
+   * @param {Function} handlers.single - 处理单条消息 (mcpRequest, context) => Promise<Object|null>
+   * @param {Function} handlers.batch - 处理批量消息 (messages, context) => Promise<Object|Array|null>
+   * @returns {Promise<void>}
+   */
+  async handleMcpPost(req, res, serverId, handlers) {
+    const mcpRequest = req.body;
+    const context = this.createMcpContext(req);
+    
+    const isBatch = Array.isArray(mcpRequest);
+    
+    // 客户端接受 SSE 时，Dify 的 SSE 帧到达后立即转发（批量请求统一返回 JSON）
+    let responded = false;
+    if (!isBatch && acceptsEventStream(req.get('Accept'))) {
+      context.onEvent = (event) => {
+        this.writeEvent(res, context, event);
+        
+        const message = event.message;
+        if (message && message.id === mcpRequest?.id && ('result' in message || 'error' in message)) {
+          responded = true;
+        }
+      };
+    }
+    
+    // 设置响应头
+    res.setHeader('Content-Type', 'application/json');
+    
+    try {
+      log.info('处理 MCP 请求', { serverId, method: isBatch ? 'batch' : mcpRequest?.method, clientId: context.clientId });
+      
+      // 通过代理管理器处理请求
+      const result = isBatch ?
+        await handlers.batch(mcpRequest, context) :
+        await handlers.single(mcpRequest, context);
+      
+      this.setRateLimitHeaders(res, context);
+      
+      // 通知和应答：已接受，无响应内容
+      if (result === null) {
+        if (res.headersSent) {
+          return res.end();
+        }
+        res.removeHeader('Content-Type');
+        return res.status(202).end();
+      }
+      
+      // 已切换为 SSE 响应：补发最终结果（如出错）后结束流
+      if (res.headersSent) {
+        if (!responded) {
+          this.writeEvent(res, context, { data: result });
+        }
+        return res.end();
+      }
+      
+      if (context.upstreamSessionId) {
+        res.setHeader('Mcp-Session-Id', context.upstreamSessionId);
+      }
+      
+      res.json(result);
+      
+    } catch (error) {
+      log.error('MCP 代理错误', { serverId, error });
+      
+      // 返回标准错误响应
+      const errorResponse = {
+        jsonrpc: "2.0",
+        error: {
+          code: -32603,
+          message: "内部服务器错误",
+          data: { 
+            server_id: serverId,
+            error_type: error.name || 'UnknownError'
+          }
+        },
+        id: isBatch ? null : (mcpRequest?.id ?? null)
+      };
+      
+      if (res.headersSent) {
+        this.writeEvent(res, context, { data: errorResponse });
+        return res.end();
+      }
+      
+      res.status(500).json(errorResponse);
+    }
+  }
+  
+  /**
+   * MCP 路由认证中间件：校验客户端凭据及其对该服务器的访问权限
+   * 虚拟服务器按 v/名称 授权，不要求客户端有权访问其成员
+   * @returns {Function} Express 中间件
+   */
+  requireClient() {
+    return (req, res, next) => {
+      const serverId = req.params.bundle !== undefined ? `v/${req.params.bundle}` : req.params.serverId;
+      const route = req.params.bundle !== undefined ? null : this.proxyManager.resolveRoute(serverId);
+      
+      try {
+        req.client = this.authManager.authenticate(req, route ? [serverId, route.key] : [serverId]);
+        next();
+      } catch (error) {
+        if (error.code !== 'UNAUTHORIZED' && error.code !== 'FORBIDDEN') {
+          return next(error);
+        }
+        
+        log.warn('认证失败', { serverId, reason: error.message });
+        
+        const body = req.body;
+        const id = body && !Array.isArray(body) && typeof body === 'object' ? (body.id ?? null) : null;
+        this.sendAuthError(res, error, id);
+      }
+    };
+  }
+  
+  /**
+   * 监控端点认证中间件
+   * @returns {Function} Express 中间件
+   */
+  requireMonitoring() {
+    return (req, res, next) => {
+      if (this.authManager.canAccessMonitoring(req)) {
+        return next();
+      }
+      
+      const error = new Error('缺少或无效的监控凭据');
+      error.code = 'UNAUTHORIZED';
+      this.sendAuthError(res, error, null);
+    };
+  }
+  
+  /**
+   * 返回认证失败的 JSON-RPC 错误响应
+   * @param {Object} res - Express 响应
+   * @param {Error} error - 认证错误（code 为 UNAUTHORIZED 或 FORBIDDEN）
+   * @param {*} id - 请求 ID
+   */
+  sendAuthError(res, error, id) {
+    const unauthorized = error.code === 'UNAUTHORIZED';
+    
+    if (unauthorized) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="mcp-proxy"');
+    }
+    
+    res.status(unauthorized ? 401 : 403).json({
+      ...createErrorResponse(
+        unauthorized ? ErrorCodes.UNAUTHORIZED : ErrorCodes.FORBIDDEN,
+        unauthorized ? 'Unauthorized' : 'Forbidden',
+        { details: error.message }
+      ),
+      id
+    });
+  }
+  
+  /**
+   * 从请求中提取 MCP 传输上下文
+   * @param {Object} req - Express 请求
+   * @returns {Object} 请求上下文
+   */
+  createMcpContext(req) {
+    return {
+      sessionId: req.get('Mcp-Session-Id'),
+      protocolVersion: req.get('MCP-Protocol-Version'),
+      requestId: req.requestId,
+      traceparent: req.get('traceparent'),
+      tracestate: req.get('tracestate'),
+      clientId: req.client ? req.client.id : null,
+      clientIp: req.ip,
+      clientRateLimit: req.client ? req.client.rateLimit : undefined
+    };
+  }
+  
+  /**
+   * 设置配额响应头
+   * @param {Object} res - Express 响应
+   * @param {Object} context - 请求上下文
+   */
+  setRateLimitHeaders(res, context) {
+    const rateLimit = context.rateLimit;
+    if (!rateLimit || res.headersSent) {
+      return;
+    }
+    
+    res.setHeader('X-RateLimit-Limit', rateLimit.limit);
+    res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+    res.setHeader('X-RateLimit-Reset', rateLimit.reset);
+    res.setHeader('X-RateLimit-Scope', rateLimit.scope);
+    
+    if (!rateLimit.allowed) {
+      res.setHeader('Retry-After', rateLimit.retryAfter);
+    }
+  }
+  
+  /**
+   * 返回未注册服务器的错误响应
+   * @param {Object} res - Express 响应
+   * @param {string} serverId - 服务器 ID
+   */
+  sendServerNotRegistered(res, serverId) {
+    res.status(404).json({
+      ...createErrorResponse(
+        ErrorCodes.SERVER_NOT_REGISTERED,
+        `未注册的服务器: ${serverId}`,
+        { server_id: serverId }
+      ),
+      id: null
+    });
+  }
+  
+  /**
+   * 向客户端写入一个 SSE 事件，首次写入时切换为 SSE 响应
+   * @param {Object} res - Express 响应
+   * @param {Object} context - 请求上下文
+   * @param {Object} event - SSE 事件
+   */
+  writeEvent(res, context, event) {
+    if (res.writableEnded || res.destroyed) {
+      return;
+    }
+    
+    if (!res.headersSent) {
+      const headers = {
+        'Content-Type': SSE_CONTENT_TYPE,
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'   // 关闭 Nginx 缓冲
+      };
+      
+      if (context.upstreamSessionId) {
+        headers['Mcp-Session-Id'] = context.upstreamSessionId;
+      }
+      
+      this.setRateLimitHeaders(res, context);
+      res.writeHead(200, headers);
+    }
+    
+    res.write(formatSSEEvent(event));
+  }
+  
   /**
    * 设置错误处理
    */
@@ -224,7 +985,7 @@ class MCPProxyServer {
     
     // 全局错误处理
     this.app.use((error, req, res, next) => {
-      console.error('未处理的错误:', error);
+      log.error('未处理的错误', { error });
       
       res.status(500).json({
         jsonrpc: "2.0",
@@ -241,13 +1002,12 @@ class MCPProxyServer {
     
     // 未捕获异常处理
     process.on('uncaughtException', (error) => {
-      console.error('未捕获异常:', error);
+      log.error('未捕获异常', { error });
       this.gracefulShutdown('SIGTERM');
     });
     
     process.on('unhandledRejection', (reason, promise) => {
-      console.error('未处理的 Promise 拒绝:', reason);
-      console.error('Promise:', promise);
+      log.error('未处理的 Promise 拒绝', { error: reason });
     });
   }
   
@@ -259,36 +1019,97 @@ class MCPProxyServer {
     
     signals.forEach(signal => {
       process.on(signal, () => {
-        console.log(`收到 ${signal} 信号，开始优雅关闭...`);
+        log.info('收到信号，开始优雅关闭', { signal });
         this.gracefulShutdown(signal);
       });
     });
   }
   
+  /**
+   * 设置配置热加载（SIGHUP）
+   */
+  setupConfigReload() {
+    process.on('SIGHUP', () => {
+      log.info('收到 SIGHUP 信号，重新加载配置');
+      this.reloadConfig();
+    });
+  }
+  
+  /**
+   * 重新加载配置，无效配置不会被应用
+   */
+  reloadConfig() {
+    try {
+      const { config, changed, ignored } = reloadConfig(this.config);
+      
+      if (ignored.length > 0) {
+        log.warn('以下配置需要重启才能生效', { ignored });
+      }
+      
+      if (changed.length === 0) {
+        log.info('配置无变化');
+      } else {
+        this.config = config;
+        this.configureLogger(config);
+        this.configureTracing(config);
+        this.proxyManager.applyConfig(config);
+        this.authManager.monitoringToken = config.monitoringToken;
+        this.authManager.adminToken = config.adminToken;
+        log.info('配置已重新加载', { changed });
+      }
+      
+    } catch (error) {
+      log.error('配置重新加载失败，继续使用当前配置', { reason: error.message });
+    }
+    
+    // 服务器注册表与配置一起重新加载
+    try {
+      this.proxyManager.reloadRegistry();
+    } catch (error) {
+      log.error('服务器注册表重新加载失败，继续使用当前注册表', { reason: error.message });
+    }
+    
+    // 客户端凭据文件同样支持热加载
+    try {
+      this.authManager.reload();
+    } catch (error) {
+      log.error('认证配置重新加载失败，继续使用当前凭据', { reason: error.message });
+    }
+    
+    // 回放模式下重新读取 fixture（回放顺序从头开始）
+    try {
+      this.proxyManager.recorder.reload();
+    } catch (error) {
+      log.error('fixture 重新加载失败，继续使用当前 fixture', { reason: error.message });
+    }
+  }
+  
   /**
    * 优雅关闭服务器
    * @param {string} signal - 关闭信号
    */
   gracefulShutdown(signal) {
-    console.log(`开始优雅关闭 (${signal})...`);
+    log.info('开始优雅关闭', { signal });
     
     // 停止接受新连接
     if (this.server) {
       this.server.close(() => {
-        console.log('HTTP 服务器已关闭');
+        log.info('HTTP 服务器已关闭');
         
         // 清理代理管理器资源
         if (this.proxyManager) {
           this.proxyManager.cleanup();
         }
         
-        console.log('优雅关闭完成');
-        process.exit(0);
+        log.info('优雅关闭完成');
+        
+        // 导出剩余的 span 后退出
+        tracer.flush().finally(() => process.exit(0));
       });
       
       // 强制关闭超时
       setTimeout(() => {
-        console.error('强制关闭服务器');
+        log.error('强制关闭服务器');
         process.exit(1);
       }, 10000);
     } else {
@@ -301,26 +1122,23 @@ class MCPProxyServer {
    */
   start() {
     this.server = this.app.listen(this.port, '0.0.0.0', () => {
-      console.log('='.repeat(60));
-      console.log('🚀 MCP 代理服务器已启动');
-      console.log('='.repeat(60));
-      console.log(`📡 监听端口: ${this.port}`);
-      console.log(`🌍 服务地址: http://0.0.0.0:${this.port}`);
-      console.log(`📊 健康检查: http://0.0.0.0:${this.port}/health`);
-      console.log(`📈 状态监控: http://0.0.0.0:${this.port}/status`);
-      console.log('='.repeat(60));
-      console.log('💡 使用说明:');
-      console.log('   Dify URL: http://dify.ireborn.com.cn/mcp/server/{serverId}/mcp');
-      console.log('   代理 URL: http://your-domain.com/mcp/{serverId}');
-      console.log('='.repeat(60));
+      log.info('MCP 代理服务器已启动', {
+        port: this.port,
+        address: `http://0.0.0.0:${this.port}`,
+        health: `http://0.0.0.0:${this.port}/health`,
+        status: `http://0.0.0.0:${this.port}/status`,
+        metrics: `http://0.0.0.0:${this.port}/metrics`,
+        difyUrlFormat: 'http://dify.ireborn.com.cn/mcp/server/{serverId}/mcp',
+        proxyUrlFormat: 'http://your-domain.com/mcp/{serverId}'
+      });
     });
     
     // 服务器错误处理
     this.server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
-        console.error(`❌ 端口 ${this.port} 已被占用`);
+        log.error('端口已被占用', { port: this.port });
       } else {
-        console.error('❌ 服务器启动错误:', error);
+        log.error('服务器启动错误', { error });
       }
       process.exit(1);
     });
@@ -329,7 +1147,18 @@ class MCPProxyServer {
 
 // 启动服务器
 if (require.main === module) {
-  const server = new MCPProxyServer();
+  let server;
+  
+  try {
+    server = new MCPProxyServer();
+  } catch (error) {
+    if (['CONFIG_INVALID', 'REGISTRY_INVALID', 'AUTH_INVALID'].includes(error.code)) {
+      log.error('启动失败', { code: error.code, errors: error.errors });
+      process.exit(1);
+    }
+    throw error;
+  }
+  
   server.start();
 }
 
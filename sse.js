@@ -0,0 +1,230 @@
+/**
+ * MCP 代理服务器 SSE 模块
+ * 解析和生成 Server-Sent Events 帧，支持 MCP Streamable HTTP 传输
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const SSE_CONTENT_TYPE = 'text/event-stream';
+
+/**
+ * SSE 流解析器
+ * 按 WHATWG 规范增量解析事件，处理跨 chunk 的不完整行
+ */
+class SSEParser {
+  constructor() {
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+    this.resetEvent();
+  }
+
+  /**
+   * 重置当前正在组装的事件
+   */
+  resetEvent() {
+    this.event = {
+      id: undefined,
+      event: undefined,
+      data: [],
+      retry: undefined
+    };
+  }
+
+  /**
+   * 输入一段数据，返回已完整解析的事件
+   * @param {Buffer|string} chunk - 数据块
+   * @returns {Array<Object>} 事件列表
+   */
+  feed(chunk) {
+    // 多字节字符可能被拆分到两个 chunk 中
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    const events = [];
+    let newlineIndex;
+
+    while ((newlineIndex = this.buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // \r 可能是 \r\n 的前半部分，等待下一个 chunk 再判断
+      if (this.buffer[newlineIndex] === '\r' && newlineIndex === this.buffer.length - 1) {
+        break;
+      }
+
+      const line = this.buffer.slice(0, newlineIndex);
+      const newlineLength = this.buffer.startsWith('\r\n', newlineIndex) ? 2 : 1;
+      this.buffer = this.buffer.slice(newlineIndex + newlineLength);
+
+      const event = this.processLine(line);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * 处理单行数据
+   * @param {string} line - 一行文本
+   * @returns {Object|null} 空行时返回完整事件
+   */
+  processLine(line) {
+    if (line === '') {
+      return this.dispatch();
+    }
+
+    // 注释行（心跳）
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        this.event.data.push(value);
+        break;
+      case 'event':
+        this.event.event = value;
+        break;
+      case 'id':
+        this.event.id = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.event.retry = parseInt(value);
+        }
+        break;
+    }
+
+    return null;
+  }
+
+  /**
+   * 派发当前事件
+   * @returns {Object|null} 事件对象，无数据时返回 null
+   */
+  dispatch() {
+    const { id, event, data, retry } = this.event;
+    this.resetEvent();
+
+    if (data.length === 0) {
+      return null;
+    }
+
+    const result = {
+      event: event || 'message',
+      data: data.join('\n')
+    };
+
+    if (id !== undefined) result.id = id;
+    if (retry !== undefined) result.retry = retry;
+
+    // MCP 的 SSE 数据均为 JSON-RPC 消息
+    try {
+      result.message = JSON.parse(result.data);
+    } catch (error) {
+      result.message = null;
+    }
+
+    return result;
+  }
+}
+
+/**
+ * 将事件序列化为 SSE 帧
+ * @param {Object} event - 事件对象（event, id, data, retry）
+ * @returns {string} SSE 帧文本
+ */
+function formatSSEEvent(event) {
+  let frame = '';
+
+  if (event.id !== undefined) {
+    frame += `id: ${event.id}\n`;
+  }
+
+  if (event.event && event.event !== 'message') {
+    frame += `event: ${event.event}\n`;
+  }
+
+  if (event.retry !== undefined) {
+    frame += `retry: ${event.retry}\n`;
+  }
+
+  const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+  for (const line of data.split(/\r\n|\r|\n/)) {
+    frame += `data: ${line}\n`;
+  }
+
+  return frame + '\n';
+}
+
+/**
+ * 逐个读取 SSE 流中的事件
+ * @param {Readable} stream - 可读流
+ * @param {Function} onEvent - 每个事件的回调，返回 false 时停止读取
+ * @returns {Promise<void>} 流结束时完成
+ */
+async function readSSEStream(stream, onEvent) {
+  const parser = new SSEParser();
+
+  for await (const chunk of stream) {
+    for (const event of parser.feed(chunk)) {
+      if (await onEvent(event) === false) {
+        stream.destroy();
+        return;
+      }
+    }
+  }
+
+  // 流末尾没有空行时，补齐最后一个事件
+  for (const event of parser.feed('\n\n')) {
+    await onEvent(event);
+  }
+}
+
+/**
+ * 读取完整的流内容
+ * @param {Readable} stream - 可读流
+ * @returns {Promise<string>} 文本内容
+ */
+async function readStreamBody(stream) {
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 检查 Accept 头是否接受 SSE
+ * @param {string} accept - Accept 请求头
+ * @returns {boolean} 是否接受 SSE
+ */
+function acceptsEventStream(accept) {
+  return typeof accept === 'string' && accept.toLowerCase().includes(SSE_CONTENT_TYPE);
+}
+
+/**
+ * 检查 Content-Type 是否为 SSE
+ * @param {string} contentType - Content-Type 响应头
+ * @returns {boolean} 是否为 SSE
+ */
+function isEventStream(contentType) {
+  return typeof contentType === 'string' && contentType.toLowerCase().startsWith(SSE_CONTENT_TYPE);
+}
+
+module.exports = {
+  SSE_CONTENT_TYPE,
+  SSEParser,
+  formatSSEEvent,
+  readSSEStream,
+  readStreamBody,
+  acceptsEventStream,
+  isEventStream
+};
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { AuditLog, hashArguments } = require('../audit');
+const { tempDir } = require('./helpers');
+
+function entry(index) {
+  return {
+    requestId: `req-${index}`,
+    serverId: 'orders',
+    tool: 'search_orders',
+    arguments: { orderId: index },
+    outcome: 'success',
+    latency: 10
+  };
+}
+
+test('参数摘要不受字段顺序影响', () => {
+  assert.strictEqual(hashArguments({ a: 1, b: { c: 2, d: 3 } }), hashArguments({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notStrictEqual(hashArguments({ a: 1 }), hashArguments({ a: 2 }));
+  assert.match(hashArguments({}), /^sha256:[0-9a-f]{64}$/);
+});
+
+test('文件超过大小上限后轮转到同一天的下一个文件', async (t) => {
+  const dir = tempDir(t, 'mcp-audit-');
+  const audit = new AuditLog({ enabled: true, dir, maxFileSize: 300 });
+  const today = new Date().toISOString().slice(0, 10);
+
+  for (let i = 0; i < 6; i++) {
+    audit.record(entry(i));
+  }
+  await audit.flush();
+
+  const files = audit.listFiles();
+  assert.ok(files.length > 1);
+  assert.deepStrictEqual(files.map(file => file.date), files.map(() => today));
+  assert.deepStrictEqual(files.map(file => file.index), files.map((file, index) => index));
+  assert.strictEqual(path.basename(files[0].path), `audit-${today}.jsonl`);
+  assert.strictEqual(path.basename(files[1].path), `audit-${today}.1.jsonl`);
+  assert.strictEqual(audit.stats.rotations, files.length - 1);
+
+  // 检索跨文件按时间倒序返回
+  const { records, total } = await audit.search({ serverId: 'orders' }, 100);
+  assert.strictEqual(total, 6);
+  assert.deepStrictEqual(records.map(record => record.requestId), ['req-5', 'req-4', 'req-3', 'req-2', 'req-1', 'req-0']);
+
+  audit.close();
+});
+
+test('重启后接着写当天最后一个未满的文件', async (t) => {
+  const dir = tempDir(t, 'mcp-audit-');
+  const today = new Date().toISOString().slice(0, 10);
+
+  const first = new AuditLog({ enabled: true, dir, maxFileSize: 10000 });
+  first.record(entry(0));
+  await first.flush();
+  first.close();
+
+  const second = new AuditLog({ enabled: true, dir, maxFileSize: 10000 });
+  second.record(entry(1));
+  await second.flush();
+
+  assert.deepStrictEqual(second.listFiles().map(file => path.basename(file.path)), [`audit-${today}.jsonl`]);
+  assert.strictEqual((await second.search({}, 10)).total, 2);
+  assert.strictEqual(second.stats.rotations, 0);
+
+  second.close();
+});
+
+test('删除超过保留天数的文件', async (t) => {
+  const dir = tempDir(t, 'mcp-audit-');
+  const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const recent = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  fs.writeFileSync(path.join(dir, `audit-${old}.jsonl`), '');
+  fs.writeFileSync(path.join(dir, `audit-${old}.1.jsonl`), '');
+  fs.writeFileSync(path.join(dir, `audit-${recent}.jsonl`), '');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+  const audit = new AuditLog({ enabled: true, dir, retentionDays: 7 });
+  audit.record(entry(0));
+  await audit.flush();
+
+  assert.strictEqual(audit.stats.removedFiles, 2);
+  assert.deepStrictEqual(audit.listFiles().map(file => file.date), [recent, new Date().toISOString().slice(0, 10)]);
+  assert.ok(fs.existsSync(path.join(dir, 'notes.txt')));
+
+  audit.close();
+});
+
+test('redacted 模式隐去敏感字段，hash 模式只记录摘要', async (t) => {
+  const dir = tempDir(t, 'mcp-audit-');
+  const audit = new AuditLog({ enabled: true, dir, arguments: 'redacted', redactFields: ['password'] });
+
+  audit.record({ ...entry(0), arguments: { user: 'u1', auth: { password: 'secret' } } });
+  audit.configure({ arguments: 'hash' });
+  audit.record(entry(1));
+
+  const { records } = await audit.search({}, 10);
+  assert.deepStrictEqual(records[1].arguments, { user: 'u1', auth: { password: '[REDACTED]' } });
+  assert.strictEqual(records[0].arguments, undefined);
+  assert.strictEqual(records[0].argumentsHash, hashArguments({ orderId: 1 }));
+
+  audit.close();
+});
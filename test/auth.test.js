@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AuthManager = require('../auth');
+const { tempDir } = require('./helpers');
+
+const SECRET = 'hmac-secret-0123456789';
+const API_KEY = 'api-key-0123456789abcdef';
+
+/**
+ * 写入凭据文件并创建认证管理器
+ * @param {Object} t - 测试上下文
+ * @param {Object} options - 额外的认证选项
+ * @returns {AuthManager} 认证管理器
+ */
+function createAuth(t, options = {}) {
+  const file = path.join(tempDir(t, 'mcp-auth-'), 'clients.json');
+  fs.writeFileSync(file, JSON.stringify({
+    clients: [
+      { id: 'sales-bot', apiKey: API_KEY, servers: ['sales-assistant'], rateLimit: 30 },
+      { id: 'signer', hmacSecret: SECRET, servers: ['*'] }
+    ]
+  }));
+
+  const auth = new AuthManager({ enabled: true, clientsFile: file, hmacWindow: 300, ...options });
+  t.after(() => auth.nonces.close());
+  return auth;
+}
+
+/**
+ * 构造带有指定请求头的 Express 风格请求
+ * @param {Object} headers - 请求头
+ * @param {string} body - 原始请求体
+ * @returns {Object} 请求
+ */
+function request(headers, body = '{"jsonrpc":"2.0","id":1,"method":"ping"}') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    method: 'post',
+    originalUrl: '/mcp/sales-assistant',
+    rawBody: Buffer.from(body),
+    get: name => lower[name.toLowerCase()]
+  };
+}
+
+/**
+ * 按文档中的签名规则生成签名请求
+ * @param {Object} overrides - 覆盖的签名字段（timestamp、nonce、body、signature）
+ * @returns {Object} 请求
+ */
+function signedRequest(overrides = {}) {
+  const timestamp = overrides.timestamp ?? String(Math.floor(Date.now() / 1000));
+  const nonce = overrides.nonce ?? crypto.randomUUID();
+  const body = overrides.body ?? '{"jsonrpc":"2.0","id":1,"method":"ping"}';
+  const payload = [
+    timestamp,
+    nonce,
+    'POST',
+    '/mcp/sales-assistant',
+    crypto.createHash('sha256').update(overrides.signedBody ?? body).digest('hex')
+  ].join('\n');
+  const signature = overrides.signature ?? crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+
+  return request({ 'X-Client-Id': 'signer', 'X-Timestamp': timestamp, 'X-Nonce': nonce, 'X-Signature': signature }, body);
+}
+
+test('API Key 认证并检查可访问的服务器', (t) => {
+  const auth = createAuth(t);
+
+  assert.deepStrictEqual(
+    auth.authenticate(request({ Authorization: `Bearer ${API_KEY}` }), ['sales-assistant']),
+    { id: 'sales-bot', rateLimit: 30 }
+  );
+  assert.strictEqual(auth.authenticate(request({ 'X-API-Key': API_KEY }), ['alias', 'sales-assistant']).id, 'sales-bot');
+
+  assert.throws(() => auth.authenticate(request({ 'X-API-Key': API_KEY }), ['hr-assistant']), { code: 'FORBIDDEN' });
+  assert.throws(() => auth.authenticate(request({ 'X-API-Key': 'wrong-key-0123456789' }), ['sales-assistant']), { code: 'UNAUTHORIZED' });
+  assert.throws(() => auth.authenticate(request({}), ['sales-assistant']), { code: 'UNAUTHORIZED' });
+});
+
+test('有效签名通过，同一 nonce 不能重复使用', (t) => {
+  const auth = createAuth(t);
+  const nonce = crypto.randomUUID();
+
+  assert.strictEqual(auth.verifySignature(signedRequest({ nonce })).id, 'signer');
+  assert.throws(() => auth.verifySignature(signedRequest({ nonce })), { code: 'UNAUTHORIZED', message: /nonce/ });
+  assert.strictEqual(auth.stats.replays, 1);
+});
+
+test('时间戳超出允许范围或格式错误时拒绝', (t) => {
+  const auth = createAuth(t);
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.strictEqual(auth.verifySignature(signedRequest({ timestamp: String(now - 290) })).id, 'signer');
+  assert.throws(() => auth.verifySignature(signedRequest({ timestamp: String(now - 310) })), { message: /时间戳/ });
+  assert.throws(() => auth.verifySignature(signedRequest({ timestamp: String(now + 310) })), { message: /时间戳/ });
+  assert.throws(() => auth.verifySignature(signedRequest({ timestamp: `${now}.5` })), { message: /时间戳/ });
+});
+
+test('签名不匹配或不是十六进制时拒绝，且不占用 nonce', (t) => {
+  const auth = createAuth(t);
+  const nonce = crypto.randomUUID();
+  const valid = signedRequest({ nonce }).get('X-Signature');
+
+  // 请求体被篡改
+  assert.throws(() => auth.verifySignature(signedRequest({ nonce, body: '{"tampered":true}', signedBody: '{}' })), { message: '签名无效' });
+  // 非十六进制字符
+  assert.throws(() => auth.verifySignature(signedRequest({ nonce, signature: 'zz'.repeat(32) })), { message: '签名无效' });
+  // 有效签名后追加非十六进制字符
+  assert.throws(() => auth.verifySignature(signedRequest({ nonce, signature: `${valid}zz` })), { message: '签名无效' });
+  // 长度不符
+  assert.throws(() => auth.verifySignature(signedRequest({ nonce, signature: valid.slice(0, 32) })), { message: '签名无效' });
+
+  assert.strictEqual(auth.verifySignature(signedRequest({ nonce })).id, 'signer');
+});
+
+test('签名请求缺少字段或客户端未知时拒绝', (t) => {
+  const auth = createAuth(t);
+
+  assert.throws(() => auth.verifySignature(request({ 'X-Signature': 'ab' })), { message: /缺少/ });
+  assert.throws(
+    () => auth.verifySignature(request({ 'X-Client-Id': 'sales-bot', 'X-Timestamp': '1', 'X-Nonce': 'n', 'X-Signature': 'ab' })),
+    { message: /未知的签名客户端/ }
+  );
+});
+
+test('启用认证但未设置监控令牌时不公开监控信息', (t) => {
+  const auth = createAuth(t);
+  assert.strictEqual(auth.canAccessMonitoring(request({})), false);
+
+  const withToken = createAuth(t, { monitoringToken: 'monitor-token' });
+  assert.strictEqual(withToken.canAccessMonitoring(request({ 'X-Monitoring-Token': 'monitor-token' })), true);
+  assert.strictEqual(withToken.canAccessMonitoring(request({ Authorization: 'Bearer wrong' })), false);
+
+  const open = new AuthManager({});
+  t.after(() => open.nonces.close());
+  assert.strictEqual(open.canAccessMonitoring(request({})), true);
+});
+
+test('凭据文件无效时列出所有问题', (t) => {
+  const file = path.join(tempDir(t, 'mcp-auth-'), 'clients.json');
+  fs.writeFileSync(file, JSON.stringify({ clients: [{ id: 'a', apiKey: 'short', servers: 'x' }, { id: 'a', hmacSecret: SECRET, servers: [] }] }));
+
+  assert.throws(() => new AuthManager({ enabled: true, clientsFile: file }), (error) => {
+    assert.strictEqual(error.code, 'AUTH_INVALID');
+    assert.deepStrictEqual(error.errors, [
+      'clients[0].apiKey 必须是至少 16 个字符的字符串',
+      'clients[0].servers 必须是字符串数组（"*" 表示所有服务器）',
+      'clients[1].id "a" 重复'
+    ]);
+    return true;
+  });
+});
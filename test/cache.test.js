@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CacheManager = require('../cache');
+require('./helpers');
+
+/**
+ * 创建使用进程内存储的缓存管理器，测试结束后关闭存储
+ * @param {Object} t - 测试上下文
+ * @param {Object} options - 缓存选项
+ * @returns {CacheManager} 缓存管理器
+ */
+function createCache(t, options = {}) {
+  const cache = new CacheManager({ backend: 'memory', ttlToolsList: 60, staleWhileRevalidate: 30, staleIfError: 300, ...options });
+  t.after(() => cache.close());
+  return cache;
+}
+
+/**
+ * 让 Date.now 返回可控的时间
+ * @param {Object} t - 测试上下文
+ * @returns {Object} 时钟，修改 now 即可推进时间
+ */
+function useClock(t) {
+  const clock = { now: Date.now() };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+const listRequest = { jsonrpc: '2.0', id: 1, method: 'tools/list' };
+const listResponse = { jsonrpc: '2.0', id: 1, result: { tools: [{ name: 'search' }] } };
+
+test('过期后依次进入 stale、expired 状态，超过宽限期后不再返回', async (t) => {
+  const clock = useClock(t);
+  const cache = createCache(t);
+
+  await cache.set('orders', listRequest, listResponse);
+  assert.deepStrictEqual(await cache.lookup('orders', listRequest), { response: listResponse, state: 'fresh', age: 0 });
+
+  clock.now += 70 * 1000;
+  const stale = await cache.lookup('orders', listRequest);
+  assert.strictEqual(stale.state, 'stale');
+  assert.strictEqual(stale.age, 10);
+  assert.strictEqual(await cache.get('orders', listRequest), null);
+
+  clock.now += 100 * 1000;
+  const expired = await cache.lookup('orders', listRequest);
+  assert.strictEqual(expired.state, 'expired');
+  assert.strictEqual(expired.age, 110);
+
+  clock.now += 300 * 1000;
+  assert.strictEqual(await cache.lookup('orders', listRequest), null);
+  assert.deepStrictEqual(
+    { hits: cache.stats.hits, stale: cache.stats.stale, misses: cache.stats.misses },
+    { hits: 1, stale: 2, misses: 2 }
+  );
+});
+
+test('错误响应和不缓存的方法不写入缓存', async (t) => {
+  const cache = createCache(t);
+  const call = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'search' } };
+
+  await cache.set('orders', listRequest, { jsonrpc: '2.0', id: 1, error: { code: -32001, message: 'down' } });
+  await cache.set('orders', call, { jsonrpc: '2.0', id: 1, result: {} });
+
+  assert.strictEqual(await cache.peek('orders', listRequest), null);
+  assert.strictEqual(await cache.peek('orders', call), null);
+  assert.strictEqual(cache.stats.sets, 0);
+});
+
+test('服务器单独设置的缓存时间覆盖全局配置', async (t) => {
+  const clock = useClock(t);
+  const cache = createCache(t);
+  cache.setServerTTL('orders', { 'tools/list': 5 });
+
+  await cache.set('orders', listRequest, listResponse);
+  await cache.set('billing', listRequest, listResponse);
+
+  clock.now += 10 * 1000;
+  assert.strictEqual((await cache.lookup('orders', listRequest)).state, 'stale');
+  assert.strictEqual((await cache.lookup('billing', listRequest)).state, 'fresh');
+
+  cache.setServerTTL('orders', { 'tools/list': 0 });
+  assert.strictEqual(await cache.lookup('orders', listRequest), null);
+});
+
+test('同一个键同时只有一次后台刷新，刷新失败不影响后续刷新', async (t) => {
+  const cache = createCache(t);
+  let release;
+  let refreshes = 0;
+
+  const refresh = () => {
+    refreshes++;
+    return new Promise((resolve, reject) => { release = reject; });
+  };
+
+  assert.strictEqual(cache.revalidate('orders', listRequest, refresh), true);
+  assert.strictEqual(cache.revalidate('orders', listRequest, refresh), false);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(refreshes, 1);
+  assert.strictEqual(cache.getStats().revalidating, 1);
+
+  release(new Error('upstream down'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(cache.getStats().revalidating, 0);
+
+  assert.strictEqual(cache.revalidate('orders', listRequest, async () => {}), true);
+  assert.strictEqual(cache.stats.revalidations, 2);
+});
+
+test('没有过期时间的旧数据按未过期处理', async (t) => {
+  const cache = createCache(t);
+  const key = cache.generateCacheKey('orders', listRequest);
+  await cache.store.set(key, listResponse, 60);
+
+  assert.deepStrictEqual(await cache.lookup('orders', listRequest), { response: listResponse, state: 'fresh', age: 0 });
+  assert.deepStrictEqual(await cache.peek('orders', listRequest), listResponse);
+});
+
+test('相同的并发请求共用一次上游调用', async (t) => {
+  const cache = createCache(t);
+  let calls = 0;
+  let release;
+  const execute = () => {
+    calls++;
+    return new Promise(resolve => { release = resolve; });
+  };
+
+  const first = cache.coalesce('orders', listRequest, execute);
+  const second = cache.coalesce('orders', { ...listRequest, id: 2 }, execute);
+  const other = cache.coalesce('billing', listRequest, async () => 'billing');
+  await new Promise(resolve => setImmediate(resolve));
+
+  release(listResponse);
+  assert.deepStrictEqual(await first, { value: listResponse, shared: false });
+  assert.deepStrictEqual(await second, { value: listResponse, shared: true });
+  assert.deepStrictEqual(await other, { value: 'billing', shared: false });
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(cache.getStats().coalesceRate, '33.33%');
+
+  // 完成后的请求重新调用上游
+  const again = cache.coalesce('orders', listRequest, execute);
+  await new Promise(resolve => setImmediate(resolve));
+  release(listResponse);
+  assert.deepStrictEqual(await again, { value: listResponse, shared: false });
+  assert.strictEqual(calls, 2);
+});
+
+test('参数不同的请求不合并', async (t) => {
+  const cache = createCache(t);
+  let calls = 0;
+  const execute = async () => ++calls;
+
+  const results = await Promise.all([
+    cache.coalesce('orders', { ...listRequest, params: { cursor: 'a' } }, execute),
+    cache.coalesce('orders', { ...listRequest, params: { cursor: 'b' } }, execute)
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.shared), [false, false]);
+  assert.strictEqual(calls, 2);
+});
+
+test('共用的调用失败时所有等待的请求都收到错误，之后可以重新调用', async (t) => {
+  const cache = createCache(t);
+  let reject;
+  const failing = () => new Promise((resolve, fail) => { reject = fail; });
+
+  const first = cache.coalesce('orders', listRequest, failing);
+  const second = cache.coalesce('orders', listRequest, failing);
+  await new Promise(resolve => setImmediate(resolve));
+
+  reject(new Error('upstream down'));
+  await assert.rejects(first, /upstream down/);
+  await assert.rejects(second, /upstream down/);
+  assert.strictEqual(cache.getStats().inflight, 0);
+
+  assert.deepStrictEqual(await cache.coalesce('orders', listRequest, async () => listResponse), { value: listResponse, shared: false });
+});
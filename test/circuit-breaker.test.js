@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, classifyError } = require('../circuit-breaker');
+require('./helpers');
+
+/**
+ * 创建带有指定 code 或 HTTP 状态码的错误
+ * @param {Object} options - { code, status }
+ * @returns {Error} 错误
+ */
+function upstreamError({ code, status } = {}) {
+  const error = new Error('upstream error');
+  error.code = code;
+  if (status) {
+    error.response = { status };
+  }
+  return error;
+}
+
+/**
+ * 让 Date.now 返回可控的时间
+ * @param {Object} t - 测试上下文
+ * @returns {Object} 时钟，修改 now 即可推进时间
+ */
+function useClock(t) {
+  const clock = { now: 1000000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+function succeed(breaker) {
+  return breaker.execute(async () => 'ok');
+}
+
+function fail(breaker, error = upstreamError({ status: 502 })) {
+  return assert.rejects(breaker.execute(async () => { throw error; }));
+}
+
+test('classifyError 区分超时、失败、忽略和无关错误', () => {
+  assert.strictEqual(classifyError(upstreamError({ code: 'ECONNABORTED' })), 'timeout');
+  assert.strictEqual(classifyError(upstreamError({ status: 504 })), 'timeout');
+  assert.strictEqual(classifyError(upstreamError({ status: 502 })), 'failure');
+  assert.strictEqual(classifyError(upstreamError({ status: 429 })), 'failure');
+  assert.strictEqual(classifyError(upstreamError({ code: 'ECONNREFUSED' })), 'failure');
+  assert.strictEqual(classifyError(upstreamError({ status: 400 })), 'ignored');
+  assert.strictEqual(classifyError(upstreamError({ code: 'REPLAY_MISS' })), 'ignored');
+  assert.strictEqual(classifyError(upstreamError({ code: 'CIRCUIT_BREAKER_OPEN' })), 'neutral');
+  assert.strictEqual(classifyError(upstreamError({ code: 'ERR_CANCELED' })), 'neutral');
+});
+
+test('窗口内失败次数和错误率都达到阈值时熔断', async (t) => {
+  useClock(t);
+  const breaker = new CircuitBreaker('a', { failureThreshold: 3, errorRateThreshold: 50, minimumRequests: 4 });
+
+  await succeed(breaker);
+  await fail(breaker);
+  await fail(breaker);
+  assert.strictEqual(breaker.state, 'CLOSED');
+
+  await fail(breaker);
+  assert.strictEqual(breaker.state, 'OPEN');
+  assert.strictEqual(breaker.lastTripReason, 'error_rate');
+
+  await assert.rejects(succeed(breaker), { code: 'CIRCUIT_BREAKER_OPEN' });
+});
+
+test('错误率低于阈值时不熔断', async (t) => {
+  useClock(t);
+  const breaker = new CircuitBreaker('a', { failureThreshold: 3, errorRateThreshold: 50, minimumRequests: 4 });
+
+  for (let i = 0; i < 4; i++) {
+    await succeed(breaker);
+  }
+  for (let i = 0; i < 3; i++) {
+    await fail(breaker);
+  }
+
+  assert.strictEqual(breaker.state, 'CLOSED');
+  assert.strictEqual(breaker.getWindow().errorRate, 42.86);
+});
+
+test('滑出窗口的失败不再计入', async (t) => {
+  const clock = useClock(t);
+  const breaker = new CircuitBreaker('a', {
+    failureThreshold: 3,
+    errorRateThreshold: 50,
+    minimumRequests: 3,
+    monitoringPeriod: 10000
+  });
+
+  await fail(breaker);
+  await fail(breaker);
+  assert.strictEqual(breaker.getWindow().failures, 2);
+
+  // 窗口分成 10 个桶，每个桶 1 秒；刚好一个窗口之后，最早的桶滑出
+  clock.now += 10000;
+  assert.strictEqual(breaker.getWindow().failures, 0);
+
+  await fail(breaker);
+  assert.strictEqual(breaker.state, 'CLOSED');
+  assert.strictEqual(breaker.getWindow().failures, 1);
+
+  // 窗口内的失败逐桶累计
+  clock.now += 5000;
+  await fail(breaker);
+  assert.strictEqual(breaker.getWindow().failures, 2);
+  assert.strictEqual(breaker.state, 'CLOSED');
+
+  await fail(breaker);
+  assert.strictEqual(breaker.state, 'OPEN');
+});
+
+test('超时次数达到 timeoutThreshold 时单独熔断', async (t) => {
+  useClock(t);
+  const breaker = new CircuitBreaker('a', { failureThreshold: 10, minimumRequests: 10, timeoutThreshold: 2 });
+
+  for (let i = 0; i < 5; i++) {
+    await succeed(breaker);
+  }
+  await fail(breaker, upstreamError({ code: 'ECONNABORTED' }));
+  assert.strictEqual(breaker.state, 'CLOSED');
+
+  await fail(breaker, upstreamError({ status: 504 }));
+  assert.strictEqual(breaker.state, 'OPEN');
+  assert.strictEqual(breaker.lastTripReason, 'timeouts');
+});
+
+test('无关错误不计入窗口，忽略的错误按成功计入', async (t) => {
+  useClock(t);
+  const breaker = new CircuitBreaker('a', { failureThreshold: 1, errorRateThreshold: 50, minimumRequests: 1 });
+
+  await fail(breaker, upstreamError({ code: 'CIRCUIT_BREAKER_OPEN' }));
+  await fail(breaker, upstreamError({ code: 'ERR_CANCELED' }));
+  assert.deepStrictEqual(breaker.getWindow(), { requests: 0, failures: 0, timeouts: 0, errorRate: 0 });
+  assert.strictEqual(breaker.stats.totalNeutral, 2);
+
+  await fail(breaker, upstreamError({ status: 404 }));
+  assert.deepStrictEqual(breaker.getWindow(), { requests: 1, failures: 0, timeouts: 0, errorRate: 0 });
+  assert.strictEqual(breaker.stats.totalIgnored, 1);
+  assert.strictEqual(breaker.state, 'CLOSED');
+});
+
+test('半开探测成功后关闭，探测失败后按退避时间重新打开', async (t) => {
+  const clock = useClock(t);
+  const breaker = new CircuitBreaker('a', {
+    failureThreshold: 1,
+    minimumRequests: 1,
+    recoveryTimeout: 1000
+  });
+
+  await fail(breaker);
+  assert.strictEqual(breaker.state, 'OPEN');
+  assert.strictEqual(breaker.nextAttempt, clock.now + 1000);
+
+  clock.now += 1000;
+  await fail(breaker);
+  assert.strictEqual(breaker.state, 'OPEN');
+  assert.strictEqual(breaker.lastTripReason, 'probe_failed');
+  assert.strictEqual(breaker.nextAttempt, clock.now + 2000);
+
+  clock.now += 2000;
+  await succeed(breaker);
+  assert.strictEqual(breaker.state, 'CLOSED');
+  assert.strictEqual(breaker.consecutiveTrips, 0);
+});
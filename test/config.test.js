@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG_SCHEMA, loadConfig, reloadConfig } = require('../config');
+require('./helpers');
+
+test('未设置的配置项使用默认值，结果不可修改', () => {
+  const config = loadConfig({});
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    assert.deepStrictEqual(config[key], spec.default, key);
+  }
+  assert.ok(Object.isFrozen(config));
+});
+
+test('按类型解析环境变量', () => {
+  const config = loadConfig({
+    PORT: ' 8080 ',
+    CACHE_ENABLED: 'off',
+    TRACING_SAMPLE_RATE: '0.25',
+    LOG_REDACT_FIELDS: 'arguments, token,,',
+    DIFY_BASE_URL: 'https://dify.example.com/',
+    DIFY_UPSTREAMS: 'http://a.example.com|3, http://b.example.com',
+    CACHE_BACKEND: 'redis',
+    CACHE_REDIS_URL: 'rediss://cache.example.com:6380/1'
+  });
+
+  assert.strictEqual(config.port, 8080);
+  assert.strictEqual(config.cacheEnabled, false);
+  assert.strictEqual(config.tracingSampleRate, 0.25);
+  assert.deepStrictEqual(config.logRedactFields, ['arguments', 'token']);
+  assert.strictEqual(config.difyBaseUrl, 'https://dify.example.com');
+  assert.deepStrictEqual(config.difyUpstreams, [
+    { url: 'http://a.example.com', weight: 3 },
+    { url: 'http://b.example.com', weight: 1 }
+  ]);
+  assert.strictEqual(config.cacheRedisUrl, 'rediss://cache.example.com:6380/1');
+});
+
+test('一次列出所有无效的配置项', () => {
+  assert.throws(() => loadConfig({
+    PORT: '70000',
+    CACHE_ENABLED: 'maybe',
+    LOG_LEVEL: 'verbose',
+    DIFY_BASE_URL: 'ftp://dify.example.com',
+    DIFY_UPSTREAMS: 'http://a.example.com|0',
+    REQUEST_TIMEOUT: '1.5'
+  }), (error) => {
+    assert.strictEqual(error.code, 'CONFIG_INVALID');
+    assert.deepStrictEqual(error.errors, [
+      'PORT 不能大于 65535，当前值: "70000"',
+      'LOG_LEVEL 必须是 debug、info、warn、error 之一，当前值: "verbose"',
+      'REQUEST_TIMEOUT 必须是整数，当前值: "1.5"',
+      'CACHE_ENABLED 必须是 true 或 false，当前值: "maybe"',
+      'DIFY_BASE_URL 必须以 http:// 或 https:// 开头，当前值: "ftp://dify.example.com"',
+      'DIFY_UPSTREAMS 中 http://a.example.com 的权重不能小于 1，当前值: "http://a.example.com|0"'
+    ]);
+    return true;
+  });
+});
+
+test('检查配置项之间的约束', () => {
+  assert.throws(() => loadConfig({ ASYNC_DEADLINE: '40000', ASYNC_JOB_TIMEOUT: '30000' }), {
+    errors: ['ASYNC_DEADLINE (40000) 必须小于 ASYNC_JOB_TIMEOUT (30000)']
+  });
+  assert.throws(() => loadConfig({ RETRY_DELAY: '5000' }), {
+    errors: ['RETRY_DELAY (5000) 不能大于 MAX_RETRY_DELAY (3000)']
+  });
+  assert.throws(() => loadConfig({ AUTH_ENABLED: 'true', CACHE_BACKEND: 'redis' }), {
+    errors: ['AUTH_ENABLED 为 true 时必须设置 AUTH_CLIENTS_FILE', 'CACHE_BACKEND 为 redis 时必须设置 CACHE_REDIS_URL']
+  });
+});
+
+test('热加载只应用可热加载的配置项', () => {
+  const current = loadConfig({ REQUEST_TIMEOUT: '35000', PORT: '3000' });
+
+  const { config, changed, ignored } = reloadConfig(current, {
+    REQUEST_TIMEOUT: '20000',
+    LOG_REDACT_FIELDS: 'arguments,result,response_data',
+    PORT: '4000',
+    ASYNC_MAX_JOBS: '50'
+  });
+
+  assert.deepStrictEqual(changed, ['requestTimeout']);
+  assert.deepStrictEqual(ignored, ['PORT', 'ASYNC_MAX_JOBS']);
+  assert.strictEqual(config.requestTimeout, 20000);
+  assert.strictEqual(config.port, 3000);
+  assert.strictEqual(config.asyncMaxJobs, 1000);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('热加载的新配置无效时抛出错误', () => {
+  const current = loadConfig({});
+
+  assert.throws(() => reloadConfig(current, { MAX_CONCURRENT_REQUESTS: '0' }), { code: 'CONFIG_INVALID' });
+});
@@ -0,0 +1,24 @@
+/**
+ * 测试公用工具：测试期间只输出错误日志，临时目录在测试结束后删除
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../logger');
+
+logger.configure({ level: 'error' });
+
+/**
+ * 创建临时目录，测试结束后删除
+ * @param {Object} t - 测试上下文
+ * @param {string} prefix - 目录名前缀
+ * @returns {string} 目录路径
+ */
+function tempDir(t, prefix = 'mcp-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { tempDir };
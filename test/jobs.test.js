@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JobManager = require('../jobs');
+require('./helpers');
+
+/**
+ * 创建任务管理器，测试结束后停止过期检查定时器
+ * @param {Object} t - 测试上下文
+ * @param {Object} options - 任务选项
+ * @returns {JobManager} 任务管理器
+ */
+function createManager(t, options = {}) {
+  const manager = new JobManager({ deadline: 20, ...options });
+  t.after(() => manager.jobs.close());
+  return manager;
+}
+
+/**
+ * 创建由测试控制完成时机的执行
+ * @returns {Object} { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((done, fail) => {
+    resolve = done;
+    reject = fail;
+  });
+  return { promise, resolve, reject };
+}
+
+function callTool(id, name = 'slow_report') {
+  return { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: {} } };
+}
+
+function jobCall(id, jobId) {
+  return { jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'proxy_get_job_result', arguments: { job_id: jobId } } };
+}
+
+const done = (id, text) => ({ jsonrpc: '2.0', id, result: { content: [{ type: 'text', text }] } });
+
+test('时限内完成时直接返回结果，不创建任务', async (t) => {
+  const manager = createManager(t);
+
+  const response = await manager.runWithDeadline('orders', callTool(1), Promise.resolve(done(1, 'fast')));
+
+  assert.deepStrictEqual(response, done(1, 'fast'));
+  assert.strictEqual(manager.stats.created, 0);
+});
+
+test('时限从请求开始计算，包含之前已经用掉的时间', async (t) => {
+  const manager = createManager(t, { deadline: 1000 });
+  const execution = deferred();
+
+  const response = await manager.runWithDeadline('orders', callTool(1), execution.promise, Date.now() - 1000);
+
+  assert.strictEqual(response.result._meta.status, 'pending');
+  execution.resolve(done(1, 'late'));
+});
+
+test('超过时限转为后台任务，完成后通过配套工具获取结果', async (t) => {
+  const manager = createManager(t);
+  const execution = deferred();
+
+  const pending = await manager.runWithDeadline('orders', callTool(1), execution.promise);
+  const jobId = pending.result._meta.jobId;
+  assert.strictEqual(pending.id, 1);
+  assert.strictEqual(pending.result.isError, false);
+  assert.match(pending.result.content[0].text, /proxy_get_job_result/);
+
+  // 仍在执行中：最多再等待一个时限后返回"处理中"
+  const stillPending = await manager.handleToolCall('orders', jobCall(2, jobId));
+  assert.strictEqual(stillPending.id, 2);
+  assert.strictEqual(stillPending.result._meta.status, 'pending');
+
+  execution.resolve(done(1, 'report ready'));
+  const result = await manager.handleToolCall('orders', jobCall(3, jobId));
+  assert.deepStrictEqual(result, done(3, 'report ready'));
+  assert.strictEqual(manager.getJob(jobId).status, 'completed');
+  assert.strictEqual(manager.stats.fetched, 1);
+});
+
+test('配套工具在等待期间任务完成时立即返回', async (t) => {
+  const manager = createManager(t, { deadline: 10 });
+  const execution = deferred();
+
+  const pending = await manager.runWithDeadline('orders', callTool(1), execution.promise);
+  manager.deadline = 1000;
+  setTimeout(() => execution.resolve(done(1, 'ready')), 20);
+
+  const started = Date.now();
+  const result = await manager.handleToolCall('orders', jobCall(2, pending.result._meta.jobId));
+  assert.deepStrictEqual(result, done(2, 'ready'));
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('执行失败的任务返回 JSON-RPC 错误', async (t) => {
+  const manager = createManager(t);
+  const execution = deferred();
+
+  const pending = await manager.runWithDeadline('orders', callTool(1), execution.promise);
+  execution.reject(new Error('upstream exploded'));
+
+  const result = await manager.handleToolCall('orders', jobCall(2, pending.result._meta.jobId));
+  assert.deepStrictEqual(result, { jsonrpc: '2.0', id: 2, error: { code: -32603, message: 'upstream exploded' } });
+  assert.strictEqual(manager.stats.failed, 1);
+});
+
+test('任务不存在或属于其他服务器时按已过期处理', async (t) => {
+  const manager = createManager(t);
+  const execution = deferred();
+
+  const pending = await manager.runWithDeadline('orders', callTool(1), execution.promise);
+  const jobId = pending.result._meta.jobId;
+
+  for (const [serverId, id] of [['billing', jobId], ['orders', 'no-such-job'], ['orders', undefined]]) {
+    const result = await manager.handleToolCall(serverId, jobCall(2, id));
+    assert.strictEqual(result.result.isError, true);
+    assert.match(result.result.content[0].text, /不存在或已过期/);
+  }
+
+  execution.resolve(done(1, 'ok'));
+});
+
+test('执行中的任务不过期，结束后才开始计算保留时间', async (t) => {
+  const manager = createManager(t, { resultTTL: 60 });
+  const execution = deferred();
+
+  const pending = await manager.runWithDeadline('orders', callTool(1), execution.promise);
+  const jobId = pending.result._meta.jobId;
+  assert.strictEqual(manager.jobs.getTtl(jobId), 0);
+
+  execution.resolve(done(1, 'ok'));
+  await manager.waitForJob(jobId);
+  const expiresAt = manager.jobs.getTtl(jobId);
+  assert.ok(expiresAt > Date.now() + 59000 && expiresAt <= Date.now() + 60000);
+});
+
+test('任务数达到上限时移除最早结束的任务，全部执行中时返回错误', async (t) => {
+  const manager = createManager(t, { maxJobs: 2 });
+  const first = deferred();
+  const second = deferred();
+
+  const a = await manager.runWithDeadline('orders', callTool(1), first.promise);
+  await manager.runWithDeadline('orders', callTool(2), second.promise);
+
+  const rejected = await manager.runWithDeadline('orders', callTool(3), deferred().promise);
+  assert.strictEqual(rejected.id, 3);
+  assert.strictEqual(rejected.error.code, -32001);
+  assert.strictEqual(manager.stats.rejected, 1);
+
+  first.resolve(done(1, 'ok'));
+  await manager.waitForJob(a.result._meta.jobId);
+
+  const accepted = await manager.runWithDeadline('orders', callTool(4), deferred().promise);
+  assert.strictEqual(accepted.result._meta.status, 'pending');
+  assert.strictEqual(manager.getJob(a.result._meta.jobId), null);
+  assert.strictEqual(manager.stats.evicted, 1);
+
+  second.resolve(done(2, 'ok'));
+});
+
+test('tools/list 中加入配套工具且不重复', (t) => {
+  const manager = createManager(t);
+  const response = { jsonrpc: '2.0', id: 1, result: { tools: [{ name: 'slow_report' }] } };
+
+  const decorated = manager.decorateToolsList(response);
+  assert.deepStrictEqual(decorated.result.tools.map(tool => tool.name), ['slow_report', 'proxy_get_job_result']);
+  assert.strictEqual(response.result.tools.length, 1);
+  assert.strictEqual(manager.decorateToolsList(decorated), decorated);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../ratelimit');
+require('./helpers');
+
+/**
+ * 创建限流器，测试结束后停止过期检查定时器
+ * @param {Object} t - 测试上下文
+ * @param {Object} options - 限流选项
+ * @returns {RateLimiter} 限流器
+ */
+function createLimiter(t, options) {
+  const limiter = new RateLimiter({ enabled: true, ...options });
+  t.after(() => limiter.buckets.close());
+  return limiter;
+}
+
+test('未启用或没有限额时不限流', (t) => {
+  const disabled = createLimiter(t, { enabled: false, perClient: 1 });
+  assert.strictEqual(disabled.consume([{ scope: 'client', key: 'c1' }]), null);
+
+  const unlimited = createLimiter(t, {});
+  assert.strictEqual(unlimited.consume([{ scope: 'client', key: 'c1' }]), null);
+});
+
+test('桶容量用完后拒绝，按经过的时间补充令牌', (t) => {
+  const clock = { now: 1000000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  const limiter = createLimiter(t, { perClient: 3 });
+  const checks = [{ scope: 'client', key: 'c1' }];
+
+  assert.deepStrictEqual(limiter.consume(checks).remaining, 2);
+  assert.deepStrictEqual(limiter.consume(checks).remaining, 1);
+  assert.deepStrictEqual(limiter.consume(checks).remaining, 0);
+
+  const rejected = limiter.consume(checks);
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(rejected.scope, 'client');
+  // 每分钟 3 个，补充 1 个令牌需要 20 秒
+  assert.strictEqual(rejected.retryAfter, 20);
+  assert.strictEqual(limiter.stats.rejected.client, 1);
+
+  clock.now += 10000;
+  const partial = limiter.consume(checks);
+  assert.strictEqual(partial.allowed, false);
+  assert.strictEqual(partial.retryAfter, 10);
+
+  clock.now += 10000;
+  assert.strictEqual(limiter.consume(checks).allowed, true);
+
+  // 补充不超过桶容量
+  clock.now += 10 * 60000;
+  assert.strictEqual(limiter.consume(checks).remaining, 2);
+});
+
+test('返回剩余额度最少的维度', (t) => {
+  const limiter = createLimiter(t, { perClient: 10, perServer: 100 });
+
+  const result = limiter.consume([
+    { scope: 'client', key: 'c1' },
+    { scope: 'server', key: 'orders' },
+    { scope: 'tool', key: 'orders:search', limit: 4 }
+  ]);
+
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(result.scope, 'tool');
+  assert.strictEqual(result.key, 'orders:search');
+  assert.strictEqual(result.limit, 4);
+  assert.strictEqual(result.remaining, 3);
+  assert.strictEqual(result.reset, 15);
+});
+
+test('被拒绝的请求不消耗其他维度的额度', (t) => {
+  const limiter = createLimiter(t, { perClient: 10, perServer: 1 });
+  const checks = [{ scope: 'client', key: 'c1' }, { scope: 'server', key: 'orders' }];
+
+  assert.strictEqual(limiter.consume(checks).allowed, true);
+  assert.strictEqual(limiter.consume(checks).allowed, false);
+  assert.strictEqual(limiter.consume(checks).allowed, false);
+
+  const usage = limiter.getStats().usage;
+  assert.deepStrictEqual(usage.find(item => item.scope === 'client'), { scope: 'client', key: 'c1', limit: 10, remaining: 9 });
+});
+
+test('令牌桶数达到上限时放行且不抛出异常', (t) => {
+  const limiter = createLimiter(t, { perTool: 5 });
+
+  // 客户端用不同的工具名填满 10000 个令牌桶
+  for (let i = 0; i < 10000; i++) {
+    limiter.consume([{ scope: 'tool', key: `orders:tool-${i}` }]);
+  }
+
+  const result = limiter.consume([{ scope: 'client', key: 'new-client', limit: 2 }]);
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(limiter.stats.untracked, 1);
+  assert.strictEqual(limiter.buckets.keys().length, 10000);
+
+  // 已有的桶照常计数
+  const existing = limiter.consume([{ scope: 'tool', key: 'orders:tool-0' }]);
+  assert.strictEqual(existing.remaining, 3);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const TrafficRecorder = require('../recorder');
+const { tempDir } = require('./helpers');
+
+function callTool(id, name, args) {
+  return { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } };
+}
+
+test('tools/call 按工具名和参数摘要匹配，参数字段顺序无关', () => {
+  const recorder = new TrafficRecorder();
+
+  const a = recorder.getMatch('orders', callTool(1, 'search', { city: '杭州', limit: 10 }));
+  const b = recorder.getMatch('orders', callTool(2, 'search', { limit: 10, city: '杭州' }));
+  const c = recorder.getMatch('orders', callTool(3, 'search', { city: '上海', limit: 10 }));
+  const d = recorder.getMatch('orders', callTool(4, 'lookup', { city: '杭州', limit: 10 }));
+  const e = recorder.getMatch('billing', callTool(5, 'search', { city: '杭州', limit: 10 }));
+
+  assert.strictEqual(a.key, b.key);
+  assert.strictEqual(a.tool, 'search');
+  assert.notStrictEqual(a.key, c.key);
+  assert.notStrictEqual(a.key, d.key);
+  assert.notStrictEqual(a.key, e.key);
+});
+
+test('initialize 不看参数，其他方法忽略 _meta', () => {
+  const recorder = new TrafficRecorder();
+
+  const init = (clientInfo) => recorder.getMatch('orders', {
+    jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', clientInfo }
+  });
+  assert.strictEqual(init({ name: 'a' }).key, init({ name: 'b' }).key);
+  assert.strictEqual(init({ name: 'a' }).argumentsHash, null);
+
+  const list = (params) => recorder.getMatch('orders', { jsonrpc: '2.0', id: 1, method: 'tools/list', params });
+  assert.strictEqual(list(undefined).key, list({ _meta: { progressToken: 1 } }).key);
+  assert.strictEqual(list({}).argumentsHash, null);
+  assert.notStrictEqual(list({ cursor: 'page-2' }).key, list(undefined).key);
+});
+
+test('录制的 fixture 可以在回放模式下按请求匹配', async (t) => {
+  const dir = tempDir(t, 'mcp-fixtures-');
+
+  const recording = new TrafficRecorder({ mode: 'record', dir });
+  recording.record('orders', callTool(1, 'search', { city: '杭州' }), {
+    upstream: 'http://dify/mcp',
+    status: 200,
+    latency: 120,
+    response: { jsonrpc: '2.0', id: 1, result: { content: [{ type: 'text', text: 'first' }] } }
+  });
+  recording.record('orders', callTool(2, 'search', { city: '杭州' }), {
+    upstream: 'http://dify/mcp',
+    status: 200,
+    latency: 80,
+    response: { jsonrpc: '2.0', id: 2, result: { content: [{ type: 'text', text: 'second' }] } }
+  });
+  const failure = new Error('Request failed with status code 502');
+  failure.response = { status: 502, data: 'Bad Gateway' };
+  recording.record('orders', callTool(3, 'lookup', {}), { upstream: 'http://dify/mcp', latency: 30, error: failure });
+  await recording.flush();
+  assert.strictEqual(recording.stats.recorded, 3);
+
+  const replaying = new TrafficRecorder({ mode: 'replay', dir });
+  assert.strictEqual(replaying.getStats().fixtures, 3);
+
+  // 同一请求录制了多次时按顺序返回，用完后重复最后一次；id 换成当前请求的
+  const request = callTool(42, 'search', { city: '杭州' });
+  const texts = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await replaying.replay(replaying.find('orders', request), 'orders', request, Date.now() + 1000);
+    assert.strictEqual(response.id, 42);
+    texts.push(response.result.content[0].text);
+  }
+  assert.deepStrictEqual(texts, ['first', 'second', 'second']);
+
+  // 录制的错误按原样抛出
+  const lookup = callTool(43, 'lookup', {});
+  await assert.rejects(
+    replaying.replay(replaying.find('orders', lookup), 'orders', lookup, Date.now() + 1000),
+    error => error.response.status === 502 && error.response.data === 'Bad Gateway'
+  );
+});
+
+test('没有匹配的 fixture 时按 replayMiss 计数并抛出 REPLAY_MISS', async (t) => {
+  const dir = tempDir(t, 'mcp-fixtures-');
+  const recorder = new TrafficRecorder({ mode: 'replay', dir });
+  const request = callTool(1, 'search', { city: '杭州' });
+
+  const fixture = recorder.find('orders', request);
+  assert.strictEqual(fixture, null);
+  assert.strictEqual(recorder.stats.misses, 1);
+  await assert.rejects(recorder.replay(fixture, 'orders', request, Date.now() + 1000), { code: 'REPLAY_MISS' });
+
+  recorder.configure({ replayMiss: 'passthrough' });
+  assert.strictEqual(recorder.find('orders', request), null);
+  assert.strictEqual(recorder.stats.passthrough, 1);
+});
+
+test('加载时按请求重新计算匹配键并跳过无效行', (t) => {
+  const dir = tempDir(t, 'mcp-fixtures-');
+  const fixture = {
+    serverId: 'orders',
+    method: 'tools/call',
+    tool: 'search',
+    argumentsHash: 'sha256:stale',
+    request: callTool(1, 'search', { city: '杭州' }),
+    status: 200,
+    latency: 5,
+    response: { jsonrpc: '2.0', id: 1, result: {} }
+  };
+  fs.writeFileSync(path.join(dir, 'orders.jsonl'), `${JSON.stringify(fixture)}\nnot json\n{"serverId":"orders"}\n`);
+
+  const recorder = new TrafficRecorder({ mode: 'replay', dir });
+
+  assert.strictEqual(recorder.getStats().fixtures, 1);
+  assert.deepStrictEqual(recorder.find('orders', callTool(2, 'search', { city: '杭州' })), fixture);
+});
@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const RedisClient = require('../redis-client');
+require('./helpers');
+
+/**
+ * 创建不连接网络的客户端，测试直接向 handleData 输入回复
+ * @param {Object} options - 客户端选项
+ * @returns {Object} { client, written }
+ */
+function createOffline(options = {}) {
+  const client = new RedisClient({ commandTimeout: 0, ...options });
+  const written = [];
+  client.socket = {
+    write: data => written.push(data.toString()),
+    destroy: error => { client.destroyedWith = error; }
+  };
+  client.connected = true;
+  return { client, written };
+}
+
+/**
+ * 逐字节输入数据，模拟任意位置被拆开的 TCP 数据块
+ * @param {RedisClient} client - 客户端
+ * @param {string} data - RESP 数据
+ */
+function feedBytes(client, data) {
+  for (const byte of Buffer.from(data)) {
+    client.handleData(Buffer.from([byte]));
+  }
+}
+
+/**
+ * 解析客户端发送的 RESP 命令数组（测试服务器使用）
+ * @param {string} text - 接收到的数据
+ * @returns {Object} { commands, rest }
+ */
+function parseCommands(text) {
+  const commands = [];
+  let rest = text;
+
+  for (;;) {
+    const match = /^\*(\d+)\r\n/.exec(rest);
+    if (!match) {
+      break;
+    }
+
+    let position = match[0].length;
+    const args = [];
+    for (let i = 0; i < Number(match[1]); i++) {
+      const header = /^\$(\d+)\r\n/.exec(rest.slice(position));
+      if (!header || rest.length < position + header[0].length + Number(header[1]) + 2) {
+        return { commands, rest };
+      }
+      position += header[0].length;
+      args.push(rest.slice(position, position + Number(header[1])));
+      position += Number(header[1]) + 2;
+    }
+
+    commands.push(args);
+    rest = rest.slice(position);
+  }
+
+  return { commands, rest };
+}
+
+/**
+ * 启动一个最小的 RESP 测试服务器：记录收到的命令，BLPOP 不回复，其余按命令回复
+ * @param {Object} t - 测试上下文
+ * @returns {Promise<Object>} { port, received, sockets }
+ */
+async function startServer(t) {
+  const received = [];
+  const sockets = [];
+
+  const server = net.createServer(socket => {
+    sockets.push(socket);
+    let buffered = '';
+
+    socket.on('data', chunk => {
+      const { commands, rest } = parseCommands(buffered + chunk.toString());
+      buffered = rest;
+
+      for (const args of commands) {
+        received.push(args);
+        const name = args[0].toUpperCase();
+        if (name === 'SUBSCRIBE') {
+          args.slice(1).forEach((channel, index) => {
+            socket.write(`*3\r\n$9\r\nsubscribe\r\n$${channel.length}\r\n${channel}\r\n:${index + 1}\r\n`);
+          });
+        } else if (name === 'PING') {
+          socket.write('+PONG\r\n');
+        } else if (name !== 'BLPOP') {
+          socket.write('+OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+
+  return { port: server.address().port, received, sockets };
+}
+
+test('按字节拆开的回复也能完整解析', async () => {
+  const { client, written } = createOffline();
+
+  const replies = Promise.all([
+    client.command('SET', 'key', '值'),
+    client.command('GET', 'key'),
+    client.command('INCR', 'counter'),
+    client.command('MGET', 'a', 'b')
+  ]);
+
+  // 长度按字节计算
+  assert.strictEqual(written[0], '*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$3\r\n值\r\n');
+  assert.strictEqual(written[1], '*2\r\n$3\r\nGET\r\n$3\r\nkey\r\n');
+
+  feedBytes(client, '+OK\r\n$3\r\n值\r\n:42\r\n*2\r\n$1\r\nx\r\n$-1\r\n');
+
+  assert.deepStrictEqual(await replies, ['OK', '值', 42, ['x', null]]);
+  assert.strictEqual(client.buffer.length, 0);
+  assert.strictEqual(client.commandQueue.length, 0);
+});
+
+test('空的批量回复和数组回复解析为 null', async () => {
+  const { client } = createOffline();
+
+  const replies = Promise.all([client.command('GET', 'missing'), client.command('BLPOP', 'queue', 1), client.command('GET', 'empty')]);
+  client.handleData(Buffer.from('$-1\r\n*-1\r\n$0\r\n\r\n'));
+
+  assert.deepStrictEqual(await replies, [null, null, '']);
+});
+
+test('错误回复只让对应的命令失败', async () => {
+  const { client } = createOffline();
+
+  const failed = client.command('INCR', 'text');
+  const next = client.command('GET', 'key');
+  client.handleData(Buffer.from('-WRONGTYPE Operation against a key holding the wrong kind of value\r\n$1\r\nv\r\n'));
+
+  await assert.rejects(failed, { code: 'REDIS_ERROR', redisCode: 'WRONGTYPE' });
+  assert.strictEqual(await next, 'v');
+});
+
+test('无法解析的回复类型断开连接', () => {
+  const { client } = createOffline();
+
+  client.command('GET', 'key').catch(() => {});
+  client.handleData(Buffer.from('?oops\r\n'));
+
+  assert.strictEqual(client.destroyedWith.code, 'REDIS_PROTOCOL');
+});
+
+test('超时命令的迟到回复不会错配给后面的命令', async () => {
+  const { client } = createOffline({ commandTimeout: 20 });
+
+  const slow = client.command('GET', 'slow');
+  await assert.rejects(slow, { code: 'REDIS_TIMEOUT' });
+
+  const next = client.command('GET', 'next');
+  client.handleData(Buffer.from('$4\r\nslow\r\n$4\r\nnext\r\n'));
+  assert.strictEqual(await next, 'next');
+});
+
+test('订阅消息分发给处理函数，不占用命令回复', async () => {
+  const { client } = createOffline();
+  const messages = [];
+  client.subscriptions.set('invalidate', (message, channel) => messages.push([channel, message]));
+
+  const pending = client.command('PING');
+  client.handleData(Buffer.from('*3\r\n$7\r\nmessage\r\n$10\r\ninvalidate\r\n$5\r\nk1,k2\r\n+PONG\r\n'));
+
+  assert.strictEqual(await pending, 'PONG');
+  assert.deepStrictEqual(messages, [['invalidate', 'k1,k2']]);
+});
+
+test('断线后等待中的命令失败，重连时重新认证、选择数据库和订阅', async (t) => {
+  const { port, received, sockets } = await startServer(t);
+  const client = new RedisClient({ url: `redis://:secret@127.0.0.1:${port}/2`, name: 'proxy' });
+  t.after(() => client.quit());
+
+  client.connect();
+  await once(client, 'ready');
+  await client.subscribe('invalidate', () => {});
+  assert.deepStrictEqual(received.map(args => args[0]), ['AUTH', 'SELECT', 'CLIENT', 'SUBSCRIBE']);
+
+  // 服务器断开连接，未回复的命令以 REDIS_UNAVAILABLE 结束
+  const blocked = client.send(['BLPOP', 'queue', '0']);
+  await new Promise(resolve => setImmediate(resolve));
+  const disconnected = once(client, 'disconnect');
+  sockets[0].destroy();
+  await assert.rejects(blocked, { code: 'REDIS_UNAVAILABLE' });
+  await disconnected;
+  assert.strictEqual(client.connected, false);
+  await assert.rejects(client.command('PING'), { code: 'REDIS_UNAVAILABLE' });
+
+  received.length = 0;
+  await once(client, 'ready');
+  assert.deepStrictEqual(received, [
+    ['AUTH', 'secret'],
+    ['SELECT', '2'],
+    ['CLIENT', 'SETNAME', 'proxy'],
+    ['SUBSCRIBE', 'invalidate']
+  ]);
+  assert.strictEqual(client.getState().reconnectAttempts, 0);
+});
+
+test('连接失败时按指数退避重试，quit 后不再重连', async (t) => {
+  // 先占用再释放一个端口，得到一个没有服务监听的地址
+  const probe = net.createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+
+  const client = new RedisClient({ url: `redis://127.0.0.1:${port}` });
+  t.after(() => client.quit());
+
+  client.connect();
+  while (client.reconnectAttempts < 2) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.strictEqual(client.connected, false);
+  assert.ok(client.getState().lastError);
+
+  client.quit();
+  const attempts = client.reconnectAttempts;
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert.strictEqual(client.reconnectAttempts, attempts);
+  assert.strictEqual(client.socket, null);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FairScheduler = require('../scheduler');
+require('./helpers');
+
+/**
+ * 创建一个由测试控制完成时机的任务
+ * @returns {Object} { promise, resolve }
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+test('全局槽位按权重在服务器之间分配', async () => {
+  const servers = { a: { concurrency: 10, weight: 3 }, b: { concurrency: 10, weight: 1 } };
+  const scheduler = new FairScheduler({ concurrency: 1, resolveServer: id => servers[id] });
+  const order = [];
+
+  // 先占住唯一的槽位，让两个服务器的任务都进入等待队列
+  const gate = deferred();
+  const blocked = scheduler.schedule('a', () => gate.promise);
+
+  const tasks = [];
+  for (let i = 0; i < 8; i++) {
+    tasks.push(scheduler.schedule('a', async () => { order.push('a'); }));
+    tasks.push(scheduler.schedule('b', async () => { order.push('b'); }));
+  }
+
+  gate.resolve();
+  await Promise.all([blocked, ...tasks]);
+
+  const first = order.slice(0, 8);
+  assert.strictEqual(first.filter(id => id === 'a').length, 6);
+  assert.strictEqual(first.filter(id => id === 'b').length, 2);
+  assert.strictEqual(scheduler.lanes.size, 0);
+});
+
+test('同一服务器内按优先级执行，同优先级先进先出', async () => {
+  const scheduler = new FairScheduler({ concurrency: 1 });
+  const order = [];
+
+  const gate = deferred();
+  const blocked = scheduler.schedule('a', () => gate.promise);
+  const tasks = [
+    scheduler.schedule('a', async () => { order.push('low'); }),
+    scheduler.schedule('a', async () => { order.push('high-1'); }, { priority: 5 }),
+    scheduler.schedule('a', async () => { order.push('high-2'); }, { priority: 5 }),
+    scheduler.schedule('a', async () => { order.push('normal'); }, { priority: 1 })
+  ];
+
+  gate.resolve();
+  await Promise.all([blocked, ...tasks]);
+
+  assert.deepStrictEqual(order, ['high-1', 'high-2', 'normal', 'low']);
+});
+
+test('服务器并发上限不占用其他服务器的槽位', async () => {
+  const servers = { a: { concurrency: 1, weight: 10 }, b: { concurrency: 5, weight: 1 } };
+  const scheduler = new FairScheduler({ concurrency: 3, resolveServer: id => servers[id] });
+
+  const gate = deferred();
+  const tasks = [
+    scheduler.schedule('a', () => gate.promise),
+    scheduler.schedule('a', () => gate.promise),
+    scheduler.schedule('b', () => gate.promise),
+    scheduler.schedule('b', () => gate.promise)
+  ];
+
+  assert.strictEqual(scheduler.lanes.get('a').pending, 1);
+  assert.strictEqual(scheduler.lanes.get('b').pending, 2);
+  assert.strictEqual(scheduler.size, 1);
+
+  gate.resolve();
+  await Promise.all(tasks);
+});
+
+test('新加入的服务器从当前虚拟时间开始，不会补偿之前的空闲', async () => {
+  const scheduler = new FairScheduler({ concurrency: 1 });
+  const order = [];
+  const joined = [];
+
+  const gate = deferred();
+  const blocked = scheduler.schedule('a', () => gate.promise);
+  const tasks = [];
+  for (let i = 0; i < 8; i++) {
+    tasks.push(scheduler.schedule('a', async () => {
+      order.push('a');
+      // a 已经执行了一段时间后 b 才开始积压
+      if (i === 3) {
+        for (let j = 0; j < 3; j++) {
+          joined.push(scheduler.schedule('b', async () => { order.push('b'); }));
+        }
+      }
+    }));
+  }
+
+  gate.resolve();
+  await Promise.all([blocked, ...tasks]);
+  await Promise.all(joined);
+
+  assert.deepStrictEqual(order, ['a', 'a', 'a', 'a', 'b', 'a', 'b', 'a', 'b', 'a', 'a']);
+});
+
+test('等待超时的任务从队列移除', async () => {
+  const scheduler = new FairScheduler({ concurrency: 1 });
+
+  const gate = deferred();
+  const blocked = scheduler.schedule('a', () => gate.promise);
+  const waiting = scheduler.schedule('a', async () => 'late', { timeout: 20 });
+
+  await assert.rejects(waiting);
+  assert.strictEqual(scheduler.size, 0);
+  assert.strictEqual(scheduler.stats.timedOut, 1);
+
+  gate.resolve();
+  await blocked;
+});
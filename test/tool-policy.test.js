@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ToolPolicy = require('../tool-policy');
+require('./helpers');
+
+/**
+ * 构造 tools/list 响应
+ * @param {Array<string>} names - 工具名
+ * @returns {Object} JSON-RPC 响应
+ */
+function toolsList(names) {
+  return {
+    jsonrpc: '2.0',
+    id: 1,
+    result: { tools: names.map(name => ({ name, description: `${name} tool`, inputSchema: { type: 'object' } })) }
+  };
+}
+
+test('改名后的工具只能用新名称调用', () => {
+  const policy = new ToolPolicy({ overrides: { workflow_a1b2: { name: 'search_orders' } } });
+
+  assert.strictEqual(policy.resolveToolName('search_orders'), 'workflow_a1b2');
+  assert.strictEqual(policy.resolveToolName('workflow_a1b2'), null);
+  assert.strictEqual(policy.resolveToolName('other'), 'other');
+  assert.strictEqual(policy.resolveToolName(undefined), null);
+});
+
+test('允许列表和禁止列表按原始名称判断', () => {
+  const policy = new ToolPolicy({
+    allow: ['workflow_a1b2', 'lookup'],
+    deny: ['lookup'],
+    overrides: { workflow_a1b2: { name: 'search_orders' } }
+  });
+
+  assert.strictEqual(policy.resolveToolName('search_orders'), 'workflow_a1b2');
+  assert.strictEqual(policy.resolveToolName('lookup'), null);
+  assert.strictEqual(policy.resolveToolName('other'), null);
+});
+
+test('tools/list 按策略过滤和改写，不修改原响应', () => {
+  const policy = new ToolPolicy({
+    deny: ['internal'],
+    overrides: { workflow_a1b2: { name: 'search_orders', description: '查询订单' } }
+  });
+  const response = toolsList(['workflow_a1b2', 'internal', 'lookup']);
+  const snapshot = JSON.parse(JSON.stringify(response));
+
+  const result = policy.applyToolsList(response);
+
+  assert.deepStrictEqual(result.result.tools.map(tool => tool.name), ['search_orders', 'lookup']);
+  assert.strictEqual(result.result.tools[0].description, '查询订单');
+  assert.deepStrictEqual(result.result.tools[0].inputSchema, { type: 'object' });
+  assert.deepStrictEqual(response, snapshot);
+});
+
+test('改名目标与 Dify 中的工具同名时保留 Dify 的工具', () => {
+  const policy = new ToolPolicy({ overrides: { workflow_a1b2: { name: 'lookup', description: '查询订单' } } });
+
+  // 列出工具之前按配置映射
+  assert.strictEqual(policy.resolveToolName('lookup'), 'workflow_a1b2');
+
+  const result = policy.applyToolsList(toolsList(['workflow_a1b2', 'lookup']));
+
+  assert.deepStrictEqual(result.result.tools.map(tool => tool.name), ['workflow_a1b2', 'lookup']);
+  assert.strictEqual(result.result.tools[0].description, '查询订单');
+  assert.strictEqual(result.result.tools[1].description, 'lookup tool');
+  assert.strictEqual(policy.isRenamed('workflow_a1b2'), false);
+  assert.strictEqual(policy.resolveToolName('lookup'), 'lookup');
+  assert.strictEqual(policy.resolveToolName('workflow_a1b2'), 'workflow_a1b2');
+
+  // 冲突发现后保持，后续分页中没有该工具时也不会切换回去
+  policy.applyToolsList(toolsList(['workflow_a1b2']));
+  assert.strictEqual(policy.resolveToolName('lookup'), 'lookup');
+});
+
+test('被禁止或本身被改名的同名工具不算冲突', () => {
+  const policy = new ToolPolicy({
+    deny: ['lookup'],
+    overrides: {
+      workflow_a1b2: { name: 'lookup' },
+      workflow_c3d4: { name: 'search' },
+      search: { name: 'search_legacy' }
+    }
+  });
+
+  const result = policy.applyToolsList(toolsList(['workflow_a1b2', 'lookup', 'workflow_c3d4', 'search']));
+
+  assert.deepStrictEqual(result.result.tools.map(tool => tool.name), ['lookup', 'search', 'search_legacy']);
+  assert.strictEqual(policy.resolveToolName('lookup'), 'workflow_a1b2');
+  assert.strictEqual(policy.resolveToolName('search'), 'workflow_c3d4');
+  assert.strictEqual(policy.resolveToolName('search_legacy'), 'search');
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ToolArgumentValidator = require('../tool-validator');
+require('./helpers');
+
+const orderSchema = {
+  type: 'object',
+  required: ['orderId'],
+  properties: {
+    orderId: { type: 'integer', minimum: 1 },
+    express: { type: 'boolean' },
+    note: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    address: { $ref: '#/$defs/address' }
+  },
+  additionalProperties: false,
+  $defs: {
+    address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } }
+  }
+};
+
+test('修正字符串形式的数字、布尔值和 JSON，不修改原参数', () => {
+  const validator = new ToolArgumentValidator();
+  const args = { orderId: ' 42 ', express: 'true', note: 7, tags: '["a","b"]', address: '{"city":"杭州"}' };
+
+  const result = validator.validate(orderSchema, args);
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.coerced, true);
+  assert.deepStrictEqual(result.arguments, {
+    orderId: 42,
+    express: true,
+    note: '7',
+    tags: ['a', 'b'],
+    address: { city: '杭州' }
+  });
+  assert.strictEqual(args.orderId, ' 42 ');
+  assert.strictEqual(validator.getStats().coerced, 1);
+});
+
+test('无法修正的值报告字段路径', () => {
+  const validator = new ToolArgumentValidator();
+
+  const result = validator.validate(orderSchema, {
+    orderId: '4.5',
+    express: 'yes',
+    tags: ['a', {}],
+    address: {},
+    extra: true
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(error => error.path).sort(), [
+    'address.city',
+    'express',
+    'extra',
+    'orderId',
+    'tags[1]'
+  ].sort());
+  assert.strictEqual(validator.getStats().rejected, 1);
+});
+
+test('关闭修正时类型不符直接报错', () => {
+  const validator = new ToolArgumentValidator({ coerce: false });
+
+  const result = validator.validate(orderSchema, { orderId: '42' });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.coerced, false);
+  assert.deepStrictEqual(result.arguments, { orderId: '42' });
+});
+
+test('缺省参数按空对象校验必填字段', () => {
+  const validator = new ToolArgumentValidator();
+
+  const result = validator.validate(orderSchema, undefined);
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, [{ path: 'orderId', message: '缺少必填字段' }]);
+});
+
+test('anyOf 优先使用无需修正即可通过的分支', () => {
+  const validator = new ToolArgumentValidator();
+  const schema = {
+    type: 'object',
+    properties: { id: { anyOf: [{ type: 'integer' }, { type: 'string' }] } }
+  };
+
+  const plain = validator.validate(schema, { id: '42' });
+  assert.strictEqual(plain.valid, true);
+  assert.strictEqual(plain.coerced, false);
+  assert.deepStrictEqual(plain.arguments, { id: '42' });
+
+  const number = validator.validate(schema, { id: 42 });
+  assert.strictEqual(number.valid, true);
+  assert.deepStrictEqual(number.arguments, { id: 42 });
+});
+
+test('anyOf 没有分支直接通过时按修正后的第一个分支', () => {
+  const validator = new ToolArgumentValidator();
+  const schema = {
+    type: 'object',
+    properties: { limit: { anyOf: [{ type: 'integer', maximum: 100 }, { type: 'null' }] } }
+  };
+
+  const result = validator.validate(schema, { limit: '20' });
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.coerced, true);
+  assert.deepStrictEqual(result.arguments, { limit: 20 });
+
+  const invalid = validator.validate(schema, { limit: '200' });
+  assert.strictEqual(invalid.valid, false);
+  assert.deepStrictEqual(invalid.errors, [{ path: 'limit', message: '不符合任何一种允许的格式' }]);
+});
+
+test('oneOf 要求恰好一个分支通过', () => {
+  const validator = new ToolArgumentValidator();
+  const schema = {
+    type: 'object',
+    properties: {
+      target: {
+        oneOf: [
+          { type: 'object', required: ['userId'] },
+          { type: 'object', required: ['groupId'] }
+        ]
+      }
+    }
+  };
+
+  assert.strictEqual(validator.validate(schema, { target: { userId: 'u1' } }).valid, true);
+
+  const ambiguous = validator.validate(schema, { target: { userId: 'u1', groupId: 'g1' } });
+  assert.strictEqual(ambiguous.valid, false);
+  assert.deepStrictEqual(ambiguous.errors, [{ path: 'target', message: '同时符合多种格式，无法确定' }]);
+
+  const none = validator.validate(schema, { target: {} });
+  assert.strictEqual(none.valid, false);
+  assert.deepStrictEqual(none.errors, [{ path: 'target', message: '不符合任何一种允许的格式' }]);
+});
+
+test('分支内的修正结果会带回外层', () => {
+  const validator = new ToolArgumentValidator();
+  const schema = {
+    type: 'object',
+    properties: {
+      range: {
+        allOf: [{ type: 'object', properties: { from: { type: 'integer' } } }],
+        oneOf: [{ type: 'object', properties: { to: { type: 'integer' } }, required: ['to'] }]
+      }
+    }
+  };
+
+  const result = validator.validate(schema, { range: { from: '1', to: '5' } });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.coerced, true);
+  assert.deepStrictEqual(result.arguments, { range: { from: 1, to: 5 } });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const UpstreamPool = require('../upstream');
+require('./helpers');
+
+const UPSTREAMS = [
+  { url: 'http://a.example.com', weight: 3 },
+  { url: 'http://b.example.com', weight: 1 }
+];
+
+/**
+ * 创建上游池，测试结束后停止会话过期检查定时器
+ * @param {Object} t - 测试上下文
+ * @param {Object} options - 上游池选项
+ * @returns {UpstreamPool} 上游池
+ */
+function createPool(t, options = {}) {
+  const pool = new UpstreamPool({
+    upstreams: UPSTREAMS,
+    breakerOptions: { failureThreshold: 1, minimumRequests: 1 },
+    ...options
+  });
+  t.after(() => pool.sessions.close());
+  return pool;
+}
+
+const hosts = candidates => candidates.map(upstream => new URL(upstream.url).hostname[0]);
+
+test('round-robin 依次选择首选上游，其余上游作为故障切换顺序', (t) => {
+  const pool = createPool(t);
+
+  assert.deepStrictEqual(hosts(pool.getCandidates()), ['a', 'b']);
+  assert.deepStrictEqual(hosts(pool.getCandidates()), ['b', 'a']);
+  assert.deepStrictEqual(hosts(pool.getCandidates()), ['a', 'b']);
+});
+
+test('weighted 按权重平滑分配', (t) => {
+  const pool = createPool(t, { strategy: 'weighted' });
+
+  const primaries = [];
+  for (let i = 0; i < 8; i++) {
+    primaries.push(hosts(pool.getCandidates())[0]);
+  }
+
+  assert.deepStrictEqual(primaries, ['a', 'a', 'b', 'a', 'a', 'a', 'b', 'a']);
+});
+
+test('least-pending 选择按权重折算后进行中请求最少的上游', (t) => {
+  const pool = createPool(t, { strategy: 'least-pending' });
+  const [a, b] = pool.pool;
+
+  a.pending = 2;
+  b.pending = 1;
+  assert.deepStrictEqual(hosts(pool.getCandidates()), ['a', 'b']);
+
+  a.pending = 4;
+  assert.deepStrictEqual(hosts(pool.getCandidates()), ['b', 'a']);
+});
+
+test('上游失败后熔断，请求切换到其他上游', async (t) => {
+  const pool = createPool(t);
+  const [a] = pool.pool;
+
+  const failure = new Error('connect ECONNREFUSED');
+  failure.code = 'ECONNREFUSED';
+  await assert.rejects(pool.execute(a, async () => { throw failure; }), failure);
+  pool.recordFailover(a);
+
+  assert.strictEqual(a.breaker.state, 'OPEN');
+  assert.deepStrictEqual(a.stats, { ...a.stats, requests: 1, failures: 1, failovers: 1, lastError: 'connect ECONNREFUSED' });
+  for (let i = 0; i < 3; i++) {
+    assert.deepStrictEqual(hosts(pool.getCandidates()), ['b']);
+  }
+
+  // 切换到的上游照常执行并记录统计
+  assert.strictEqual(await pool.execute(pool.pool[1], async () => 'ok'), 'ok');
+  assert.strictEqual(pool.pool[1].stats.successes, 1);
+  assert.strictEqual(pool.pool[1].pending, 0);
+});
+
+test('全部上游熔断时仍按原顺序返回，由熔断器给出明确错误', async (t) => {
+  const pool = createPool(t);
+  for (const upstream of pool.pool) {
+    upstream.breaker.forceOpen();
+  }
+
+  const candidates = pool.getCandidates();
+  assert.deepStrictEqual(hosts(candidates), ['a', 'b']);
+  await assert.rejects(pool.execute(candidates[0], async () => 'ok'), { code: 'CIRCUIT_BREAKER_OPEN' });
+});
+
+test('已绑定会话的请求只发往创建会话的上游', (t) => {
+  const pool = createPool(t);
+  const [, b] = pool.pool;
+
+  pool.bindSession('session-1', b);
+  for (let i = 0; i < 3; i++) {
+    assert.deepStrictEqual(hosts(pool.getCandidates('session-1')), ['b']);
+  }
+
+  // 即使该上游已熔断，也不会切换到没有该会话的上游
+  b.breaker.forceOpen();
+  assert.deepStrictEqual(hosts(pool.getCandidates('session-1')), ['b']);
+  assert.deepStrictEqual(hosts(pool.getCandidates('unknown')), ['a']);
+});
+
+test('会话数达到上限时不绑定也不抛出异常', (t) => {
+  const pool = createPool(t);
+  pool.sessions.options.maxKeys = 1;
+
+  pool.bindSession('session-1', pool.pool[1]);
+  assert.doesNotThrow(() => pool.bindSession('session-2', pool.pool[1]));
+  assert.strictEqual(pool.sessions.get('session-2'), undefined);
+});
+
+test('单独指定地址的上游不参与负载均衡', (t) => {
+  const pool = createPool(t);
+
+  const dedicated = pool.getUpstream('http://c.example.com');
+  assert.strictEqual(dedicated.dedicated, true);
+  assert.strictEqual(pool.getUpstream('http://c.example.com'), dedicated);
+  assert.deepStrictEqual(hosts(pool.getCandidates()), ['a', 'b']);
+});
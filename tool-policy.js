@@ -0,0 +1,134 @@
+/**
+ * MCP 代理服务器工具策略模块
+ * 按服务器隐藏工具（允许列表、禁止列表），改写工具的名称、描述和参数定义，
+ * 并把客户端使用的工具名映射回 Dify 中的原始名称
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'tool-policy' });
+
+class ToolPolicy {
+  /**
+   * @param {Object} options - 策略选项（来自服务器注册表的 tools 字段，工具名均为 Dify 中的原始名称）
+   * @param {Array<string>} options.allow - 允许的工具，设置后只暴露这些工具
+   * @param {Array<string>} options.deny - 禁止的工具
+   * @param {Object} options.overrides - 原始名称到 { name, description, inputSchema } 的映射
+   */
+  constructor(options = {}) {
+    this.allow = options.allow ? new Set(options.allow) : null;
+    this.deny = new Set(options.deny || []);
+    this.overrides = options.overrides || {};
+
+    // 对外名称 → 原始名称
+    this.upstreamNames = new Map();
+    for (const [name, override] of Object.entries(this.overrides)) {
+      if (override.name) {
+        this.upstreamNames.set(override.name, name);
+      }
+    }
+
+    // 与 Dify 中另一个未改名的可见工具同名的改名目标（在 tools/list 中发现）：保留 Dify 的工具，该改名不生效
+    this.clashes = new Set();
+  }
+
+  /**
+   * 改名是否生效（目标名称没有与 Dify 中的工具冲突）
+   * @param {string} name - 原始工具名
+   * @returns {boolean} 是否生效
+   */
+  isRenamed(name) {
+    const exposed = this.overrides[name]?.name;
+    return Boolean(exposed) && !this.clashes.has(exposed);
+  }
+
+  /**
+   * 检查工具是否对客户端可见
+   * @param {string} name - 原始工具名
+   * @returns {boolean} 是否可见
+   */
+  isAllowed(name) {
+    if (this.deny.has(name)) {
+      return false;
+    }
+
+    return !this.allow || this.allow.has(name);
+  }
+
+  /**
+   * 将客户端调用的工具名映射为原始名称
+   * 改名后的工具只能用新名称调用
+   * @param {string} name - 客户端使用的工具名
+   * @returns {string|null} 原始工具名，工具不可见时返回 null
+   */
+  resolveToolName(name) {
+    if (typeof name !== 'string') {
+      return null;
+    }
+
+    let upstreamName = name;
+    if (this.upstreamNames.has(name) && !this.clashes.has(name)) {
+      upstreamName = this.upstreamNames.get(name);
+    } else if (this.isRenamed(name)) {
+      return null;
+    }
+
+    return this.isAllowed(upstreamName) ? upstreamName : null;
+  }
+
+  /**
+   * 过滤并改写 tools/list 响应，不修改传入的对象（它可能来自缓存）
+   * 改名目标与 Dify 中另一个未改名的可见工具同名时，记录冲突并保留 Dify 的工具，被改名的工具使用原始名称
+   * @param {Object} response - tools/list 响应
+   * @returns {Object} 改写后的响应
+   */
+  applyToolsList(response) {
+    const tools = response?.result?.tools;
+    if (!Array.isArray(tools)) {
+      return response;
+    }
+
+    this.detectClashes(tools);
+
+    return {
+      ...response,
+      result: {
+        ...response.result,
+        tools: tools
+          .filter(tool => this.isAllowed(tool.name))
+          .map(tool => {
+            const override = this.overrides[tool.name];
+            if (!override) {
+              return tool;
+            }
+            if (override.name && !this.isRenamed(tool.name)) {
+              const { name, ...rest } = override;
+              return { ...tool, ...rest };
+            }
+            return { ...tool, ...override };
+          })
+      }
+    };
+  }
+
+  /**
+   * 检查改名目标是否与 tools/list 中未改名的可见工具同名
+   * 冲突一旦发现就保持到注册表重新加载，避免分页或缓存的工具列表让调用在两个工具之间切换
+   * @param {Array<Object>} tools - Dify 返回的工具
+   */
+  detectClashes(tools) {
+    for (const tool of tools) {
+      const name = tool?.name;
+      const original = this.upstreamNames.get(name);
+
+      if (original === undefined || this.clashes.has(name) || this.overrides[name]?.name || !this.isAllowed(name)) {
+        continue;
+      }
+
+      this.clashes.add(name);
+      log.warn('工具改名与 Dify 中的工具同名，保留 Dify 的工具，改名不生效', { tool: original, name });
+    }
+  }
+}
+
+module.exports = ToolPolicy;
@@ -0,0 +1,463 @@
+/**
+ * MCP 代理服务器工具参数校验模块
+ * 记录每个服务器 tools/list 返回的 inputSchema，在转发 tools/call 之前按 JSON Schema 校验参数，
+ * 可选地修正模型常见的类型错误（如数字写成字符串）
+ *
+ * 支持的关键字：type、properties、required、additionalProperties、items、enum、const、
+ * minimum、maximum、exclusiveMinimum、exclusiveMaximum、minLength、maxLength、pattern、
+ * minItems、maxItems、anyOf、oneOf、allOf 以及文档内的 $ref；其他关键字忽略
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'tool-validator' });
+
+/**
+ * 获取值的 JSON Schema 类型名
+ * @param {*} value - 值
+ * @returns {string} 类型名
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * 检查值是否符合类型
+ * @param {*} value - 值
+ * @param {string} type - JSON Schema 类型
+ * @returns {boolean} 是否符合
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * 尝试把值转换为指定类型
+ * @param {*} value - 原始值
+ * @param {string} type - 目标类型
+ * @returns {Object|null} { value }，无法转换时返回 null
+ */
+function coerceValue(value, type) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+
+    if ((type === 'number' || type === 'integer') && text !== '') {
+      const number = Number(text);
+      if (Number.isFinite(number) && (type === 'number' || Number.isInteger(number))) {
+        return { value: number };
+      }
+    }
+
+    if (type === 'boolean' && (text === 'true' || text === 'false')) {
+      return { value: text === 'true' };
+    }
+
+    // 数组和对象被写成 JSON 字符串
+    if ((type === 'array' || type === 'object') && /^[[{]/.test(text)) {
+      try {
+        const parsed = JSON.parse(text);
+        if (matchesType(parsed, type)) {
+          return { value: parsed };
+        }
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return { value: String(value) };
+  }
+
+  return null;
+}
+
+/**
+ * 格式化字段路径，用于错误信息
+ * @param {string} path - 字段路径
+ * @returns {string} 显示用的路径
+ */
+function displayPath(path) {
+  return path || '(参数)';
+}
+
+class ToolArgumentValidator {
+  /**
+   * @param {Object} options - 校验选项
+   * @param {boolean} options.enabled - 是否启用校验
+   * @param {boolean} options.coerce - 是否修正常见的类型错误
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.coerce = options.coerce !== false;
+
+    // serverId → (原始工具名 → inputSchema，没有 inputSchema 的工具为 null)
+    this.schemas = new Map();
+
+    this.stats = {
+      validated: 0,
+      rejected: 0,
+      coerced: 0
+    };
+  }
+
+  /**
+   * 更新校验配置（热加载）
+   * @param {Object} options - 校验选项（enabled, coerce）
+   */
+  configure(options = {}) {
+    if (options.enabled !== undefined) {
+      this.enabled = options.enabled;
+    }
+    if (options.coerce !== undefined) {
+      this.coerce = options.coerce;
+    }
+  }
+
+  /**
+   * 从 tools/list 响应中记录工具的 inputSchema
+   * 不带 cursor 的请求是第一页，替换该服务器之前的记录；后续分页合并进来
+   * @param {string} serverId - 服务器 ID
+   * @param {Object} mcpRequest - tools/list 请求
+   * @param {Object} response - Dify 返回的原始响应
+   */
+  record(serverId, mcpRequest, response) {
+    const tools = response?.result?.tools;
+    if (!Array.isArray(tools)) {
+      return;
+    }
+
+    const schemas = mcpRequest.params?.cursor && this.schemas.has(serverId) ?
+      this.schemas.get(serverId) :
+      new Map();
+
+    for (const tool of tools) {
+      if (tool && typeof tool.name === 'string') {
+        schemas.set(tool.name, tool.inputSchema && typeof tool.inputSchema === 'object' ? tool.inputSchema : null);
+      }
+    }
+
+    this.schemas.set(serverId, schemas);
+  }
+
+  /**
+   * 是否已记录该服务器的工具列表
+   * @param {string} serverId - 服务器 ID
+   * @returns {boolean} 是否已记录
+   */
+  has(serverId) {
+    return this.schemas.has(serverId);
+  }
+
+  /**
+   * 工具是否出现在该服务器最近的 tools/list 中
+   * @param {string} serverId - 服务器 ID
+   * @param {string} tool - 原始工具名
+   * @returns {boolean} 是否出现
+   */
+  hasTool(serverId, tool) {
+    return this.schemas.get(serverId)?.has(tool) || false;
+  }
+
+  /**
+   * 获取工具的 inputSchema
+   * @param {string} serverId - 服务器 ID
+   * @param {string} tool - 原始工具名
+   * @returns {Object|null} inputSchema，未记录时返回 null
+   */
+  getSchema(serverId, tool) {
+    return this.schemas.get(serverId)?.get(tool) || null;
+  }
+
+  /**
+   * 按 inputSchema 校验工具参数
+   * @param {Object} schema - inputSchema
+   * @param {*} args - 工具参数（缺省时按空对象校验）
+   * @returns {Object} { valid, errors: [{ path, message }], arguments, coerced }
+   */
+  validate(schema, args) {
+    const context = { root: schema, errors: [], coerce: this.coerce, coerced: false };
+    const value = this.check(schema, args ?? {}, '', context);
+
+    this.stats.validated++;
+    if (context.errors.length > 0) {
+      this.stats.rejected++;
+    } else if (context.coerced) {
+      this.stats.coerced++;
+      log.debug('工具参数类型已修正', { arguments: value });
+    }
+
+    return {
+      valid: context.errors.length === 0,
+      errors: context.errors,
+      arguments: value,
+      coerced: context.coerced
+    };
+  }
+
+  /**
+   * 校验单个值，返回（可能经过类型修正的）值
+   * @param {Object|boolean} schema - 子 schema
+   * @param {*} value - 值
+   * @param {string} path - 字段路径
+   * @param {Object} context - 校验上下文（错误收集、是否修正）
+   * @returns {*} 校验后的值
+   */
+  check(schema, value, path, context) {
+    if (schema === false) {
+      context.errors.push({ path: displayPath(path), message: '不允许该字段' });
+      return value;
+    }
+    if (!schema || typeof schema !== 'object') {
+      return value;
+    }
+
+    if (typeof schema.$ref === 'string') {
+      const target = this.resolveRef(context.root, schema.$ref);
+      if (target) {
+        value = this.check(target, value, path, context);
+      }
+    }
+
+    // 类型（不符合时尝试修正）
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        const coerced = context.coerce ? types.map(type => coerceValue(value, type)).find(Boolean) : null;
+        if (!coerced) {
+          context.errors.push({
+            path: displayPath(path),
+            message: `类型应为 ${types.join(' 或 ')}，实际为 ${typeOf(value)}`
+          });
+          return value;
+        }
+
+        value = coerced.value;
+        context.coerced = true;
+      }
+    }
+
+    if (schema.enum !== undefined && Array.isArray(schema.enum) &&
+        !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      context.errors.push({
+        path: displayPath(path),
+        message: `取值应为 ${schema.enum.map(option => JSON.stringify(option)).join('、')} 之一`
+      });
+    }
+
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      context.errors.push({ path: displayPath(path), message: `取值应为 ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'number') {
+      this.checkNumber(schema, value, path, context);
+    } else if (typeof value === 'string') {
+      this.checkString(schema, value, path, context);
+    } else if (Array.isArray(value)) {
+      value = this.checkArray(schema, value, path, context);
+    } else if (value && typeof value === 'object') {
+      value = this.checkObject(schema, value, path, context);
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      for (const subschema of schema.allOf) {
+        value = this.check(subschema, value, path, context);
+      }
+    }
+
+    for (const keyword of ['anyOf', 'oneOf']) {
+      if (Array.isArray(schema[keyword])) {
+        value = this.checkAlternatives(schema[keyword], keyword, value, path, context);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * 校验数值范围
+   * @param {Object} schema - 子 schema
+   * @param {number} value - 值
+   * @param {string} path - 字段路径
+   * @param {Object} context - 校验上下文
+   */
+  checkNumber(schema, value, path, context) {
+    const rules = [
+      ['minimum', limit => value >= limit, limit => `应不小于 ${limit}`],
+      ['maximum', limit => value <= limit, limit => `应不大于 ${limit}`],
+      ['exclusiveMinimum', limit => typeof limit !== 'number' || value > limit, limit => `应大于 ${limit}`],
+      ['exclusiveMaximum', limit => typeof limit !== 'number' || value < limit, limit => `应小于 ${limit}`]
+    ];
+
+    for (const [keyword, passes, message] of rules) {
+      if (schema[keyword] !== undefined && !passes(schema[keyword])) {
+        context.errors.push({ path: displayPath(path), message: message(schema[keyword]) });
+      }
+    }
+  }
+
+  /**
+   * 校验字符串长度和格式
+   * @param {Object} schema - 子 schema
+   * @param {string} value - 值
+   * @param {string} path - 字段路径
+   * @param {Object} context - 校验上下文
+   */
+  checkString(schema, value, path, context) {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      context.errors.push({ path: displayPath(path), message: `长度应不少于 ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      context.errors.push({ path: displayPath(path), message: `长度应不超过 ${schema.maxLength}` });
+    }
+
+    if (typeof schema.pattern === 'string') {
+      let pattern;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        return;
+      }
+      if (!pattern.test(value)) {
+        context.errors.push({ path: displayPath(path), message: `格式不符合 ${schema.pattern}` });
+      }
+    }
+  }
+
+  /**
+   * 校验数组元素数量和每个元素
+   * @param {Object} schema - 子 schema
+   * @param {Array} value - 值
+   * @param {string} path - 字段路径
+   * @param {Object} context - 校验上下文
+   * @returns {Array} 校验后的数组
+   */
+  checkArray(schema, value, path, context) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      context.errors.push({ path: displayPath(path), message: `元素数量应不少于 ${schema.minItems}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      context.errors.push({ path: displayPath(path), message: `元素数量应不超过 ${schema.maxItems}` });
+    }
+
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      return value.map((item, index) => this.check(schema.items, item, `${path}[${index}]`, context));
+    }
+
+    return value;
+  }
+
+  /**
+   * 校验对象的必填字段、已定义字段和额外字段
+   * @param {Object} schema - 子 schema
+   * @param {Object} value - 值
+   * @param {string} path - 字段路径
+   * @param {Object} context - 校验上下文
+   * @returns {Object} 校验后的对象
+   */
+  checkObject(schema, value, path, context) {
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    const result = { ...value };
+
+    if (Array.isArray(schema.required)) {
+      for (const field of schema.required) {
+        if (result[field] === undefined) {
+          context.errors.push({ path: path ? `${path}.${field}` : field, message: '缺少必填字段' });
+        }
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${field}` : field;
+
+      if (Object.prototype.hasOwnProperty.call(properties, field)) {
+        result[field] = this.check(properties[field], fieldValue, fieldPath, context);
+      } else if (schema.additionalProperties === false) {
+        context.errors.push({ path: fieldPath, message: '不允许的字段' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        result[field] = this.check(schema.additionalProperties, fieldValue, fieldPath, context);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 校验 anyOf / oneOf：优先使用无需修正即可通过的分支
+   * @param {Array<Object>} alternatives - 候选 schema
+   * @param {string} keyword - anyOf 或 oneOf
+   * @param {*} value - 值
+   * @param {string} path - 字段路径
+   * @param {Object} context - 校验上下文
+   * @returns {*} 通过的分支修正后的值
+   */
+  checkAlternatives(alternatives, keyword, value, path, context) {
+    const attempt = (coerce) => alternatives.map(subschema => {
+      const branch = { ...context, errors: [], coerce, coerced: false };
+      return { value: this.check(subschema, value, path, branch), branch };
+    }).filter(({ branch }) => branch.errors.length === 0);
+
+    let passed = attempt(false);
+    if (passed.length === 0 && context.coerce) {
+      passed = attempt(true);
+    }
+
+    if (passed.length === 0) {
+      context.errors.push({ path: displayPath(path), message: '不符合任何一种允许的格式' });
+      return value;
+    }
+    if (keyword === 'oneOf' && passed.length > 1) {
+      context.errors.push({ path: displayPath(path), message: '同时符合多种格式，无法确定' });
+      return value;
+    }
+
+    context.coerced = context.coerced || passed[0].branch.coerced;
+    return passed[0].value;
+  }
+
+  /**
+   * 解析文档内的 $ref（如 #/$defs/address）
+   * @param {Object} root - 根 schema
+   * @param {string} ref - 引用
+   * @returns {Object|null} 被引用的 schema
+   */
+  resolveRef(root, ref) {
+    if (!ref.startsWith('#')) {
+      return null;
+    }
+
+    let target = root;
+    for (const part of ref.slice(1).split('/').filter(Boolean)) {
+      const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+      target = target && typeof target === 'object' ? target[key] : undefined;
+    }
+
+    return target && typeof target === 'object' ? target : null;
+  }
+
+  /**
+   * 获取校验统计信息
+   * @returns {Object} 校验统计
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      coerce: this.coerce,
+      servers: this.schemas.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ToolArgumentValidator;
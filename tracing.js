@@ -0,0 +1,416 @@
+/**
+ * MCP 代理服务器链路追踪模块
+ * 生成 span，解析和传递 W3C traceparent，并通过 OTLP/HTTP (JSON) 导出到收集器
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'tracing' });
+
+// OTLP 中的 span 类型和状态码
+const SpanKind = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const StatusCode = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// 当前活动的 span，随异步调用链传递
+const spanContext = new AsyncLocalStorage();
+
+/**
+ * 当前时间（Unix 纳秒，字符串形式以免丢失精度）
+ * @returns {string} 纳秒时间戳
+ */
+function nowNanos() {
+  return (BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n).toString();
+}
+
+/**
+ * 解析 traceparent 请求头
+ * @param {string} header - traceparent 值
+ * @returns {Object|null} { traceId, spanId, sampled }，无效时返回 null
+ */
+function parseTraceparent(header) {
+  const match = typeof header === 'string' && header.trim().toLowerCase().match(TRACEPARENT_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+class Span {
+  /**
+   * @param {Tracer} tracer - 所属追踪器
+   * @param {string} name - span 名称
+   * @param {Object} options - traceId、parentSpanId、sampled、kind、attributes
+   */
+  constructor(tracer, name, options) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = options.traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = options.parentSpanId || null;
+    this.sampled = options.sampled;
+    this.tracestate = options.tracestate || null;
+    this.kind = options.kind || SpanKind.INTERNAL;
+    this.attributes = { ...options.attributes };
+    this.events = [];
+    this.status = { code: StatusCode.UNSET };
+    this.startTime = nowNanos();
+    this.endTime = null;
+  }
+
+  /**
+   * 设置属性
+   * @param {string} key - 属性名
+   * @param {*} value - 属性值（undefined 和 null 会被忽略）
+   * @returns {Span} 本 span
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * 批量设置属性
+   * @param {Object} attributes - 属性
+   * @returns {Span} 本 span
+   */
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * 记录错误并把状态设为 ERROR
+   * @param {Error} error - 错误对象
+   */
+  recordError(error) {
+    this.status = { code: StatusCode.ERROR, message: error.message };
+    this.events.push({
+      name: 'exception',
+      time: nowNanos(),
+      attributes: {
+        'exception.type': error.code || error.name,
+        'exception.message': error.message
+      }
+    });
+  }
+
+  /**
+   * 生成向下游传递的 traceparent
+   * @returns {string} traceparent 值
+   */
+  toTraceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+
+  /**
+   * 结束 span，已采样的 span 交给导出器
+   */
+  end() {
+    if (this.endTime) {
+      return;
+    }
+
+    this.endTime = nowNanos();
+    if (this.sampled) {
+      this.tracer.enqueue(this);
+    }
+  }
+}
+
+class Tracer {
+  constructor() {
+    this.enabled = false;
+    this.endpoint = null;
+    this.headers = {};
+    this.sampleRate = 1;
+    this.serviceName = 'mcp-proxy-server';
+    this.exportInterval = 5000;
+    this.maxBatchSize = 512;
+    this.maxQueueSize = 2048;
+
+    this.queue = [];
+    this.timer = null;
+    this.exporting = null;
+
+    // 导出使用独立的 axios 实例，不经过转发请求的重试和追踪拦截器
+    this.http = axios.create({ timeout: 10000 });
+
+    this.stats = {
+      exported: 0,
+      dropped: 0,
+      exportFailures: 0
+    };
+  }
+
+  /**
+   * 更新追踪配置（热加载）
+   * @param {Object} options - 追踪选项
+   * @param {boolean} options.enabled - 是否启用
+   * @param {string} options.endpoint - OTLP/HTTP 收集器地址（如 http://collector:4318/v1/traces）
+   * @param {Array<string>} options.headers - 导出时附加的请求头（Name=value）
+   * @param {number} options.sampleRate - 没有上游 traceparent 时的采样率（0~1）
+   * @param {string} options.serviceName - 服务名
+   * @param {number} options.exportInterval - 导出间隔（毫秒）
+   */
+  configure(options = {}) {
+    for (const key of ['enabled', 'endpoint', 'sampleRate', 'serviceName', 'exportInterval']) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+
+    if (options.headers !== undefined) {
+      this.headers = {};
+      for (const header of options.headers) {
+        const index = header.indexOf('=');
+        if (index > 0) {
+          this.headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+        }
+      }
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.enabled) {
+      this.timer = setInterval(() => this.flush(), this.exportInterval);
+      this.timer.unref();
+      log.info('链路追踪已启用', { endpoint: this.endpoint, sampleRate: this.sampleRate });
+    } else {
+      this.queue = [];
+    }
+  }
+
+  /**
+   * 获取当前活动的 span
+   * @returns {Span|null} span
+   */
+  getActiveSpan() {
+    return spanContext.getStore() || null;
+  }
+
+  /**
+   * 创建 span（不设为活动 span）
+   * @param {string} name - span 名称
+   * @param {Object} options - 选项
+   * @param {Span} options.parent - 父 span（默认为当前活动 span）
+   * @param {Object} options.remote - 上游 traceparent 解析结果（创建入口 span 时使用）
+   * @param {string} options.tracestate - 上游 tracestate
+   * @param {number} options.kind - span 类型
+   * @param {Object} options.attributes - 属性
+   * @returns {Span|null} span，未启用追踪时返回 null
+   */
+  startSpan(name, options = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const parent = options.parent !== undefined ? options.parent : this.getActiveSpan();
+    const remote = options.remote;
+
+    let traceId;
+    let parentSpanId = null;
+    let sampled;
+    let tracestate = options.tracestate;
+
+    if (parent) {
+      ({ traceId, sampled, tracestate } = parent);
+      parentSpanId = parent.spanId;
+    } else if (remote) {
+      // 沿用上游的 trace 和采样决定
+      ({ traceId, sampled } = remote);
+      parentSpanId = remote.spanId;
+    } else {
+      traceId = crypto.randomBytes(16).toString('hex');
+      sampled = Math.random() < this.sampleRate;
+    }
+
+    return new Span(this, name, {
+      traceId,
+      parentSpanId,
+      sampled,
+      tracestate,
+      kind: options.kind,
+      attributes: options.attributes
+    });
+  }
+
+  /**
+   * 在指定 span 的上下文中执行函数
+   * @param {Span|null} span - span
+   * @param {Function} fn - 函数
+   * @returns {*} 函数返回值
+   */
+  withSpan(span, fn) {
+    return span ? spanContext.run(span, fn) : fn();
+  }
+
+  /**
+   * 创建 span 并在其上下文中执行异步函数，函数结束（或抛出错误）时结束 span
+   * @param {string} name - span 名称
+   * @param {Object} options - 同 startSpan
+   * @param {Function} fn - 异步函数，参数为 span（未启用时为 null）
+   * @returns {Promise<*>} 函数返回值
+   */
+  async trace(name, options, fn) {
+    const span = this.startSpan(name, options);
+    if (!span) {
+      return fn(null);
+    }
+
+    try {
+      return await spanContext.run(span, () => fn(span));
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * 加入导出队列，队列满时丢弃最旧的 span
+   * @param {Span} span - 已结束的 span
+   */
+  enqueue(span) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.queue.push(span);
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.shift();
+      this.stats.dropped++;
+    }
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * 导出队列中的 span
+   * @returns {Promise<void>} 导出完成
+   */
+  async flush() {
+    if (this.exporting) {
+      return this.exporting;
+    }
+    if (this.queue.length === 0 || !this.endpoint) {
+      return;
+    }
+
+    const batch = this.queue.splice(0, this.maxBatchSize);
+
+    this.exporting = this.http.post(this.endpoint, this.toOtlp(batch), {
+      headers: { 'Content-Type': 'application/json', ...this.headers }
+    }).then(() => {
+      this.stats.exported += batch.length;
+    }).catch((error) => {
+      this.stats.exportFailures++;
+      this.stats.dropped += batch.length;
+      log.warn('导出 span 失败', { endpoint: this.endpoint, spans: batch.length, error });
+    }).finally(() => {
+      this.exporting = null;
+    });
+
+    return this.exporting;
+  }
+
+  /**
+   * 转换为 OTLP/HTTP JSON 格式
+   * @param {Array<Span>} spans - span 列表
+   * @returns {Object} ExportTraceServiceRequest
+   */
+  toOtlp(spans) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: this.toAttributes({ 'service.name': this.serviceName })
+        },
+        scopeSpans: [{
+          scope: { name: 'mcp-proxy', version: '2.0.0' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+            ...(span.tracestate ? { traceState: span.tracestate } : {}),
+            name: span.name,
+            kind: span.kind,
+            startTimeUnixNano: span.startTime,
+            endTimeUnixNano: span.endTime,
+            attributes: this.toAttributes(span.attributes),
+            events: span.events.map(event => ({
+              name: event.name,
+              timeUnixNano: event.time,
+              attributes: this.toAttributes(event.attributes)
+            })),
+            status: span.status
+          }))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * 转换为 OTLP 属性列表
+   * @param {Object} attributes - 属性
+   * @returns {Array<Object>} OTLP KeyValue 列表
+   */
+  toAttributes(attributes) {
+    return Object.entries(attributes).map(([key, value]) => {
+      if (typeof value === 'boolean') {
+        return { key, value: { boolValue: value } };
+      }
+      if (Number.isInteger(value)) {
+        return { key, value: { intValue: String(value) } };
+      }
+      if (typeof value === 'number') {
+        return { key, value: { doubleValue: value } };
+      }
+      return { key, value: { stringValue: String(value) } };
+    });
+  }
+
+  /**
+   * 获取追踪统计信息
+   * @returns {Object} 追踪统计
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      endpoint: this.endpoint,
+      sampleRate: this.sampleRate,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+}
+
+// 全局追踪器，启动时由 server.js 按配置设置
+const tracer = new Tracer();
+
+module.exports = {
+  SpanKind,
+  StatusCode,
+  Span,
+  Tracer,
+  tracer,
+  parseTraceparent
+};
@@ -0,0 +1,216 @@
+/**
+ * MCP 代理服务器上游管理模块
+ * 在多个 Dify 部署之间负载均衡，并在上游故障时切换
+ */
+
+const NodeCache = require('node-cache');
+const { CircuitBreakerManager } = require('./circuit-breaker');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'upstream' });
+
+class UpstreamPool {
+  /**
+   * @param {Object} options - 上游池选项
+   * @param {Array<{url: string, weight: number}>} options.upstreams - 参与负载均衡的上游
+   * @param {string} options.strategy - 负载均衡策略
+   * @param {Object} options.breakerOptions - 每个上游的熔断器选项
+   */
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'round-robin';
+    this.breakerManager = new CircuitBreakerManager(options.breakerOptions);
+
+    // 所有上游（包括注册表中单独指定地址的上游）
+    this.upstreams = new Map();
+    // 参与负载均衡的上游
+    this.pool = (options.upstreams || []).map(({ url, weight }) => this.getUpstream(url, weight, false));
+
+    this.roundRobinIndex = 0;
+
+    // 会话亲和：Streamable HTTP 会话必须回到创建它的上游
+    this.sessions = new NodeCache({
+      stdTTL: 3600,
+      checkperiod: 300,
+      maxKeys: 10000
+    });
+
+    log.info('上游池已初始化', { upstreams: this.pool.map(upstream => upstream.url), strategy: this.strategy });
+  }
+
+  /**
+   * 获取或创建上游
+   * @param {string} url - 上游基础地址
+   * @param {number} weight - 权重
+   * @param {boolean} dedicated - 是否为单独指定的上游（不参与负载均衡）
+   * @returns {Object} 上游对象
+   */
+  getUpstream(url, weight = 1, dedicated = true) {
+    if (!this.upstreams.has(url)) {
+      this.upstreams.set(url, {
+        url,
+        weight,
+        dedicated,
+        currentWeight: 0,
+        pending: 0,
+        breaker: this.breakerManager.getBreaker(`upstream:${url}`),
+        stats: {
+          requests: 0,
+          successes: 0,
+          failures: 0,
+          failovers: 0,
+          lastLatency: null,
+          lastError: null,
+          lastErrorTime: null
+        }
+      });
+    }
+
+    return this.upstreams.get(url);
+  }
+
+  /**
+   * 按策略排列候选上游：首选上游在前，其余健康上游作为故障切换顺序
+   * @param {string} sessionId - 会话 ID（可选，用于会话亲和）
+   * @returns {Array<Object>} 候选上游
+   */
+  getCandidates(sessionId) {
+    // 已绑定会话的请求只能发往原上游
+    if (sessionId) {
+      const url = this.sessions.get(sessionId);
+      if (url && this.upstreams.has(url)) {
+        return [this.upstreams.get(url)];
+      }
+    }
+
+    const healthy = this.pool.filter(upstream => upstream.breaker.canExecute());
+
+    // 全部不健康时仍按原顺序尝试，由熔断器给出明确错误
+    if (healthy.length === 0) {
+      return [...this.pool];
+    }
+
+    const primary = this.pick(healthy);
+    return [primary, ...healthy.filter(upstream => upstream !== primary)];
+  }
+
+  /**
+   * 按负载均衡策略选择一个上游
+   * @param {Array<Object>} candidates - 健康的上游
+   * @returns {Object} 选中的上游
+   */
+  pick(candidates) {
+    switch (this.strategy) {
+      case 'least-pending':
+        return candidates.reduce((best, upstream) =>
+          upstream.pending / upstream.weight < best.pending / best.weight ? upstream : best
+        );
+
+      case 'weighted': {
+        // 平滑加权轮询（与 Nginx 相同）
+        const totalWeight = candidates.reduce((sum, upstream) => sum + upstream.weight, 0);
+        let best = null;
+
+        for (const upstream of candidates) {
+          upstream.currentWeight += upstream.weight;
+          if (!best || upstream.currentWeight > best.currentWeight) {
+            best = upstream;
+          }
+        }
+
+        best.currentWeight -= totalWeight;
+        return best;
+      }
+
+      default: {
+        const upstream = candidates[this.roundRobinIndex % candidates.length];
+        this.roundRobinIndex = (this.roundRobinIndex + 1) % Number.MAX_SAFE_INTEGER;
+        return upstream;
+      }
+    }
+  }
+
+  /**
+   * 通过上游的熔断器执行请求，并记录统计
+   * @param {Object} upstream - 上游对象
+   * @param {Function} fn - 请求函数
+   * @returns {Promise<*>} 请求结果
+   */
+  async execute(upstream, fn) {
+    const startTime = Date.now();
+    upstream.pending++;
+    upstream.stats.requests++;
+
+    try {
+      const result = await upstream.breaker.execute(fn);
+      upstream.stats.successes++;
+      upstream.stats.lastLatency = Date.now() - startTime;
+      return result;
+    } catch (error) {
+      upstream.stats.failures++;
+      upstream.stats.lastError = error.message;
+      upstream.stats.lastErrorTime = Date.now();
+      throw error;
+    } finally {
+      upstream.pending--;
+    }
+  }
+
+  /**
+   * 记录一次故障切换
+   * @param {Object} upstream - 失败的上游
+   */
+  recordFailover(upstream) {
+    upstream.stats.failovers++;
+  }
+
+  /**
+   * 绑定会话到上游
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} upstream - 上游对象
+   */
+  bindSession(sessionId, upstream) {
+    try {
+      this.sessions.set(sessionId, upstream.url);
+    } catch (error) {
+      // 会话数达到上限时不再绑定，请求按策略分发
+      log.warn('会话绑定失败', { error });
+    }
+  }
+
+  /**
+   * 更新上游熔断器配置（热加载）
+   * @param {Object} options - 熔断器选项
+   */
+  configure(options) {
+    this.breakerManager.configure(options);
+  }
+
+  /**
+   * 获取上游统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      strategy: this.strategy,
+      sessions: this.sessions.keys().length,
+      upstreams: Array.from(this.upstreams.values()).map(upstream => ({
+        url: upstream.url,
+        weight: upstream.weight,
+        dedicated: upstream.dedicated,
+        healthy: upstream.breaker.canExecute(),
+        state: upstream.breaker.state,
+        pending: upstream.pending,
+        ...upstream.stats
+      }))
+    };
+  }
+
+  /**
+   * 重置所有上游熔断器
+   */
+  resetAll() {
+    this.breakerManager.resetAll();
+  }
+}
+
+module.exports = UpstreamPool;